@@ -7,7 +7,7 @@
  * Copyright 2024 - Licensed under Apache 2.0
  */
 
-import { useState } from 'react';
+import { useState, useRef } from 'react';
 import './App.css';
 
 // Components
@@ -17,16 +17,24 @@ import HistogramView from './components/HistogramView.jsx';
 import DominatorTreeView from './components/DominatorTreeView.jsx';
 import LeakSuspectsView from './components/LeakSuspectsView.jsx';
 import ConsolidatedView from './components/ConsolidatedView.jsx';
+import AllocationSitesView from './components/AllocationSitesView.jsx';
+import DuplicatesView from './components/DuplicatesView.jsx';
+import CollectionsView from './components/CollectionsView.jsx';
+import BiggestCollectionsView from './components/BiggestCollectionsView.jsx';
+import BoxedPrimitivesView from './components/BoxedPrimitivesView.jsx';
+import ClassLoadersView from './components/ClassLoadersView.jsx';
+import ThreadsView from './components/ThreadsView.jsx';
 
 // Services
-import HprofParser from './services/hprofParser.js';
-import { generateHistogram } from './services/analyzers/histogramAnalyzer.js';
-import { calculateDominatorTree, getTotalHeapSize } from './services/analyzers/dominatorTreeAnalyzer.js';
-import { detectLeakSuspects, generateLeakInsights } from './services/analyzers/leakDetector.js';
+import { analyzeHeapDump } from './services/analysisWorkerClient.js';
+import { expandHeapDumpFiles } from './services/heapDumpFiles.js';
 
 function App() {
   const [loading, setLoading] = useState(false);
   const [loadingMessage, setLoadingMessage] = useState('');
+  const [loadingProgress, setLoadingProgress] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const abortControllerRef = useRef(null);
   const [error, setError] = useState(null);
   
   // Store all uploaded heap dumps
@@ -39,60 +47,63 @@ function App() {
 
   // Get current file data
   const currentFile = heapDumps[selectedFileIndex] || null;
-  const heapData = currentFile?.heapData || null;
+  const queries = currentFile?.queries || null;
   const histogram = currentFile?.histogram || null;
   const dominatorTree = currentFile?.dominatorTree || null;
   const leakSuspects = currentFile?.leakSuspects || null;
   const leakInsights = currentFile?.leakInsights || null;
+  const allocationSites = currentFile?.allocationSites || null;
+  const duplicateStrings = currentFile?.duplicateStrings || null;
+  const collectionFill = currentFile?.collectionFill || null;
+  const largestCollections = currentFile?.largestCollections || null;
+  const boxedPrimitives = currentFile?.boxedPrimitives || null;
+  const classLoaders = currentFile?.classLoaders || null;
+  const generatedClasses = currentFile?.generatedClasses || null;
+  const threads = currentFile?.threads || null;
+  const threadLocals = currentFile?.threadLocals || null;
+  const totalHeapSize = currentFile?.totalHeapSize || 0;
   const fileName = currentFile?.fileName || '';
 
   const handleFileSelect = async (files) => {
     setLoading(true);
     setError(null);
+    setCancelling(false);
     setLoadingMessage('Processing files...');
 
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
     try {
       const processedFiles = [];
+
+      // Open zip archives and pick decompression for .hprof.gz files
+      const dumpFiles = await expandHeapDumpFiles(files);
       
-      for (let i = 0; i < files.length; i++) {
-        const file = files[i];
-        setLoadingMessage(`Processing ${i + 1}/${files.length}: ${file.name}...`);
+      for (let i = 0; i < dumpFiles.length; i++) {
+        // Cancelled: skip the remaining files
+        if (abortController.signal.aborted) break;
+
+        const file = dumpFiles[i];
+        setLoadingMessage(`Processing ${i + 1}/${dumpFiles.length}: ${file.name}`);
+        setLoadingProgress(null);
         
         try {
-          // Read file as ArrayBuffer
-          const buffer = await file.arrayBuffer();
-          
-          setLoadingMessage(`Parsing ${file.name}...`);
-          
-          // Parse the heap dump
-          const parser = new HprofParser();
-          const parsedData = await parser.parse(buffer);
-          
-          setLoadingMessage(`Analyzing ${file.name}...`);
-          
-          // Generate histogram
-          const histogramData = generateHistogram(parsedData);
-          
-          // Calculate dominator tree
-          const dominatorTreeData = calculateDominatorTree(parsedData);
-          
-          // Detect leak suspects
-          const suspects = detectLeakSuspects(parsedData, histogramData, dominatorTreeData);
-          
-          // Generate insights
-          const insights = generateLeakInsights(suspects);
+          // Parse and analyze in a Web Worker so the UI stays responsive
+          const result = await analyzeHeapDump(file, {
+            onProgress: setLoadingProgress,
+            signal: abortController.signal
+          });
           
           processedFiles.push({
             fileName: file.name,
-            heapData: parsedData,
-            histogram: histogramData,
-            dominatorTree: dominatorTreeData,
-            leakSuspects: suspects,
-            leakInsights: insights,
+            ...result,
             uploadedAt: new Date()
           });
           
         } catch (err) {
+          // Cancelled: keep the files that already finished
+          if (err.name === 'AbortError') break;
+
           console.error(`Error processing ${file.name}:`, err);
           // Continue with other files
           processedFiles.push({
@@ -103,6 +114,7 @@ function App() {
         }
       }
       
+      closeHeapDumps(heapDumps);
       setHeapDumps(processedFiles);
       setSelectedFileIndex(0);
       setLoading(false);
@@ -112,17 +124,23 @@ function App() {
       console.error('Error processing heap dumps:', err);
       setError(`Failed to process heap dumps: ${err.message}`);
       setLoading(false);
+    } finally {
+      abortControllerRef.current = null;
     }
   };
 
+  const handleCancel = () => {
+    setCancelling(true);
+    abortControllerRef.current?.abort();
+  };
+
   const handleReset = () => {
+    closeHeapDumps(heapDumps);
     setHeapDumps([]);
     setSelectedFileIndex(0);
     setError(null);
   };
 
-  const totalHeapSize = heapData ? getTotalHeapSize(heapData) : 0;
-
   return (
     <div className="app">
       <header className="app-header">
@@ -130,7 +148,7 @@ function App() {
           <h1>☕ Java Heap Dump Analyser</h1>
           <p className="tagline">Privacy-focused heap dump analysis in your browser</p>
         </div>
-        {heapData && (
+        {queries && (
           <button onClick={handleReset} className="reset-button">
             ← Load New File(s)
           </button>
@@ -148,10 +166,17 @@ function App() {
         )}
 
         {loading && (
-          <LoadingSpinner message={loadingMessage} />
+          <LoadingSpinner 
+            message={loadingMessage}
+            phase={loadingProgress?.label}
+            progress={loadingProgress?.percentage}
+            etaSeconds={loadingProgress?.etaSeconds}
+            onCancel={handleCancel}
+            cancelling={cancelling}
+          />
         )}
 
-        {!loading && !heapData && !error && (
+        {!loading && !queries && !error && (
           <FileUpload onFileSelect={handleFileSelect} />
         )}
 
@@ -213,6 +238,48 @@ function App() {
                   <span className="badge">{leakSuspects.length}</span>
                 )}
               </button>
+              <button 
+                className={`tab ${activeTab === 'allocations' ? 'active' : ''}`}
+                onClick={() => setActiveTab('allocations')}
+              >
+                📍 Allocation Sites
+              </button>
+              <button 
+                className={`tab ${activeTab === 'duplicates' ? 'active' : ''}`}
+                onClick={() => setActiveTab('duplicates')}
+              >
+                🔤 Duplicate Strings
+              </button>
+              <button 
+                className={`tab ${activeTab === 'collections' ? 'active' : ''}`}
+                onClick={() => setActiveTab('collections')}
+              >
+                🗃️ Collections
+              </button>
+              <button 
+                className={`tab ${activeTab === 'biggest' ? 'active' : ''}`}
+                onClick={() => setActiveTab('biggest')}
+              >
+                📦 Biggest Collections
+              </button>
+              <button 
+                className={`tab ${activeTab === 'boxed' ? 'active' : ''}`}
+                onClick={() => setActiveTab('boxed')}
+              >
+                🔢 Boxed Primitives
+              </button>
+              <button 
+                className={`tab ${activeTab === 'classloaders' ? 'active' : ''}`}
+                onClick={() => setActiveTab('classloaders')}
+              >
+                🧬 Class Loaders
+              </button>
+              <button 
+                className={`tab ${activeTab === 'threads' ? 'active' : ''}`}
+                onClick={() => setActiveTab('threads')}
+              >
+                🧵 Threads
+              </button>
             </div>
 
             <div className="tab-content">
@@ -222,12 +289,16 @@ function App() {
               {activeTab === 'histogram' && histogram && (
                 <HistogramView 
                   histogram={histogram}
+                  reachability={currentFile.reachability}
+                  queries={queries}
                   allFiles={heapDumps}
                 />
               )}
               {activeTab === 'dominator' && dominatorTree && (
                 <DominatorTreeView 
+                  key={selectedFileIndex}
                   dominatorTree={dominatorTree}
+                  queries={queries}
                   totalHeapSize={totalHeapSize}
                   allFiles={heapDumps}
                 />
@@ -236,9 +307,48 @@ function App() {
                 <LeakSuspectsView 
                   suspects={leakSuspects}
                   insights={leakInsights}
+                  queries={queries}
                   allFiles={heapDumps}
                 />
               )}
+              {activeTab === 'allocations' && allocationSites && (
+                <AllocationSitesView 
+                  allocationSites={allocationSites}
+                  totalHeapSize={totalHeapSize}
+                />
+              )}
+              {activeTab === 'duplicates' && duplicateStrings && (
+                <DuplicatesView 
+                  duplicateStrings={duplicateStrings}
+                  queries={queries}
+                />
+              )}
+              {activeTab === 'collections' && collectionFill && (
+                <CollectionsView collectionFill={collectionFill} />
+              )}
+              {activeTab === 'biggest' && largestCollections && (
+                <BiggestCollectionsView 
+                  largestCollections={largestCollections}
+                  queries={queries}
+                />
+              )}
+              {activeTab === 'boxed' && boxedPrimitives && (
+                <BoxedPrimitivesView boxedPrimitives={boxedPrimitives} />
+              )}
+              {activeTab === 'classloaders' && classLoaders && generatedClasses && (
+                <ClassLoadersView 
+                  classLoaders={classLoaders}
+                  generatedClasses={generatedClasses}
+                  queries={queries}
+                />
+              )}
+              {activeTab === 'threads' && threads && threadLocals && (
+                <ThreadsView 
+                  threads={threads}
+                  threadLocals={threadLocals}
+                  queries={queries}
+                />
+              )}
             </div>
           </div>
         )}
@@ -269,4 +379,14 @@ function App() {
   );
 }
 
+/**
+ * Stop the analysis workers kept for the files' queries
+ * @param {Array} heapDumps - Processed files
+ */
+function closeHeapDumps(heapDumps) {
+  for (const file of heapDumps) {
+    file.queries?.close();
+  }
+}
+
 export default App;
@@ -0,0 +1,162 @@
+/**
+ * AllocationSitesView Component
+ * 
+ * Displays instances and bytes grouped by the stack trace that allocated
+ * them. Expanding a site shows its full stack and the classes it created.
+ */
+
+import { Fragment, useState, useMemo } from 'react';
+import { formatSize, formatNumber } from '../services/analyzers/histogramAnalyzer.js';
+import { formatStackFrame } from '../services/analyzers/allocationSiteAnalyzer.js';
+import './AllocationSitesView.css';
+
+function AllocationSitesView({ allocationSites, totalHeapSize }) {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [limit, setLimit] = useState(100);
+  const [expandedSerial, setExpandedSerial] = useState(null);
+
+  // Search matches any frame or allocated class name
+  const filtered = useMemo(() => {
+    let result = allocationSites;
+    
+    if (searchTerm) {
+      const term = searchTerm.toLowerCase();
+      result = result.filter(site =>
+        site.frames.some(frame => formatStackFrame(frame).toLowerCase().includes(term)) ||
+        site.classes.some(entry => entry.className.toLowerCase().includes(term))
+      );
+    }
+    
+    return result.slice(0, limit);
+  }, [allocationSites, searchTerm, limit]);
+
+  const handleRowClick = (site) => {
+    setExpandedSerial(expandedSerial === site.stackTraceSerial ? null : site.stackTraceSerial);
+  };
+
+  if (allocationSites.length === 0) {
+    return (
+      <div className="allocation-sites-view">
+        <div className="allocation-header">
+          <h2>Allocation Sites</h2>
+        </div>
+        <div className="no-allocation-data">
+          <div className="no-allocation-icon">📍</div>
+          <h3>No Allocation Stack Traces in This Dump</h3>
+          <p>
+            Allocation sites are only recorded when the JVM tracks where objects are allocated,
+            for example with the HPROF agent (<code>-agentlib:hprof=heap=dump,depth=16</code> on Java 8 and earlier).
+            Dumps taken with jmap, jcmd or -XX:+HeapDumpOnOutOfMemoryError do not include them.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="allocation-sites-view">
+      <div className="allocation-header">
+        <h2>Allocation Sites</h2>
+        <p className="description">
+          Instances and memory grouped by the stack trace that allocated them.
+          Click a site to see its full stack and the classes it created.
+        </p>
+      </div>
+
+      <div className="allocation-controls">
+        <input 
+          type="text" 
+          placeholder="Search methods or classes..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="search-input"
+        />
+        <select 
+          value={limit} 
+          onChange={(e) => setLimit(Number(e.target.value))}
+          className="limit-select"
+        >
+          <option value={50}>Show 50</option>
+          <option value={100}>Show 100</option>
+          <option value={500}>Show 500</option>
+          <option value={999999}>Show All</option>
+        </select>
+      </div>
+
+      <div className="allocation-table-container">
+        <table className="allocation-table">
+          <thead>
+            <tr>
+              <th>Allocation Site</th>
+              <th className="number">Instances</th>
+              <th className="number">Total Size</th>
+              <th className="number">% of Heap</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.map((site) => {
+              const isExpanded = expandedSerial === site.stackTraceSerial;
+              const percentage = totalHeapSize > 0 ? (site.totalSize / totalHeapSize) * 100 : 0;
+              
+              return (
+                <Fragment key={site.stackTraceSerial}>
+                  <tr 
+                    onClick={() => handleRowClick(site)}
+                    className="clickable-row"
+                    title="Click to show the full stack"
+                  >
+                    <td className="site-frame">
+                      <span className="expand-icon">{isExpanded ? '▼' : '▶'}</span>
+                      {formatStackFrame(site.frames[0])}
+                    </td>
+                    <td className="number">{formatNumber(site.instanceCount)}</td>
+                    <td className="number">{formatSize(site.totalSize)}</td>
+                    <td className="number">{percentage.toFixed(2)}%</td>
+                  </tr>
+                  {isExpanded && (
+                    <tr className="site-details">
+                      <td colSpan={4}>
+                        <div className="site-details-content">
+                          <div className="site-stack">
+                            <h4>Stack Trace</h4>
+                            <ol className="stack-frames">
+                              {site.frames.map((frame, index) => (
+                                <li key={index}>at {formatStackFrame(frame)}</li>
+                              ))}
+                            </ol>
+                          </div>
+                          <div className="site-classes">
+                            <h4>Allocated Classes</h4>
+                            <table className="site-classes-table">
+                              <tbody>
+                                {site.classes.map((entry) => (
+                                  <tr key={entry.className}>
+                                    <td className="class-name">{entry.className}</td>
+                                    <td className="number">{formatNumber(entry.instanceCount)}</td>
+                                    <td className="number">{formatSize(entry.totalSize)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {filtered.length === 0 && (
+        <div className="no-results">
+          No allocation sites match your search.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AllocationSitesView;
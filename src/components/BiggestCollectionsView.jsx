@@ -0,0 +1,207 @@
+/**
+ * BiggestCollectionsView Component
+ *
+ * Lists the largest individual collections and object arrays, ranked by
+ * element count or by retained size, with the field that owns each one.
+ * Expanding a row shows a sample of its elements (keys for maps).
+ */
+
+import { Fragment, useState, useMemo } from 'react';
+import { formatSize, formatNumber } from '../services/analyzers/histogramAnalyzer.js';
+import { formatObjectId } from '../services/objectId.js';
+import ObjectInspector from './ObjectInspector.jsx';
+import './BiggestCollectionsView.css';
+
+function BiggestCollectionsView({ largestCollections, queries }) {
+  const [rankBy, setRankBy] = useState('elementCount');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [limit, setLimit] = useState(50);
+  const [expandedId, setExpandedId] = useState(null);
+  const [inspectedObjectId, setInspectedObjectId] = useState(null);
+
+  const filtered = useMemo(() => {
+    const entries = rankBy === 'elementCount'
+      ? largestCollections.byElementCount
+      : largestCollections.byRetainedSize;
+    const term = searchTerm.toLowerCase();
+    return entries
+      .filter(entry =>
+        entry.className.toLowerCase().includes(term) ||
+        entry.owner?.className.toLowerCase().includes(term) ||
+        entry.owner?.fieldName.toLowerCase().includes(term)
+      )
+      .slice(0, limit);
+  }, [largestCollections, rankBy, searchTerm, limit]);
+
+  const handleRowClick = (key) => {
+    setExpandedId(expandedId === key ? null : key);
+  };
+
+  const inspect = (e, objectId) => {
+    e.stopPropagation();
+    setInspectedObjectId(objectId);
+  };
+
+  const largest = largestCollections.byElementCount[0];
+
+  return (
+    <div className="biggest-collections-view">
+      {inspectedObjectId !== null && (
+        <ObjectInspector
+          queries={queries}
+          objectId={inspectedObjectId}
+          onClose={() => setInspectedObjectId(null)}
+        />
+      )}
+      <div className="biggest-collections-header">
+        <h2>Biggest Collections</h2>
+        <p className="description">
+          Individual live maps, lists, sets, queues and object arrays with the most elements or the
+          largest retained size, and the field that holds each one. An unbounded cache usually shows
+          up here as one huge map that the per-class histogram hides. Click a row to see a sample of
+          its elements or keys.
+        </p>
+        <div className="biggest-collections-summary">
+          <div className="summary-item">
+            <span className="label">Collections &amp; Arrays:</span>
+            <span className="value">{formatNumber(largestCollections.collectionCount)}</span>
+          </div>
+          {largest && (
+            <div className="summary-item">
+              <span className="label">Most Elements:</span>
+              <span className="value">{formatNumber(largest.elementCount)} ({largest.className})</span>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="biggest-collections-controls">
+        <select
+          value={rankBy}
+          onChange={(e) => setRankBy(e.target.value)}
+          className="limit-select"
+        >
+          <option value="elementCount">By Element Count</option>
+          <option value="retainedSize">By Retained Size</option>
+        </select>
+        <input
+          type="text"
+          placeholder="Search collection or owner classes..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="search-input"
+        />
+        <select
+          value={limit}
+          onChange={(e) => setLimit(Number(e.target.value))}
+          className="limit-select"
+        >
+          <option value={50}>Show 50</option>
+          <option value={100}>Show 100</option>
+          <option value={200}>Show 200</option>
+        </select>
+      </div>
+
+      <div className="biggest-collections-table-container">
+        <table className="biggest-collections-table">
+          <thead>
+            <tr>
+              <th>Collection</th>
+              <th className="number">Elements</th>
+              <th className="number">Capacity</th>
+              <th className="number">Retained Size</th>
+              <th>Owner</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.map((entry) => {
+              const key = formatObjectId(entry.objectId);
+              const isExpanded = expandedId === key;
+
+              return (
+                <Fragment key={key}>
+                  <tr
+                    onClick={() => handleRowClick(key)}
+                    className="clickable-row"
+                    title={`Click to show a sample of its ${entry.isMap ? 'keys' : 'elements'}`}
+                  >
+                    <td className="class-name">
+                      <span className="expand-icon">{isExpanded ? '▼' : '▶'}</span>
+                      {entry.className}
+                      <button
+                        className="collection-id"
+                        onClick={(e) => inspect(e, entry.objectId)}
+                        title="Inspect this collection"
+                      >
+                        {key}
+                      </button>
+                    </td>
+                    <td className="number">{formatNumber(entry.elementCount)}</td>
+                    <td className="number">{entry.capacity === null ? '—' : formatNumber(entry.capacity)}</td>
+                    <td className="number">{formatSize(entry.retainedSize)}</td>
+                    <td className="class-name">
+                      {entry.owner ? (
+                        <button
+                          className="collection-owner"
+                          onClick={(e) => inspect(e, entry.owner.objectId)}
+                          title="Inspect the owner"
+                        >
+                          {entry.owner.className}
+                          {entry.owner.fieldName && <span className="owner-field">.{entry.owner.fieldName}</span>}
+                        </button>
+                      ) : (
+                        <span className="gc-root-owner">&lt;GC root&gt;</span>
+                      )}
+                    </td>
+                  </tr>
+                  {isExpanded && (
+                    <tr className="collection-details">
+                      <td colSpan={5}>
+                        <h4>{entry.isMap ? 'Sample Keys' : 'Sample Elements'}</h4>
+                        {entry.sample.length === 0 ? (
+                          <p className="no-sample">
+                            {entry.elementCount === 0
+                              ? 'This collection is empty.'
+                              : 'The elements of this collection type cannot be listed.'}
+                          </p>
+                        ) : (
+                          <ul className="collection-sample">
+                            {entry.sample.map((element) => (
+                              <li key={formatObjectId(element.objectId)}>
+                                <button
+                                  className="collection-id"
+                                  onClick={(e) => inspect(e, element.objectId)}
+                                  title="Inspect this object"
+                                >
+                                  {formatObjectId(element.objectId)}
+                                </button>
+                                <span className="sample-class">{element.className}</span>
+                                {element.stringValue && (
+                                  <span className="sample-value">{element.stringValue}</span>
+                                )}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {filtered.length === 0 && (
+        <div className="no-results">
+          {largestCollections.collectionCount === 0
+            ? 'No live collections or object arrays in this dump.'
+            : 'No collections match your search.'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BiggestCollectionsView;
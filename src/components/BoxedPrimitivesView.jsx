@@ -0,0 +1,174 @@
+/**
+ * BoxedPrimitivesView Component
+ *
+ * Displays live boxed primitives (Integer, Long, Double, ...) by box type or
+ * by the collection or field that holds them, with the memory they cost over
+ * primitive storage and how many values fall outside the valueOf cache.
+ */
+
+import { useState, useMemo } from 'react';
+import { formatSize, formatNumber } from '../services/analyzers/histogramAnalyzer.js';
+import './BoxedPrimitivesView.css';
+
+function BoxedPrimitivesView({ boxedPrimitives }) {
+  const [viewMode, setViewMode] = useState('type');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [limit, setLimit] = useState(100);
+
+  const filteredOwners = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return boxedPrimitives.byOwner
+      .filter(entry =>
+        entry.ownerClass.toLowerCase().includes(term) ||
+        entry.fieldName.toLowerCase().includes(term) ||
+        entry.collectionClass?.toLowerCase().includes(term) ||
+        entry.className.toLowerCase().includes(term)
+      )
+      .slice(0, limit);
+  }, [boxedPrimitives, searchTerm, limit]);
+
+  const formatOutsideCache = (count) => count === null ? '—' : formatNumber(count);
+
+  const overheadPercentage = boxedPrimitives.totalSize > 0
+    ? (boxedPrimitives.overheadSize / boxedPrimitives.totalSize) * 100
+    : 0;
+
+  const shown = viewMode === 'type' ? boxedPrimitives.byType : filteredOwners;
+
+  return (
+    <div className="boxed-view">
+      <div className="boxed-header">
+        <h2>Boxed Primitives</h2>
+        <p className="description">
+          Live Integer, Long, Double and other box objects, and what they cost compared with storing
+          the primitive values directly. valueOf shares boxes for -128..127 (Character: 0..127), so
+          values outside that range, and every Float and Double, need an object each. Large counts in
+          one collection or field are candidates for primitive arrays or primitive collections. Box sizes
+          are estimated for a 64-bit JVM with compressed class pointers.
+        </p>
+        <div className="boxed-summary">
+          <div className="summary-item">
+            <span className="label">Boxes:</span>
+            <span className="value">{formatNumber(boxedPrimitives.boxCount)} ({formatSize(boxedPrimitives.totalSize)})</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">As Primitives:</span>
+            <span className="value">{formatSize(boxedPrimitives.primitiveSize)}</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Boxing Overhead:</span>
+            <span className="value">{formatSize(boxedPrimitives.overheadSize)} ({overheadPercentage.toFixed(0)}%)</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Outside valueOf Cache:</span>
+            <span className="value">{formatNumber(boxedPrimitives.outsideCacheCount)}</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="boxed-controls">
+        <select
+          value={viewMode}
+          onChange={(e) => setViewMode(e.target.value)}
+          className="limit-select"
+        >
+          <option value="type">By Box Type</option>
+          <option value="owner">By Owning Collection or Field</option>
+        </select>
+        {viewMode === 'owner' && (
+          <>
+            <input
+              type="text"
+              placeholder="Search classes or fields..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="search-input"
+            />
+            <select
+              value={limit}
+              onChange={(e) => setLimit(Number(e.target.value))}
+              className="limit-select"
+            >
+              <option value={50}>Show 50</option>
+              <option value={100}>Show 100</option>
+              <option value={200}>Show 200</option>
+            </select>
+          </>
+        )}
+      </div>
+
+      <div className="boxed-table-container">
+        {viewMode === 'type' ? (
+          <table className="boxed-table">
+            <thead>
+              <tr>
+                <th>Box Type</th>
+                <th className="number">Count</th>
+                <th className="number">Distinct Values</th>
+                <th className="number">Outside Cache</th>
+                <th className="number">Total Size</th>
+                <th className="number">As Primitives</th>
+                <th className="number">Overhead</th>
+              </tr>
+            </thead>
+            <tbody>
+              {boxedPrimitives.byType.map((entry) => (
+                <tr key={entry.className}>
+                  <td className="class-name">
+                    {entry.className} <span className="primitive-type">({entry.primitiveType})</span>
+                  </td>
+                  <td className="number">{formatNumber(entry.count)}</td>
+                  <td className="number">{formatNumber(entry.distinctValues)}</td>
+                  <td className="number">{formatOutsideCache(entry.outsideCacheCount)}</td>
+                  <td className="number">{formatSize(entry.totalSize)}</td>
+                  <td className="number">{formatSize(entry.primitiveSize)}</td>
+                  <td className="number">{formatSize(entry.overheadSize)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <table className="boxed-table">
+            <thead>
+              <tr>
+                <th>Owner</th>
+                <th>Collection</th>
+                <th>Box Type</th>
+                <th className="number">Count</th>
+                <th className="number">Outside Cache</th>
+                <th className="number">Total Size</th>
+                <th className="number">Overhead</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredOwners.map((entry) => (
+                <tr key={`${entry.ownerClass}.${entry.fieldName}:${entry.collectionClass}:${entry.className}`}>
+                  <td className="class-name" title={`${entry.ownerClass}.${entry.fieldName}`}>
+                    {entry.ownerClass}
+                    {entry.fieldName && <span className="owner-field">.{entry.fieldName}</span>}
+                  </td>
+                  <td className="class-name">{entry.collectionClass || '—'}</td>
+                  <td className="class-name">{entry.className}</td>
+                  <td className="number">{formatNumber(entry.count)}</td>
+                  <td className="number">{formatOutsideCache(entry.outsideCacheCount)}</td>
+                  <td className="number">{formatSize(entry.totalSize)}</td>
+                  <td className="number">{formatSize(entry.overheadSize)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {shown.length === 0 && (
+        <div className="no-results">
+          {boxedPrimitives.boxCount === 0
+            ? 'No live boxed primitives in this dump.'
+            : 'No owners match your search.'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BoxedPrimitivesView;
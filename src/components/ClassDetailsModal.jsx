@@ -2,6 +2,7 @@
  * ClassDetailsModal Component
  * 
  * Displays detailed information about a selected class including:
+ * - Shortest paths from GC roots to its instances (when the file was analyzed)
  * - Description and typical usage
  * - Common memory issues
  * - Resolution strategies
@@ -11,9 +12,10 @@
 import { useEffect } from 'react';
 import { formatSize, formatNumber } from '../services/analyzers/histogramAnalyzer.js';
 import { getClassInfo } from '../services/classKnowledgeBase.js';
+import GcRootPathsPanel from './GcRootPathsPanel.jsx';
 import './ClassDetailsModal.css';
 
-function ClassDetailsModal({ classData, onClose }) {
+function ClassDetailsModal({ classData, queries, onClose }) {
   // Close modal on Escape key
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -92,6 +94,17 @@ function ClassDetailsModal({ classData, onClose }) {
             </div>
           </div>
 
+          {/* Paths to GC Roots */}
+          {queries && (
+            <div className="detail-section">
+              <h3>🧭 Path to GC Roots</h3>
+              <GcRootPathsPanel
+                queries={queries}
+                className={classData.className}
+              />
+            </div>
+          )}
+
           {/* Description */}
           <div className="detail-section">
             <h3>Description</h3>
@@ -187,7 +200,11 @@ function ClassDetailsModal({ classData, onClose }) {
             <div className="tips-content">
               <p><strong>High instance count:</strong> May indicate object pooling, caching, or accumulation without cleanup.</p>
               <p><strong>High retained size:</strong> This class or its references are holding onto significant memory.</p>
-              <p><strong>Next steps:</strong> Use Eclipse MAT or VisualVM for detailed reference chains and dominator analysis.</p>
+              {queries ? (
+                <p><strong>Next steps:</strong> Follow the Path to GC Roots to see which references keep instances alive, then check the Dominator Tree for what they retain.</p>
+              ) : (
+                <p><strong>Next steps:</strong> Use Eclipse MAT or VisualVM for detailed reference chains and dominator analysis.</p>
+              )}
             </div>
           </div>
         </div>
@@ -0,0 +1,383 @@
+/**
+ * ClassLoadersView Component
+ *
+ * Lists every class loader with the classes it defined, their instances and
+ * the memory the loader retains, flags loaders held only by weak references
+ * or nothing at all, and lists class names defined by more than one loader.
+ * Generated classes (lambdas, proxies, ...) are grouped by kind and loader
+ * with their estimated metaspace footprint.
+ */
+
+import { Fragment, useState, useMemo } from 'react';
+import { formatSize, formatNumber } from '../services/analyzers/histogramAnalyzer.js';
+import { formatObjectId } from '../services/objectId.js';
+import ObjectInspector from './ObjectInspector.jsx';
+import './ClassLoadersView.css';
+
+// Display text of each loader status
+const STATUS_LABELS = {
+  strong: 'Live',
+  weak: 'Weakly held',
+  unreachable: 'Unreachable'
+};
+
+function ClassLoadersView({ classLoaders, generatedClasses, queries }) {
+  const [viewMode, setViewMode] = useState('loaders');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [staleOnly, setStaleOnly] = useState(false);
+  const [expandedIndex, setExpandedIndex] = useState(null);
+  const [inspectedObjectId, setInspectedObjectId] = useState(null);
+
+  // Keep each loader's index so expansion survives filtering
+  const filteredLoaders = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return classLoaders.loaders
+      .map((loader, index) => ({ loader, index }))
+      .filter(({ loader }) =>
+        (!staleOnly || loader.status !== 'strong') &&
+        (loader.className.toLowerCase().includes(term) ||
+          loader.name?.toLowerCase().includes(term))
+      );
+  }, [classLoaders, searchTerm, staleOnly]);
+
+  const filteredDuplicates = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return classLoaders.duplicateClasses.filter(entry =>
+      entry.className.toLowerCase().includes(term)
+    );
+  }, [classLoaders, searchTerm]);
+
+  const filteredGenerated = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return {
+      byPattern: generatedClasses.byPattern.filter(entry =>
+        entry.name.toLowerCase().includes(term) ||
+        entry.sampleClassNames.some(name => name.toLowerCase().includes(term))
+      ),
+      byLoader: generatedClasses.byLoader.filter(entry =>
+        entry.patternName.toLowerCase().includes(term) ||
+        entry.loaderClass.toLowerCase().includes(term) ||
+        entry.loaderName?.toLowerCase().includes(term)
+      )
+    };
+  }, [generatedClasses, searchTerm]);
+
+  const inspect = (e, objectId) => {
+    e.stopPropagation();
+    setInspectedObjectId(objectId);
+  };
+
+  const renderLoaderLink = (loader) => (
+    <>
+      {loader.className}
+      {loader.name && <span className="loader-name"> “{loader.name}”</span>}
+      {loader.objectId !== null && (
+        <button
+          className="loader-id"
+          onClick={(e) => inspect(e, loader.objectId)}
+          title="Inspect this class loader"
+        >
+          {formatObjectId(loader.objectId)}
+        </button>
+      )}
+    </>
+  );
+
+  const shownCounts = {
+    loaders: filteredLoaders.length,
+    duplicates: filteredDuplicates.length,
+    generated: filteredGenerated.byPattern.length
+  };
+
+  return (
+    <div className="class-loaders-view">
+      {inspectedObjectId !== null && (
+        <ObjectInspector
+          queries={queries}
+          objectId={inspectedObjectId}
+          onClose={() => setInspectedObjectId(null)}
+        />
+      )}
+      <div className="class-loaders-header">
+        <h2>Class Loaders</h2>
+        <p className="description">
+          Every class loader with the classes it defined and the memory it retains. A loader that only
+          weak references (or nothing) hold is a stale copy that should unload; a class name defined by
+          several loaders often means an application was redeployed while the old copy stayed
+          reachable. Click a loader to see what holds it.
+        </p>
+        <div className="class-loaders-summary">
+          <div className="summary-item">
+            <span className="label">Loaders:</span>
+            <span className="value">{formatNumber(classLoaders.loaderCount)}</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Classes:</span>
+            <span className="value">{formatNumber(classLoaders.classCount)}</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Stale Loaders:</span>
+            <span className="value">{formatNumber(classLoaders.staleLoaderCount)}</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Duplicate Classes:</span>
+            <span className="value">{formatNumber(classLoaders.duplicateClassCount)}</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Generated Classes:</span>
+            <span className="value">
+              {formatNumber(generatedClasses.classCount)} (~{formatSize(generatedClasses.estimatedMetadataSize)} metaspace)
+            </span>
+          </div>
+        </div>
+      </div>
+
+      <div className="class-loaders-controls">
+        <select
+          value={viewMode}
+          onChange={(e) => setViewMode(e.target.value)}
+          className="limit-select"
+        >
+          <option value="loaders">Loaders</option>
+          <option value="duplicates">Classes Defined by Several Loaders</option>
+          <option value="generated">Generated Classes</option>
+        </select>
+        <input
+          type="text"
+          placeholder={viewMode === 'duplicates' ? 'Search class names...' : 'Search loader classes or names...'}
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="search-input"
+        />
+        {viewMode === 'loaders' && (
+          <label className="stale-only-toggle">
+            <input
+              type="checkbox"
+              checked={staleOnly}
+              onChange={(e) => setStaleOnly(e.target.checked)}
+            />
+            Stale loaders only
+          </label>
+        )}
+      </div>
+
+      <div className="class-loaders-table-container">
+        {viewMode === 'loaders' ? (
+          <table className="class-loaders-table">
+            <thead>
+              <tr>
+                <th>Loader</th>
+                <th>Status</th>
+                <th className="number">Classes</th>
+                <th className="number">Instances (Live)</th>
+                <th className="number">Retained Size</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredLoaders.map(({ loader, index }) => {
+                const isExpanded = expandedIndex === index;
+
+                return (
+                  <Fragment key={index}>
+                    <tr
+                      onClick={() => setExpandedIndex(isExpanded ? null : index)}
+                      className="clickable-row"
+                      title="Click to show what holds this loader and its classes"
+                    >
+                      <td className="class-name">
+                        <span className="expand-icon">{isExpanded ? '▼' : '▶'}</span>
+                        {renderLoaderLink(loader)}
+                      </td>
+                      <td>
+                        <span className={`loader-status status-${loader.status}`}>
+                          {STATUS_LABELS[loader.status]}
+                        </span>
+                      </td>
+                      <td className="number">{formatNumber(loader.classCount)}</td>
+                      <td className="number">
+                        {formatNumber(loader.instanceCount)} ({formatNumber(loader.liveInstanceCount)})
+                      </td>
+                      <td className="number">
+                        {loader.retainedSize === null ? '—' : formatSize(loader.retainedSize)}
+                      </td>
+                    </tr>
+                    {isExpanded && (
+                      <tr className="loader-details">
+                        <td colSpan={5}>
+                          <div className="loader-details-content">
+                            <div className="loader-holders">
+                              <h4>Held By</h4>
+                              {loader.objectId === null ? (
+                                <p className="no-holders">The bootstrap loader is part of the JVM.</p>
+                              ) : loader.holders.length === 0 ? (
+                                <p className="no-holders">Only its own classes and GC roots refer to this loader.</p>
+                              ) : (
+                                <ul>
+                                  {loader.holders.map((holder) => (
+                                    <li key={`${formatObjectId(holder.objectId)}.${holder.fieldName}`}>
+                                      <button
+                                        className="loader-id"
+                                        onClick={(e) => inspect(e, holder.objectId)}
+                                        title="Inspect this object"
+                                      >
+                                        {formatObjectId(holder.objectId)}
+                                      </button>
+                                      <span className="holder-class">{holder.className}</span>
+                                      <span className="holder-field">.{holder.fieldName}</span>
+                                      {holder.weak && <span className="weak-badge">weak</span>}
+                                    </li>
+                                  ))}
+                                </ul>
+                              )}
+                              {loader.parentObjectId !== null && (
+                                <p className="loader-parent">
+                                  Parent:
+                                  <button
+                                    className="loader-id"
+                                    onClick={(e) => inspect(e, loader.parentObjectId)}
+                                    title="Inspect the parent loader"
+                                  >
+                                    {formatObjectId(loader.parentObjectId)}
+                                  </button>
+                                </p>
+                              )}
+                            </div>
+                            <div className="loader-classes">
+                              <h4>Classes With Most Instances</h4>
+                              {loader.topClasses.length === 0 ? (
+                                <p className="no-holders">This loader has not defined any class.</p>
+                              ) : (
+                                <table className="loader-classes-table">
+                                  <tbody>
+                                    {loader.topClasses.map((entry) => (
+                                      <tr key={entry.className}>
+                                        <td className="class-name">{entry.className}</td>
+                                        <td className="number">{formatNumber(entry.instanceCount)}</td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              )}
+                            </div>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        ) : viewMode === 'generated' ? (
+          <>
+            <table className="class-loaders-table">
+              <thead>
+                <tr>
+                  <th>Kind</th>
+                  <th className="number">Classes</th>
+                  <th className="number">Loaders</th>
+                  <th className="number">Instances</th>
+                  <th className="number">Est. Metaspace</th>
+                  <th>Examples</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredGenerated.byPattern.map((entry) => (
+                  <tr key={entry.id} title={entry.description}>
+                    <td>
+                      {entry.name}
+                      {entry.isAbnormal && (
+                        <span className="abnormal-badge" title={`More than ${formatNumber(entry.threshold)} classes`}>
+                          Abnormal
+                        </span>
+                      )}
+                    </td>
+                    <td className="number">{formatNumber(entry.classCount)}</td>
+                    <td className="number">{formatNumber(entry.loaderCount)}</td>
+                    <td className="number">{formatNumber(entry.instanceCount)}</td>
+                    <td className="number">{formatSize(entry.estimatedMetadataSize)}</td>
+                    <td>
+                      <ul className="generated-examples">
+                        {entry.sampleClassNames.slice(0, 3).map(name => <li key={name}>{name}</li>)}
+                      </ul>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {filteredGenerated.byLoader.length > 0 && (
+              <table className="class-loaders-table generated-by-loader">
+                <thead>
+                  <tr>
+                    <th>Loader</th>
+                    <th>Kind</th>
+                    <th className="number">Classes</th>
+                    <th className="number">Est. Metaspace</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredGenerated.byLoader.map((entry) => (
+                    <tr key={`${entry.patternName}:${entry.loaderObjectId === null ? 'bootstrap' : formatObjectId(entry.loaderObjectId)}`}>
+                      <td className="class-name">
+                        {renderLoaderLink({ objectId: entry.loaderObjectId, className: entry.loaderClass, name: entry.loaderName })}
+                      </td>
+                      <td>{entry.patternName}</td>
+                      <td className="number">{formatNumber(entry.classCount)}</td>
+                      <td className="number">{formatSize(entry.estimatedMetadataSize)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        ) : (
+          <table className="class-loaders-table">
+            <thead>
+              <tr>
+                <th>Class</th>
+                <th className="number">Loaders</th>
+                <th className="number">Instances</th>
+                <th>Defined By</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredDuplicates.map((entry) => (
+                <tr key={entry.className}>
+                  <td className="class-name" title={entry.className}>{entry.className}</td>
+                  <td className="number">{formatNumber(entry.loaders.length)}</td>
+                  <td className="number">{formatNumber(entry.instanceCount)}</td>
+                  <td>
+                    <ul className="defining-loaders">
+                      {entry.loaders.map((loader) => (
+                        <li key={loader.objectId === null ? 'bootstrap' : formatObjectId(loader.objectId)}>
+                          {renderLoaderLink(loader)}
+                          {loader.status !== 'strong' && (
+                            <span className={`loader-status status-${loader.status}`}>
+                              {STATUS_LABELS[loader.status]}
+                            </span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {shownCounts[viewMode] === 0 && (
+        <div className="no-results">
+          {viewMode === 'duplicates' && classLoaders.duplicateClassCount === 0
+            ? 'No class name is defined by more than one loader.'
+            : viewMode === 'generated' && generatedClasses.classCount === 0
+              ? 'No generated classes in this dump.'
+              : 'No entries match your search.'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ClassLoadersView;
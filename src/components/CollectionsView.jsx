@@ -0,0 +1,187 @@
+/**
+ * CollectionsView Component
+ * 
+ * Displays how well live collections fill their backing arrays, by
+ * collection type or by the field that owns them, and the memory their
+ * unused capacity wastes.
+ */
+
+import { useState, useMemo } from 'react';
+import { formatSize, formatNumber } from '../services/analyzers/histogramAnalyzer.js';
+import { FILL_BUCKETS, SPARSE_FILL_RATIO } from '../services/analyzers/collectionAnalyzer.js';
+import './CollectionsView.css';
+
+function CollectionsView({ collectionFill }) {
+  const [viewMode, setViewMode] = useState('type');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [limit, setLimit] = useState(100);
+
+  const filteredTypes = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return collectionFill.byType
+      .filter(entry => entry.className.toLowerCase().includes(term))
+      .slice(0, limit);
+  }, [collectionFill, searchTerm, limit]);
+
+  const filteredOwners = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return collectionFill.byOwner
+      .filter(entry =>
+        entry.ownerClass.toLowerCase().includes(term) ||
+        entry.fieldName.toLowerCase().includes(term) ||
+        entry.className.toLowerCase().includes(term)
+      )
+      .slice(0, limit);
+  }, [collectionFill, searchTerm, limit]);
+
+  const shown = viewMode === 'type' ? filteredTypes : filteredOwners;
+
+  return (
+    <div className="collections-view">
+      <div className="collections-header">
+        <h2>Collections</h2>
+        <p className="description">
+          How well live array-backed collections (ArrayList, HashMap, HashSet, ArrayDeque, ...) fill
+          their backing arrays. Every unused slot costs a reference; collections that stay empty or
+          below {SPARSE_FILL_RATIO * 100}% full are candidates for a smaller initial capacity, lazy
+          creation or a shared empty instance.
+        </p>
+        <div className="collections-summary">
+          <div className="summary-item">
+            <span className="label">Collections:</span>
+            <span className="value">{formatNumber(collectionFill.collectionCount)} ({formatSize(collectionFill.totalSize)})</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Empty:</span>
+            <span className="value">{formatNumber(collectionFill.emptyCount)}</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Sparse:</span>
+            <span className="value">{formatNumber(collectionFill.sparseCount)}</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Wasted Capacity:</span>
+            <span className="value">{formatSize(collectionFill.wastedSize)}</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="collections-controls">
+        <select 
+          value={viewMode} 
+          onChange={(e) => setViewMode(e.target.value)}
+          className="limit-select"
+        >
+          <option value="type">By Collection Type</option>
+          <option value="owner">By Owning Field</option>
+        </select>
+        <input 
+          type="text" 
+          placeholder={viewMode === 'type' ? 'Search collection types...' : 'Search classes or fields...'}
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="search-input"
+        />
+        <select 
+          value={limit} 
+          onChange={(e) => setLimit(Number(e.target.value))}
+          className="limit-select"
+        >
+          <option value={50}>Show 50</option>
+          <option value={100}>Show 100</option>
+          <option value={500}>Show 500</option>
+        </select>
+      </div>
+
+      <div className="collections-table-container">
+        {viewMode === 'type' ? (
+          <table className="collections-table">
+            <thead>
+              <tr>
+                <th>Collection Type</th>
+                <th className="number">Count</th>
+                <th className="number">Empty</th>
+                <th className="number">Sparse</th>
+                <th className="number">Avg Fill</th>
+                <th>Fill Distribution</th>
+                <th className="number">Total Size</th>
+                <th className="number">Wasted</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredTypes.map((entry) => (
+                <tr key={entry.className}>
+                  <td className="class-name" title={entry.className}>{entry.className}</td>
+                  <td className="number">{formatNumber(entry.count)}</td>
+                  <td className="number">{formatNumber(entry.emptyCount)}</td>
+                  <td className="number">{formatNumber(entry.sparseCount)}</td>
+                  <td className="number">{(entry.averageFillRatio * 100).toFixed(0)}%</td>
+                  <td>
+                    <div className="fill-distribution">
+                      {entry.fillBuckets.map((count, index) => count > 0 && (
+                        <div
+                          key={index}
+                          className={`fill-bucket bucket-${index}`}
+                          style={{ flexGrow: count }}
+                          title={`${FILL_BUCKETS[index][0]}: ${formatNumber(count)}`}
+                        />
+                      ))}
+                    </div>
+                  </td>
+                  <td className="number">{formatSize(entry.totalSize)}</td>
+                  <td className="number">{formatSize(entry.wastedSize)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <table className="collections-table">
+            <thead>
+              <tr>
+                <th>Owner</th>
+                <th>Collection Type</th>
+                <th className="number">Count</th>
+                <th className="number">Empty</th>
+                <th className="number">Wasted</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredOwners.map((entry) => (
+                <tr key={`${entry.ownerClass}.${entry.fieldName}:${entry.className}`}>
+                  <td className="class-name" title={`${entry.ownerClass}.${entry.fieldName}`}>
+                    {entry.ownerClass}
+                    {entry.fieldName && <span className="owner-field">.{entry.fieldName}</span>}
+                  </td>
+                  <td className="class-name">{entry.className}</td>
+                  <td className="number">{formatNumber(entry.count)}</td>
+                  <td className="number">{formatNumber(entry.emptyCount)}</td>
+                  <td className="number">{formatSize(entry.wastedSize)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {viewMode === 'type' && (
+        <div className="fill-legend">
+          {FILL_BUCKETS.map(([label], index) => (
+            <span key={label} className="fill-legend-item">
+              <span className={`fill-bucket bucket-${index}`} /> {label}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {shown.length === 0 && (
+        <div className="no-results">
+          {collectionFill.collectionCount === 0
+            ? 'No live array-backed collections in this dump.'
+            : 'No collections match your search.'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CollectionsView;
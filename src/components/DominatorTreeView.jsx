@@ -1,18 +1,30 @@
 /**
  * DominatorTreeView Component
  * 
- * Displays the dominator tree showing retained heap by class.
+ * Displays the dominator tree showing retained heap by class, or as an
+ * expandable object tree starting at the GC roots.
  */
 
-import { useState, useMemo } from 'react';
+import { useState, useMemo, Fragment } from 'react';
 import { formatSize, formatNumber } from '../services/analyzers/histogramAnalyzer.js';
+import { ROOT_NODE } from '../services/analyzers/objectGraph.js';
+import { formatObjectId } from '../services/objectId.js';
+import { useHeapQuery } from '../hooks/useHeapQuery.js';
 import ClassDetailsModal from './ClassDetailsModal.jsx';
+import ObjectInspector from './ObjectInspector.jsx';
 import './DominatorTreeView.css';
 
-function DominatorTreeView({ dominatorTree, totalHeapSize, allFiles = [] }) {
+// Children listed per expanded node before a "show more" row
+const CHILD_PAGE_SIZE = 100;
+
+function DominatorTreeView({ dominatorTree, queries, totalHeapSize, allFiles = [] }) {
+  const [viewMode, setViewMode] = useState('class');
   const [searchTerm, setSearchTerm] = useState('');
   const [limit, setLimit] = useState(100);
   const [selectedClass, setSelectedClass] = useState(null);
+  const [inspectedObjectId, setInspectedObjectId] = useState(null);
+  // Expanded node -> number of children shown
+  const [expandedNodes, setExpandedNodes] = useState(() => new Map());
 
   // Calculate comparison data
   const hasMultipleFiles = allFiles.length > 1;
@@ -67,6 +79,22 @@ function DominatorTreeView({ dominatorTree, totalHeapSize, allFiles = [] }) {
     return result.slice(0, limit);
   }, [dominatorTree, searchTerm, limit]);
 
+  const toggleNode = (node) => {
+    setExpandedNodes(previous => {
+      const next = new Map(previous);
+      if (next.has(node)) {
+        next.delete(node);
+      } else {
+        next.set(node, CHILD_PAGE_SIZE);
+      }
+      return next;
+    });
+  };
+
+  const showMoreChildren = (node) => {
+    setExpandedNodes(previous => new Map(previous).set(node, previous.get(node) + CHILD_PAGE_SIZE));
+  };
+
   const handleRowClick = (entry) => {
     setSelectedClass(entry);
   };
@@ -75,14 +103,27 @@ function DominatorTreeView({ dominatorTree, totalHeapSize, allFiles = [] }) {
     setSelectedClass(null);
   };
 
+  const handleObjectIdClick = (e, objectId) => {
+    e.stopPropagation();
+    setInspectedObjectId(objectId);
+  };
+
   return (
     <div className="dominator-tree-view">
       {selectedClass && (
         <ClassDetailsModal 
           classData={selectedClass}
+          queries={queries}
           onClose={handleCloseModal}
         />
       )}
+      {inspectedObjectId !== null && (
+        <ObjectInspector
+          queries={queries}
+          objectId={inspectedObjectId}
+          onClose={() => setInspectedObjectId(null)}
+        />
+      )}
       <div className="dominator-header">
         <h2>Dominator Tree</h2>
         {hasMultipleFiles && (
@@ -91,12 +132,21 @@ function DominatorTreeView({ dominatorTree, totalHeapSize, allFiles = [] }) {
           </div>
         )}
         <p className="description">
-          Shows retained heap size by class. Retained size is the amount of memory
-          that would be freed if all instances of a class were garbage collected.
+          Shows retained heap size by class or by object. Retained size is the amount of memory
+          that would be freed if the object, or all instances of a class, were garbage collected.
+          In the object tree, click an object to see the objects it keeps alive, or its ID to inspect it.
         </p>
       </div>
 
       <div className="dominator-controls">
+        <select 
+          value={viewMode} 
+          onChange={(e) => setViewMode(e.target.value)}
+          className="limit-select"
+        >
+          <option value="class">By Class</option>
+          <option value="object">Object Tree</option>
+        </select>
         <input 
           type="text" 
           placeholder="Search classes..."
@@ -116,76 +166,107 @@ function DominatorTreeView({ dominatorTree, totalHeapSize, allFiles = [] }) {
         </select>
       </div>
 
-      <div className="dominator-table-container">
-        <table className="dominator-table">
-          <thead>
-            <tr>
-              <th>Class Name</th>
-              <th className="number">Instances</th>
-              <th className="number">Retained Size</th>
-              <th className="number">% of Heap</th>
-              <th className="number">Avg Size</th>
-              {hasMultipleFiles && <th className="comparison-col">Trend</th>}
-            </tr>
-          </thead>
-          <tbody>
-            {filtered.map((entry, index) => {
-              const percentage = (entry.retainedSize / totalHeapSize) * 100;
-              const comparison = hasMultipleFiles ? getComparisonInfo(entry.className, entry.retainedSize) : null;
+      {viewMode === 'object' ? (
+        <div className="dominator-table-container">
+          <table className="dominator-table">
+            <thead>
+              <tr>
+                <th>Object</th>
+                <th className="number">Shallow Size</th>
+                <th className="number">Retained Size</th>
+                <th className="number">% of Heap</th>
+              </tr>
+            </thead>
+            <tbody>
+              <DominatedObjectRows
+                queries={queries}
+                node={ROOT_NODE}
+                depth={0}
+                start={0}
+                count={limit}
+                searchTerm={searchTerm}
+                isLastPage
+                expandedNodes={expandedNodes}
+                totalHeapSize={totalHeapSize}
+                onToggle={toggleNode}
+                onShowMore={showMoreChildren}
+                onInspect={handleObjectIdClick}
+              />
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="dominator-table-container">
+          <table className="dominator-table">
+            <thead>
+              <tr>
+                <th>Class Name</th>
+                <th className="number">Instances</th>
+                <th className="number">Retained Size</th>
+                <th className="number">% of Heap</th>
+                <th className="number">Avg Size</th>
+                {hasMultipleFiles && <th className="comparison-col">Trend</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {filtered.map((entry, index) => {
+                const percentage = (entry.retainedSize / totalHeapSize) * 100;
+                const comparison = hasMultipleFiles ? getComparisonInfo(entry.className, entry.retainedSize) : null;
               
-              return (
-                <tr 
-                  key={index}
-                  onClick={() => handleRowClick(entry)}
-                  className="clickable-row"
-                  title="Click for detailed insights"
-                >
-                  <td className="class-name" title={entry.className}>
-                    {entry.className}
-                  </td>
-                  <td className="number">{formatNumber(entry.instanceCount)}</td>
-                  <td className="number">
-                    {formatSize(entry.retainedSize)}
-                    {comparison && comparison.trend !== 'stable' && (
-                      <span className={`trend-icon ${comparison.trend}`}>
-                        {comparison.trend === 'up' ? ' ↑' : ' ↓'}
-                      </span>
-                    )}
-                  </td>
-                  <td className="number">
-                    <div className="percentage-cell">
-                      <div className="percentage-bar">
-                        <div 
-                          className="percentage-fill"
-                          style={{ width: `${Math.min(percentage, 100)}%` }}
-                        />
-                      </div>
-                      <span className="percentage-text">{percentage.toFixed(2)}%</span>
-                    </div>
-                  </td>
-                  <td className="number">{formatSize(entry.averageSize)}</td>
-                  {hasMultipleFiles && (
-                    <td className="comparison-col">
-                      {comparison ? (
-                        <div className="comparison-info">
-                          <span className="files-badge">{comparison.filesPresent}/{allFiles.filter(f => !f.error).length}</span>
-                          {comparison.trend === 'up' && <span className="trend-badge up">📈 Growing</span>}
-                          {comparison.trend === 'down' && <span className="trend-badge down">📉 Shrinking</span>}
-                          {comparison.trend === 'stable' && <span className="trend-badge stable">➡️ Stable</span>}
-                        </div>
-                      ) : (
-                        <span className="new-badge">🆕 New</span>
+                return (
+                  <tr 
+                    key={index}
+                    onClick={() => handleRowClick(entry)}
+                    className="clickable-row"
+                    title="Click for detailed insights"
+                  >
+                    <td className="class-name" title={entry.className}>
+                      {entry.className}
+                    </td>
+                    <td className="number">{formatNumber(entry.instanceCount)}</td>
+                    <td className="number">
+                      {formatSize(entry.retainedSize)}
+                      {comparison && comparison.trend !== 'stable' && (
+                        <span className={`trend-icon ${comparison.trend}`}>
+                          {comparison.trend === 'up' ? ' ↑' : ' ↓'}
+                        </span>
                       )}
                     </td>
-                  )}
-                </tr>
-              );
-            })}
-          </tbody>
-        </table>
-      </div>
+                    <td className="number">
+                      <div className="percentage-cell">
+                        <div className="percentage-bar">
+                          <div 
+                            className="percentage-fill"
+                            style={{ width: `${Math.min(percentage, 100)}%` }}
+                          />
+                        </div>
+                        <span className="percentage-text">{percentage.toFixed(2)}%</span>
+                      </div>
+                    </td>
+                    <td className="number">{formatSize(entry.averageSize)}</td>
+                    {hasMultipleFiles && (
+                      <td className="comparison-col">
+                        {comparison ? (
+                          <div className="comparison-info">
+                            <span className="files-badge">{comparison.filesPresent}/{allFiles.filter(f => !f.error).length}</span>
+                            {comparison.trend === 'up' && <span className="trend-badge up">📈 Growing</span>}
+                            {comparison.trend === 'down' && <span className="trend-badge down">📉 Shrinking</span>}
+                            {comparison.trend === 'stable' && <span className="trend-badge stable">➡️ Stable</span>}
+                          </div>
+                        ) : (
+                          <span className="new-badge">🆕 New</span>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
 
-      {filtered.length === 0 && (
+      {viewMode === 'class' && filtered.length === 0 && (
         <div className="no-results">
           No classes match your search.
         </div>
@@ -194,4 +275,117 @@ function DominatorTreeView({ dominatorTree, totalHeapSize, allFiles = [] }) {
   );
 }
 
+/**
+ * Table rows for one page of the objects a node dominates, followed by the
+ * rows of each expanded one. Pages are listed by the analysis worker, which
+ * also applies the search; expanded nodes show their children one page per
+ * CHILD_PAGE_SIZE so showing more only loads the new rows.
+ */
+function DominatedObjectRows({ queries, node, depth, start, count, searchTerm, isLastPage, expandedNodes, totalHeapSize, onToggle, onShowMore, onInspect }) {
+  const args = useMemo(() => [node, start, count, searchTerm], [node, start, count, searchTerm]);
+  const { result, error } = useHeapQuery(queries, 'getDominatedObjects', args);
+  const indent = { paddingLeft: `${16 + depth * 20}px` };
+
+  if (error) {
+    return (
+      <tr className="more-row">
+        <td colSpan={4} style={indent}>Listing objects failed: {error.message}</td>
+      </tr>
+    );
+  }
+  if (!result) {
+    return (
+      <tr className="more-row">
+        <td colSpan={4} style={indent}>Loading objects…</td>
+      </tr>
+    );
+  }
+  if (depth === 0 && result.total === 0) {
+    return (
+      <tr>
+        <td colSpan={4} className="no-results">No objects match your search.</td>
+      </tr>
+    );
+  }
+
+  const remaining = result.total - start - count;
+
+  return (
+    <>
+      {result.objects.map(entry => {
+        const percentage = (entry.retainedSize / totalHeapSize) * 100;
+        const shownChildren = expandedNodes.get(entry.node);
+        const expanded = shownChildren !== undefined;
+        const pageStarts = [];
+        for (let pageStart = 0; expanded && pageStart < shownChildren; pageStart += CHILD_PAGE_SIZE) {
+          pageStarts.push(pageStart);
+        }
+
+        return (
+          <Fragment key={entry.node}>
+            <tr 
+              onClick={entry.childCount > 0 ? () => onToggle(entry.node) : undefined}
+              className={entry.childCount > 0 ? 'clickable-row' : ''}
+            >
+              <td className="class-name" title={entry.className} style={indent}>
+                <span className="tree-toggle">
+                  {entry.childCount > 0 ? (expanded ? '▼' : '▶') : ''}
+                </span>
+                {entry.className}
+                <span 
+                  className="object-id"
+                  onClick={(e) => onInspect(e, entry.objectId)}
+                  title="Inspect this object"
+                >
+                  {' '}@ {formatObjectId(entry.objectId)}
+                </span>
+              </td>
+              <td className="number">{formatSize(entry.shallowSize)}</td>
+              <td className="number">{formatSize(entry.retainedSize)}</td>
+              <td className="number">
+                <div className="percentage-cell">
+                  <div className="percentage-bar">
+                    <div 
+                      className="percentage-fill"
+                      style={{ width: `${Math.min(percentage, 100)}%` }}
+                    />
+                  </div>
+                  <span className="percentage-text">{percentage.toFixed(2)}%</span>
+                </div>
+              </td>
+            </tr>
+            {pageStarts.map(pageStart => (
+              <DominatedObjectRows
+                key={pageStart}
+                queries={queries}
+                node={entry.node}
+                depth={depth + 1}
+                start={pageStart}
+                count={CHILD_PAGE_SIZE}
+                searchTerm=""
+                isLastPage={pageStart + CHILD_PAGE_SIZE >= shownChildren}
+                expandedNodes={expandedNodes}
+                totalHeapSize={totalHeapSize}
+                onToggle={onToggle}
+                onShowMore={onShowMore}
+                onInspect={onInspect}
+              />
+            ))}
+          </Fragment>
+        );
+      })}
+      {depth > 0 && isLastPage && remaining > 0 && (
+        <tr 
+          onClick={() => onShowMore(node)}
+          className="clickable-row more-row"
+        >
+          <td colSpan={4} style={indent}>
+            … {formatNumber(remaining)} more objects (click to show more)
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
 export default DominatorTreeView;
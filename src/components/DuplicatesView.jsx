@@ -0,0 +1,201 @@
+/**
+ * DuplicatesView Component
+ * 
+ * Displays String values held by more than one String instance, with the
+ * memory the extra copies waste. Expanding a value shows the fields that
+ * refer to its copies, i.e. where interning or deduplication would help.
+ */
+
+import { Fragment, useState, useMemo } from 'react';
+import { formatSize, formatNumber } from '../services/analyzers/histogramAnalyzer.js';
+import { formatObjectId } from '../services/objectId.js';
+import ObjectInspector from './ObjectInspector.jsx';
+import './DuplicatesView.css';
+
+function DuplicatesView({ duplicateStrings, queries }) {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [limit, setLimit] = useState(100);
+  const [expandedIndex, setExpandedIndex] = useState(null);
+  const [inspectedObjectId, setInspectedObjectId] = useState(null);
+
+  const { groups } = duplicateStrings;
+
+  // Keep each group's index so expansion survives filtering
+  const filtered = useMemo(() => {
+    let result = groups.map((group, index) => ({ group, index }));
+    
+    if (searchTerm) {
+      const term = searchTerm.toLowerCase();
+      result = result.filter(({ group }) =>
+        group.value.toLowerCase().includes(term) ||
+        group.referrers.some(referrer => referrer.className.toLowerCase().includes(term))
+      );
+    }
+    
+    return result.slice(0, limit);
+  }, [groups, searchTerm, limit]);
+
+  const handleRowClick = (index) => {
+    setExpandedIndex(expandedIndex === index ? null : index);
+  };
+
+  const wastedPercentage = duplicateStrings.totalSize > 0
+    ? (duplicateStrings.wastedSize / duplicateStrings.totalSize) * 100
+    : 0;
+
+  return (
+    <div className="duplicates-view">
+      {inspectedObjectId !== null && (
+        <ObjectInspector
+          queries={queries}
+          objectId={inspectedObjectId}
+          onClose={() => setInspectedObjectId(null)}
+        />
+      )}
+      <div className="duplicates-header">
+        <h2>Duplicate Strings</h2>
+        <p className="description">
+          String values held by more than one live String instance. Each extra copy wastes its String
+          object and, unless the copies share it, its character array. Click a value to see which
+          fields hold the copies.
+        </p>
+        <div className="duplicates-summary">
+          <div className="summary-item">
+            <span className="label">Strings:</span>
+            <span className="value">{formatNumber(duplicateStrings.totalStrings)} ({formatSize(duplicateStrings.totalSize)})</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Unique Values:</span>
+            <span className="value">{formatNumber(duplicateStrings.uniqueValues)}</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Duplicate Copies:</span>
+            <span className="value">{formatNumber(duplicateStrings.duplicateCount)}</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Wasted:</span>
+            <span className="value">{formatSize(duplicateStrings.wastedSize)} ({wastedPercentage.toFixed(1)}% of strings)</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="duplicates-controls">
+        <input 
+          type="text" 
+          placeholder="Search values or referring classes..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="search-input"
+        />
+        <select 
+          value={limit} 
+          onChange={(e) => setLimit(Number(e.target.value))}
+          className="limit-select"
+        >
+          <option value={50}>Show 50</option>
+          <option value={100}>Show 100</option>
+          <option value={500}>Show 500</option>
+        </select>
+      </div>
+
+      <div className="duplicates-table-container">
+        <table className="duplicates-table">
+          <thead>
+            <tr>
+              <th>Value</th>
+              <th className="number">Length</th>
+              <th className="number">Copies</th>
+              <th className="number">Total Size</th>
+              <th className="number">Wasted</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.map(({ group, index }) => {
+              const isExpanded = expandedIndex === index;
+
+              return (
+                <Fragment key={index}>
+                  <tr 
+                    onClick={() => handleRowClick(index)}
+                    className="clickable-row"
+                    title="Click to show where the copies are held"
+                  >
+                    <td className="string-value">
+                      <span className="expand-icon">{isExpanded ? '▼' : '▶'}</span>
+                      {group.value}
+                    </td>
+                    <td className="number">{formatNumber(group.length)}</td>
+                    <td className="number">{formatNumber(group.count)}</td>
+                    <td className="number">{formatSize(group.totalSize)}</td>
+                    <td className="number">{formatSize(group.wastedSize)}</td>
+                  </tr>
+                  {isExpanded && (
+                    <tr className="duplicate-details">
+                      <td colSpan={5}>
+                        <div className="duplicate-details-content">
+                          <div className="duplicate-referrers">
+                            <h4>Top Referrers</h4>
+                            {group.referrers.length === 0 ? (
+                              <p className="no-referrers">No object refers to these copies (GC roots or garbage only).</p>
+                            ) : (
+                              <table className="referrers-table">
+                                <tbody>
+                                  {group.referrers.map((referrer) => (
+                                    <tr key={`${referrer.className}.${referrer.fieldName}`}>
+                                      <td className="referrer-name">
+                                        {referrer.className} <span className="referrer-field">.{referrer.fieldName}</span>
+                                      </td>
+                                      <td className="number">{formatNumber(referrer.count)}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            )}
+                            {group.truncated && (
+                              <p className="truncated-note">
+                                Only the start of this value is in the dump data; copies are matched by that
+                                prefix and their length.
+                              </p>
+                            )}
+                          </div>
+                          <div className="duplicate-samples">
+                            <h4>Copies</h4>
+                            <div className="sample-ids">
+                              {group.sampleObjectIds.map((objectId) => (
+                                <button
+                                  key={formatObjectId(objectId)}
+                                  className="sample-id"
+                                  onClick={() => setInspectedObjectId(objectId)}
+                                  title="Inspect this object"
+                                >
+                                  {formatObjectId(objectId)}
+                                </button>
+                              ))}
+                              {group.count > group.sampleObjectIds.length && (
+                                <span className="more-samples">
+                                  … and {formatNumber(group.count - group.sampleObjectIds.length)} more
+                                </span>
+                              )}
+                            </div>
+                          </div>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {filtered.length === 0 && (
+        <div className="no-results">
+          {groups.length === 0 ? 'No duplicate String values in this dump.' : 'No duplicate strings match your search.'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DuplicatesView;
@@ -1,11 +1,13 @@
 /**
  * FileUpload Component
  * 
- * Allows users to select or drag-and-drop .hprof files for analysis.
+ * Allows users to select or drag-and-drop .hprof files for analysis,
+ * including gzip-compressed .hprof.gz dumps and .zip archives of dumps.
  * All file processing happens client-side.
  */
 
 import { useState } from 'react';
+import { isSupportedHeapDumpFile } from '../services/heapDumpFiles.js';
 import './FileUpload.css';
 
 function FileUpload({ onFileSelect }) {
@@ -41,10 +43,10 @@ function FileUpload({ onFileSelect }) {
   const handleFiles = (files) => {
     setError(null);
     
-    // Validate all files are .hprof
-    const invalidFiles = files.filter(file => !file.name.endsWith('.hprof'));
+    // Validate all files are .hprof, .hprof.gz or .zip
+    const invalidFiles = files.filter(file => !isSupportedHeapDumpFile(file.name));
     if (invalidFiles.length > 0) {
-      setError(`Please select only .hprof files. Invalid: ${invalidFiles.map(f => f.name).join(', ')}`);
+      setError(`Please select only .hprof, .hprof.gz or .zip files. Invalid: ${invalidFiles.map(f => f.name).join(', ')}`);
       return;
     }
     
@@ -69,10 +71,11 @@ function FileUpload({ onFileSelect }) {
         <div className="upload-icon">📁</div>
         <h2>Upload Heap Dump(s)</h2>
         <p>Drag and drop your .hprof file(s) here, or click to browse</p>
+        <p className="multi-file-hint">📦 Compressed .hprof.gz dumps and .zip archives of dumps are opened automatically</p>
         <p className="multi-file-hint">💡 You can select multiple files to compare and analyze trends</p>
         <input 
           type="file" 
-          accept=".hprof"
+          accept=".hprof,.gz,.zip"
           onChange={handleFileInput}
           id="file-input"
           multiple
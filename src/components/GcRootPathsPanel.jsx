@@ -0,0 +1,137 @@
+/**
+ * GcRootPathsPanel Component
+ *
+ * Shows the shortest paths from GC roots to a sample of a class's instances.
+ * Clicking an object on a path shows the paths to that object instead, so
+ * the retention chain can be followed step by step; clicking its ID opens it
+ * in the object inspector. The paths are searched in the analysis worker.
+ */
+
+import { useState, useMemo } from 'react';
+import { formatSize } from '../services/analyzers/histogramAnalyzer.js';
+import { formatObjectId } from '../services/objectId.js';
+import { useHeapQuery } from '../hooks/useHeapQuery.js';
+import ObjectInspector from './ObjectInspector.jsx';
+import './GcRootPathsPanel.css';
+
+// Paths shown for a single object
+const MAX_OBJECT_PATHS = 5;
+
+function GcRootPathsPanel({ queries, className }) {
+  const [excludeWeakReferences, setExcludeWeakReferences] = useState(true);
+  // Objects clicked so far; the last one is shown
+  const [focusStack, setFocusStack] = useState([]);
+  const focusObjectId = focusStack.length > 0 ? focusStack[focusStack.length - 1] : null;
+  const [inspectedObjectId, setInspectedObjectId] = useState(null);
+
+  const searchArgs = useMemo(
+    () => focusObjectId === null
+      ? [className, { excludeWeakReferences }]
+      : [focusObjectId, { maxChains: MAX_OBJECT_PATHS, excludeWeakReferences }],
+    [className, focusObjectId, excludeWeakReferences]
+  );
+  const search = useHeapQuery(
+    queries,
+    focusObjectId === null ? 'findClassReferenceChains' : 'findReferenceChains',
+    searchArgs
+  );
+
+  // Entries as { key, objectId, chain } with chain null when no path was found
+  const paths = useMemo(() => {
+    if (!search.result) return [];
+    if (focusObjectId === null) {
+      return search.result.map(sample => ({ key: formatObjectId(sample.objectId), ...sample }));
+    }
+    if (search.result.length === 0) {
+      return [{ key: 'none', objectId: focusObjectId, chain: null }];
+    }
+    return search.result.map((chain, index) => ({ key: String(index), objectId: focusObjectId, chain }));
+  }, [search.result, focusObjectId]);
+
+  const handleHopClick = (objectId) => {
+    if (objectId !== focusObjectId) {
+      setFocusStack([...focusStack, objectId]);
+    }
+  };
+
+  const handleBack = () => {
+    setFocusStack(focusStack.slice(0, -1));
+  };
+
+  return (
+    <div className="gc-root-paths">
+      {inspectedObjectId !== null && (
+        <ObjectInspector
+          queries={queries}
+          objectId={inspectedObjectId}
+          onClose={() => setInspectedObjectId(null)}
+        />
+      )}
+      <div className="gc-root-paths-controls">
+        {focusObjectId !== null && (
+          <button className="gc-root-paths-back" onClick={handleBack}>
+            ← Back
+          </button>
+        )}
+        <label className="gc-root-paths-option">
+          <input
+            type="checkbox"
+            checked={excludeWeakReferences}
+            onChange={(e) => setExcludeWeakReferences(e.target.checked)}
+          />
+          Exclude weak/soft/phantom references
+        </label>
+      </div>
+
+      <p className="gc-root-paths-subject">
+        {focusObjectId === null
+          ? `Shortest paths to the ${search.result ? `${paths.length} ` : ''}largest instances of ${className}`
+          : `Paths to ${formatObjectId(focusObjectId)}`}
+      </p>
+
+      {search.loading && <div className="gc-root-paths-loading">Searching paths…</div>}
+      {search.error && <div className="gc-root-paths-error">Path search failed: {search.error.message}</div>}
+      {search.result && paths.length === 0 && (
+        <div className="no-results">No instances of this class in the dump.</div>
+      )}
+
+      {paths.map(({ key, objectId, chain }) => (
+        chain ? (
+          <ol key={key} className="gc-root-path">
+            {chain.chain.map((hop, index) => (
+              <li key={index} className="gc-root-hop">
+                {hop.fieldName && <span className="hop-field">.{hop.fieldName} →</span>}
+                <button
+                  className="hop-link"
+                  onClick={() => handleHopClick(hop.objectId)}
+                  title="Show paths to this object"
+                >
+                  {hop.className}
+                </button>
+                <button
+                  className="hop-id"
+                  onClick={() => setInspectedObjectId(hop.objectId)}
+                  title="Inspect this object"
+                >
+                  @ {formatObjectId(hop.objectId)}
+                </button>
+                {hop.stringValue && <span className="hop-string">{hop.stringValue}</span>}
+                <span className="hop-size">{formatSize(hop.size)}</span>
+                {index === 0 && chain.rootTypes.map(rootType => (
+                  <span key={rootType} className="root-badge">GC root: {rootType}</span>
+                ))}
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <div key={key} className="gc-root-path unreachable">
+            {formatObjectId(objectId)}: no path to a GC root (unreachable, or only reachable
+            through weak references or very long chains)
+          </div>
+        )
+      ))}
+    </div>
+  );
+}
+
+export default GcRootPathsPanel;
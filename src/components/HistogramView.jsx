@@ -1,20 +1,33 @@
 /**
  * HistogramView Component
  * 
- * Displays the object histogram with sorting and search capabilities.
+ * Displays the object histogram with sorting and search capabilities, for all
+ * objects or only the live or unreachable ones.
  */
 
 import { useState, useMemo } from 'react';
 import { formatSize, formatNumber } from '../services/analyzers/histogramAnalyzer.js';
 import ClassDetailsModal from './ClassDetailsModal.jsx';
+import MergedPathsModal from './MergedPathsModal.jsx';
+import InstanceListModal from './InstanceListModal.jsx';
 import './HistogramView.css';
 
-function HistogramView({ histogram, allFiles = [] }) {
+// Count and size fields of a histogram entry for each object scope
+const SCOPE_FIELDS = {
+  all: { count: 'instanceCount', size: 'totalSize' },
+  live: { count: 'liveCount', size: 'liveSize' },
+  unreachable: { count: 'unreachableCount', size: 'unreachableSize' }
+};
+
+function HistogramView({ histogram, reachability, queries, allFiles = [] }) {
+  const [scope, setScope] = useState('all');
   const [sortBy, setSortBy] = useState('totalSize');
   const [sortOrder, setSortOrder] = useState('desc');
   const [searchTerm, setSearchTerm] = useState('');
   const [limit, setLimit] = useState(100);
   const [selectedClass, setSelectedClass] = useState(null);
+  const [mergedPathsClass, setMergedPathsClass] = useState(null);
+  const [instanceListClass, setInstanceListClass] = useState(null);
 
   // Calculate comparison data
   const hasMultipleFiles = allFiles.length > 1;
@@ -70,8 +83,22 @@ function HistogramView({ histogram, allFiles = [] }) {
     };
   };
 
+  // Entries with instanceCount/totalSize restricted to the selected scope
+  const scopedHistogram = useMemo(() => {
+    if (scope === 'all') return histogram;
+
+    const fields = SCOPE_FIELDS[scope];
+    return histogram
+      .filter(entry => entry[fields.count] > 0)
+      .map(entry => ({
+        ...entry,
+        instanceCount: entry[fields.count],
+        totalSize: entry[fields.size]
+      }));
+  }, [histogram, scope]);
+
   const sortedAndFiltered = useMemo(() => {
-    let result = [...histogram];
+    let result = [...scopedHistogram];
     
     // Filter by search term
     if (searchTerm) {
@@ -93,7 +120,7 @@ function HistogramView({ histogram, allFiles = [] }) {
     });
     
     return result.slice(0, limit);
-  }, [histogram, sortBy, sortOrder, searchTerm, limit]);
+  }, [scopedHistogram, sortBy, sortOrder, searchTerm, limit]);
 
   const handleSort = (field) => {
     if (sortBy === field) {
@@ -104,8 +131,9 @@ function HistogramView({ histogram, allFiles = [] }) {
     }
   };
 
-  const totalSize = histogram.reduce((sum, entry) => sum + entry.totalSize, 0);
-  const totalInstances = histogram.reduce((sum, entry) => sum + entry.instanceCount, 0);
+  const totalSize = scopedHistogram.reduce((sum, entry) => sum + entry.totalSize, 0);
+  const totalInstances = scopedHistogram.reduce((sum, entry) => sum + entry.instanceCount, 0);
+  const showTrends = hasMultipleFiles && scope === 'all';
 
   const handleRowClick = (entry) => {
     setSelectedClass(entry);
@@ -115,14 +143,39 @@ function HistogramView({ histogram, allFiles = [] }) {
     setSelectedClass(null);
   };
 
+  const handleMergedPathsClick = (e, entry) => {
+    e.stopPropagation();
+    setMergedPathsClass(entry.className);
+  };
+
+  const handleInstancesClick = (e, entry) => {
+    e.stopPropagation();
+    setInstanceListClass(entry);
+  };
+
   return (
     <div className="histogram-view">
       {selectedClass && (
         <ClassDetailsModal 
           classData={selectedClass}
+          queries={queries}
           onClose={handleCloseModal}
         />
       )}
+      {mergedPathsClass && (
+        <MergedPathsModal
+          queries={queries}
+          className={mergedPathsClass}
+          onClose={() => setMergedPathsClass(null)}
+        />
+      )}
+      {instanceListClass && (
+        <InstanceListModal
+          queries={queries}
+          classData={instanceListClass}
+          onClose={() => setInstanceListClass(null)}
+        />
+      )}
       <div className="histogram-header">
         <h2>Object Histogram</h2>
         {hasMultipleFiles && (
@@ -133,7 +186,7 @@ function HistogramView({ histogram, allFiles = [] }) {
         <div className="histogram-summary">
           <div className="summary-item">
             <span className="label">Total Classes:</span>
-            <span className="value">{formatNumber(histogram.length)}</span>
+            <span className="value">{formatNumber(scopedHistogram.length)}</span>
           </div>
           <div className="summary-item">
             <span className="label">Total Instances:</span>
@@ -144,9 +197,32 @@ function HistogramView({ histogram, allFiles = [] }) {
             <span className="value">{formatSize(totalSize)}</span>
           </div>
         </div>
+        {reachability && (
+          <div className="reachability-summary">
+            {reachability.rootCount === 0 ? (
+              '⚠️ This dump has no GC roots, so every object is reported as unreachable.'
+            ) : (
+              <>
+                ♻️ <strong>{formatSize(reachability.unreachableSize)}</strong> ({reachability.unreachablePercentage.toFixed(1)}%)
+                in {formatNumber(reachability.unreachableCount)} objects is unreachable garbage that the next GC
+                would free; {formatSize(reachability.liveSize)} in {formatNumber(reachability.liveCount)} objects is live.
+                {reachability.unreachablePercentage >= 50 && ' Most of this heap is garbage rather than a leak.'}
+              </>
+            )}
+          </div>
+        )}
       </div>
 
       <div className="histogram-controls">
+        <select 
+          value={scope} 
+          onChange={(e) => setScope(e.target.value)}
+          className="limit-select"
+        >
+          <option value="all">All Objects</option>
+          <option value="live">Live Objects</option>
+          <option value="unreachable">Unreachable Objects</option>
+        </select>
         <input 
           type="text" 
           placeholder="Search classes..."
@@ -181,12 +257,13 @@ function HistogramView({ histogram, allFiles = [] }) {
                 Total Size {sortBy === 'totalSize' && (sortOrder === 'asc' ? '↑' : '↓')}
               </th>
               <th className="number">% of Heap</th>
-              {hasMultipleFiles && <th className="comparison-col">Trend</th>}
+              {showTrends && <th className="comparison-col">Trend</th>}
+              {queries && <th className="actions-col">Actions</th>}
             </tr>
           </thead>
           <tbody>
             {sortedAndFiltered.map((entry, index) => {
-              const comparison = hasMultipleFiles ? getComparisonInfo(entry.className, entry.totalSize, entry.instanceCount) : null;
+              const comparison = showTrends ? getComparisonInfo(entry.className, entry.totalSize, entry.instanceCount) : null;
               
               return (
                 <tr 
@@ -217,7 +294,7 @@ function HistogramView({ histogram, allFiles = [] }) {
                   <td className="number">
                     {((entry.totalSize / totalSize) * 100).toFixed(2)}%
                   </td>
-                  {hasMultipleFiles && (
+                  {showTrends && (
                     <td className="comparison-col">
                       {comparison ? (
                         <div className="comparison-info">
@@ -231,6 +308,24 @@ function HistogramView({ histogram, allFiles = [] }) {
                       )}
                     </td>
                   )}
+                  {queries && (
+                    <td className="actions-col">
+                      <button
+                        className="row-action-button"
+                        onClick={(e) => handleInstancesClick(e, entry)}
+                        title="List the instances of this class"
+                      >
+                        📋 Instances
+                      </button>
+                      <button
+                        className="row-action-button"
+                        onClick={(e) => handleMergedPathsClick(e, entry)}
+                        title="Merge the shortest paths from GC roots to all instances"
+                      >
+                        🧭 Paths
+                      </button>
+                    </td>
+                  )}
                 </tr>
               );
             })}
@@ -0,0 +1,136 @@
+/**
+ * InstanceListModal Component
+ *
+ * Lists the instances of a histogram entry, paged and sortable by object ID,
+ * shallow size or retained size, with a short preview of each value.
+ * Clicking an instance opens it in the object inspector. Pages are listed
+ * by the analysis worker.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { formatSize, formatNumber } from '../services/analyzers/histogramAnalyzer.js';
+import { formatObjectId } from '../services/objectId.js';
+import { useHeapQuery } from '../hooks/useHeapQuery.js';
+import ObjectInspector from './ObjectInspector.jsx';
+import Pager from './Pager.jsx';
+import './ClassDetailsModal.css';
+import './InstanceListModal.css';
+
+// Instances per page
+const PAGE_SIZE = 100;
+
+function InstanceListModal({ queries, classData, onClose }) {
+  const [sortBy, setSortBy] = useState('retainedSize');
+  const [sortOrder, setSortOrder] = useState('desc');
+  const [page, setPage] = useState(0);
+  const [inspectedObjectId, setInspectedObjectId] = useState(null);
+
+  // Close modal on Escape key (the inspector handles its own)
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Close modal on background click
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const listArgs = useMemo(
+    () => [classData.className, sortBy, sortOrder, page * PAGE_SIZE, PAGE_SIZE],
+    [classData.className, sortBy, sortOrder, page]
+  );
+  const { result: instances, error } = useHeapQuery(queries, 'listInstances', listArgs);
+
+  const pageCount = Math.ceil(classData.instanceCount / PAGE_SIZE);
+
+  const handleSort = (field) => {
+    if (sortBy === field) {
+      setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortBy(field);
+      setSortOrder('desc');
+    }
+    setPage(0);
+  };
+
+  const sortIndicator = (field) => sortBy === field && (sortOrder === 'asc' ? '↑' : '↓');
+
+  return (
+    <div className="modal-backdrop" onClick={handleBackdropClick}>
+      {inspectedObjectId !== null && (
+        <ObjectInspector
+          queries={queries}
+          objectId={inspectedObjectId}
+          onClose={() => setInspectedObjectId(null)}
+        />
+      )}
+      <div className="modal-content instance-list-modal">
+        <div className="modal-header">
+          <h2>📋 Instances</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="instance-list-summary">
+            <code className="instance-list-class">{classData.className}</code>
+            <span>{formatNumber(classData.instanceCount)} instances · {formatSize(classData.totalSize)}</span>
+          </div>
+
+          {error ? (
+            <div className="no-results">Listing instances failed: {error.message}</div>
+          ) : !instances ? (
+            <div className="no-results">Loading instances…</div>
+          ) : instances.total === 0 ? (
+            <div className="no-results">No instances of this class in the dump.</div>
+          ) : (
+            <table className="instance-list-table">
+              <thead>
+                <tr>
+                  <th onClick={() => handleSort('objectId')} className="sortable">
+                    Object ID {sortIndicator('objectId')}
+                  </th>
+                  <th onClick={() => handleSort('shallowSize')} className="sortable number">
+                    Shallow Size {sortIndicator('shallowSize')}
+                  </th>
+                  <th onClick={() => handleSort('retainedSize')} className="sortable number">
+                    Retained Size {sortIndicator('retainedSize')}
+                  </th>
+                  <th>Value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {instances.instances.map(row => (
+                  <tr
+                    key={formatObjectId(row.objectId)}
+                    onClick={() => setInspectedObjectId(row.objectId)}
+                    className="clickable-row"
+                    title="Inspect this object"
+                  >
+                    <td className="instance-id">{formatObjectId(row.objectId)}</td>
+                    <td className="number">{formatSize(row.shallowSize)}</td>
+                    <td className="number">{formatSize(row.retainedSize)}</td>
+                    <td className="instance-preview">{row.preview}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {pageCount > 1 && <Pager page={page} pageCount={pageCount} onChange={setPage} />}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default InstanceListModal;
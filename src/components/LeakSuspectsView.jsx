@@ -7,10 +7,12 @@
 import { useState } from 'react';
 import { formatSize, formatNumber } from '../services/analyzers/histogramAnalyzer.js';
 import ClassDetailsModal from './ClassDetailsModal.jsx';
+import MergedPathsModal from './MergedPathsModal.jsx';
 import './LeakSuspectsView.css';
 
-function LeakSuspectsView({ suspects, insights, allFiles = [] }) {
+function LeakSuspectsView({ suspects, insights, queries, allFiles = [] }) {
   const [selectedClass, setSelectedClass] = useState(null);
+  const [mergedPathsClass, setMergedPathsClass] = useState(null);
 
   // Calculate comparison data
   const hasMultipleFiles = allFiles.length > 1;
@@ -49,9 +51,17 @@ function LeakSuspectsView({ suspects, insights, allFiles = [] }) {
       {selectedClass && (
         <ClassDetailsModal 
           classData={selectedClass}
+          queries={queries}
           onClose={handleCloseModal}
         />
       )}
+      {mergedPathsClass && (
+        <MergedPathsModal
+          queries={queries}
+          className={mergedPathsClass}
+          onClose={() => setMergedPathsClass(null)}
+        />
+      )}
       <div className="leak-suspects-header">
         <h2>Memory Leak Suspects</h2>
         {hasMultipleFiles && crossFileLeaks && (
@@ -161,13 +171,17 @@ function LeakSuspectsView({ suspects, insights, allFiles = [] }) {
                     <span className="severity-icon">{getSeverityIcon(suspect.severity)}</span>
                     <span className="severity-text">{suspect.severity.toUpperCase()}</span>
                   </div>
-                  <div 
-                    className="suspect-class clickable-suspect-class"
-                    onClick={() => handleClassClick(suspect)}
-                    title="Click for detailed insights"
-                  >
-                    {suspect.className}
-                  </div>
+                  {suspect.generatedClasses ? (
+                    <div className="suspect-class">{suspect.className}</div>
+                  ) : (
+                    <div 
+                      className="suspect-class clickable-suspect-class"
+                      onClick={() => handleClassClick(suspect)}
+                      title="Click for detailed insights"
+                    >
+                      {suspect.className}
+                    </div>
+                  )}
                   {crossFileInfo && (
                     <div className="cross-file-badge">
                       {crossFileInfo.isPersistent && <span className="persistent-badge">⚠️ Persistent</span>}
@@ -176,9 +190,34 @@ function LeakSuspectsView({ suspects, insights, allFiles = [] }) {
                       </span>
                     </div>
                   )}
+                  {queries && !suspect.generatedClasses && (
+                    <button
+                      className="suspect-paths-button"
+                      onClick={() => setMergedPathsClass(suspect.className)}
+                      title="Merge the shortest paths from GC roots to all instances"
+                    >
+                      🧭 Paths to GC Roots
+                    </button>
+                  )}
                 </div>
 
                 <div className="suspect-stats">
+                  {suspect.generatedClasses && (
+                    <>
+                      <div className="stat">
+                        <span className="stat-label">Classes:</span>
+                        <span className="stat-value">{formatNumber(suspect.generatedClasses.classCount)}</span>
+                      </div>
+                      <div className="stat">
+                        <span className="stat-label">Loaders:</span>
+                        <span className="stat-value">{formatNumber(suspect.generatedClasses.loaderCount)}</span>
+                      </div>
+                      <div className="stat">
+                        <span className="stat-label">Est. Metaspace:</span>
+                        <span className="stat-value">{formatSize(suspect.generatedClasses.estimatedMetadataSize)}</span>
+                      </div>
+                    </>
+                  )}
                   <div className="stat">
                     <span className="stat-label">Instances:</span>
                     <span className="stat-value">{formatNumber(suspect.instanceCount)}</span>
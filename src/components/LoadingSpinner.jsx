@@ -1,23 +1,52 @@
 /**
  * LoadingSpinner Component
  * 
- * Shows loading state while parsing heap dump.
+ * Shows loading state while parsing heap dump, with the current phase,
+ * percentage and estimated time remaining when they are known, and an
+ * optional Cancel button.
  */
 
 import './LoadingSpinner.css';
 
-function LoadingSpinner({ message, progress }) {
+function LoadingSpinner({ message, phase, progress, etaSeconds, onCancel, cancelling = false }) {
   return (
     <div className="loading-spinner">
       <div className="spinner-container">
         <div className="spinner"></div>
         <div className="spinner-message">{message}</div>
+        {phase && (
+          <div className="spinner-phase">{phase}...</div>
+        )}
         {progress !== undefined && (
-          <div className="spinner-progress">{progress}%</div>
+          <>
+            <div className="spinner-progress-bar">
+              <div className="spinner-progress-fill" style={{ width: `${progress}%` }} />
+            </div>
+            <div className="spinner-progress">{progress}%</div>
+          </>
+        )}
+        {etaSeconds !== undefined && (
+          <div className="spinner-eta">About {formatDuration(etaSeconds)} remaining</div>
+        )}
+        {onCancel && (
+          <button className="spinner-cancel" onClick={onCancel} disabled={cancelling}>
+            {cancelling ? 'Cancelling...' : 'Cancel'}
+          </button>
         )}
       </div>
     </div>
   );
 }
 
+/**
+ * Format a duration for display
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "45s" or "3m 20s"
+ */
+function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}m ${seconds % 60}s`;
+}
+
 export default LoadingSpinner;
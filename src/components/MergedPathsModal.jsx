@@ -0,0 +1,148 @@
+/**
+ * MergedPathsModal Component
+ *
+ * Shows the shortest paths from GC roots to every instance of a class,
+ * merged into one tree grouped by class. Each node counts how many of the
+ * instances are retained through it, so the few structures holding most of
+ * them stand out. The paths are merged in the analysis worker.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { formatSize, formatNumber } from '../services/analyzers/histogramAnalyzer.js';
+import { useHeapQuery } from '../hooks/useHeapQuery.js';
+import './ClassDetailsModal.css';
+import './MergedPathsModal.css';
+
+// Tree levels expanded when the modal opens
+const INITIAL_EXPANDED_DEPTH = 2;
+
+function MergedPathsModal({ queries, className, onClose }) {
+  const [excludeWeakReferences, setExcludeWeakReferences] = useState(true);
+
+  // Close modal on Escape key
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Close modal on background click
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const mergeArgs = useMemo(
+    () => [className, { excludeWeakReferences }],
+    [className, excludeWeakReferences]
+  );
+  const { result: merged, error, loading } = useHeapQuery(queries, 'mergeShortestPaths', mergeArgs);
+
+  return (
+    <div className="modal-backdrop" onClick={handleBackdropClick}>
+      <div className="modal-content merged-paths-modal">
+        <div className="modal-header">
+          <h2>🧭 Merged Paths to GC Roots</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="merged-paths-controls">
+            <code className="merged-paths-class">{className}</code>
+            <label className="merged-paths-option">
+              <input
+                type="checkbox"
+                checked={excludeWeakReferences}
+                onChange={(e) => setExcludeWeakReferences(e.target.checked)}
+              />
+              Exclude weak/soft/phantom references
+            </label>
+          </div>
+
+          {loading && <div className="merged-paths-loading">Merging paths…</div>}
+          {error && <div className="merged-paths-error">Merging paths failed: {error.message}</div>}
+
+          {merged && (
+            <p className="merged-paths-summary">
+              {formatNumber(merged.objectCount)} instances reachable from GC roots
+              {merged.unreachableCount > 0 && (
+                `; ${formatNumber(merged.unreachableCount)} have no path${excludeWeakReferences ? ' through strong references' : ''}`
+              )}
+            </p>
+          )}
+
+          {merged && (merged.roots.length === 0 ? (
+            <div className="no-results">No instance of this class is reachable from a GC root.</div>
+          ) : (
+            <ul className="merged-paths-tree">
+              {merged.roots.map((node, index) => (
+                <MergedPathNode key={index} node={node} total={merged.objectCount} depth={0} />
+              ))}
+            </ul>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function MergedPathNode({ node, total, depth }) {
+  const [expanded, setExpanded] = useState(depth < INITIAL_EXPANDED_DEPTH);
+  const hasChildren = node.children.length > 0;
+  const percentage = (node.objectCount / total) * 100;
+
+  return (
+    <li className="merged-path-node">
+      <div
+        className={`merged-path-row ${hasChildren ? 'expandable' : ''}`}
+        onClick={() => hasChildren && setExpanded(!expanded)}
+      >
+        <span className="merged-path-toggle">{hasChildren ? (expanded ? '▼' : '▶') : '•'}</span>
+        {node.fieldName && <span className="merged-path-field">.{node.fieldName} →</span>}
+        {node.skippedHops ? (
+          <span className="merged-path-collapsed">
+            … {formatHops(node.skippedHops)} collapsed …
+          </span>
+        ) : (
+          <span className="merged-path-class">{node.className}</span>
+        )}
+        {node.rootTypes.map(rootType => (
+          <span key={rootType} className="merged-path-root">GC root: {rootType}</span>
+        ))}
+        <span className="merged-path-stats">
+          {formatNumber(node.objectCount)} objects · {formatSize(node.totalSize)}
+        </span>
+        <span className="merged-path-bar" title={`${percentage.toFixed(1)}% of the reachable instances`}>
+          <span className="merged-path-bar-fill" style={{ width: `${percentage}%` }} />
+        </span>
+      </div>
+      {expanded && hasChildren && (
+        <ul className="merged-paths-tree">
+          {node.children.map((child, index) => (
+            <MergedPathNode key={index} node={child} total={total} depth={depth + 1} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Describe the hops left out of collapsed paths
+ * @param {Object} skippedHops - { min, max }
+ * @returns {string} e.g. "120 hops" or "12–4,980 hops"
+ */
+function formatHops({ min, max }) {
+  return min === max
+    ? `${formatNumber(min)} hops`
+    : `${formatNumber(min)}–${formatNumber(max)} hops`;
+}
+
+export default MergedPathsModal;
@@ -0,0 +1,272 @@
+/**
+ * ObjectInspector Component
+ *
+ * Shows a single object: its class, shallow and retained size, field values,
+ * array elements (paged) and the objects that refer to it. Clicking any
+ * reference inspects that object instead, with back/forward history. The
+ * object is looked up in the analysis worker, which holds the heap data.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { formatSize, formatNumber } from '../services/analyzers/histogramAnalyzer.js';
+import { formatObjectId } from '../services/objectId.js';
+import { useHeapQuery } from '../hooks/useHeapQuery.js';
+import Pager from './Pager.jsx';
+import './ClassDetailsModal.css';
+import './ObjectInspector.css';
+
+// Array elements and incoming references per page
+const PAGE_SIZE = 100;
+
+function ObjectInspector({ queries, objectId, onClose }) {
+  // Visited objects and the position of the one shown
+  const [history, setHistory] = useState({ objectIds: [objectId], index: 0 });
+  const [elementPage, setElementPage] = useState(0);
+  const [incomingPage, setIncomingPage] = useState(0);
+  const currentId = history.objectIds[history.index];
+
+  // Close on Escape; listening in the capture phase keeps a modal underneath
+  // (e.g. class details) open
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [onClose]);
+
+  // Close modal on background click
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const detailsArgs = useMemo(() => [currentId], [currentId]);
+  const { result: details, error: detailsError } = useHeapQuery(queries, 'inspectObject', detailsArgs);
+
+  // Asked for alongside the details; objects other than arrays have none
+  const elementArgs = useMemo(
+    () => [currentId, elementPage * PAGE_SIZE, PAGE_SIZE],
+    [currentId, elementPage]
+  );
+  const { result: elementPageResult } = useHeapQuery(queries, 'getArrayElements', elementArgs);
+  const elements = details && details.length !== null ? elementPageResult : null;
+
+  const incomingArgs = useMemo(
+    () => [currentId, incomingPage * PAGE_SIZE, PAGE_SIZE],
+    [currentId, incomingPage]
+  );
+  const { result: incoming, error: incomingError } = useHeapQuery(queries, 'getIncomingReferences', incomingArgs);
+
+  const showHistoryEntry = (index) => {
+    setHistory({ ...history, index });
+    setElementPage(0);
+    setIncomingPage(0);
+  };
+
+  const navigate = (targetId) => {
+    if (targetId === currentId) return;
+    setHistory({
+      objectIds: [...history.objectIds.slice(0, history.index + 1), targetId],
+      index: history.index + 1
+    });
+    setElementPage(0);
+    setIncomingPage(0);
+  };
+
+  const renderReference = (reference) => (
+    <button
+      className="inspector-link"
+      onClick={() => navigate(reference.objectId)}
+      title="Inspect this object"
+    >
+      {reference.className} @ {formatObjectId(reference.objectId)}
+      {reference.stringValue && <span className="inspector-string"> {reference.stringValue}</span>}
+    </button>
+  );
+
+  const renderValue = (typeName, value, reference) => {
+    if (reference) return renderReference(reference);
+    if (value === null) return <span className="inspector-null">null</span>;
+    if (typeName === 'object') return <span className="inspector-missing">{formatObjectId(value)} (not in dump)</span>;
+    if (typeName === 'char') return `'${value}'`;
+    return String(value);
+  };
+
+  const elementPageCount = elements ? Math.ceil(elements.availableLength / PAGE_SIZE) : 0;
+  const incomingPageCount = incoming ? Math.ceil(incoming.total / PAGE_SIZE) : 0;
+
+  return (
+    <div className="modal-backdrop" onClick={handleBackdropClick}>
+      <div className="modal-content object-inspector">
+        <div className="modal-header">
+          <div className="inspector-nav">
+            <button
+              className="inspector-nav-button"
+              onClick={() => showHistoryEntry(history.index - 1)}
+              disabled={history.index === 0}
+              title="Back"
+            >
+              ←
+            </button>
+            <button
+              className="inspector-nav-button"
+              onClick={() => showHistoryEntry(history.index + 1)}
+              disabled={history.index === history.objectIds.length - 1}
+              title="Forward"
+            >
+              →
+            </button>
+            <h2>Object Inspector</h2>
+          </div>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {detailsError ? (
+            <div className="no-results">Inspecting {formatObjectId(currentId)} failed: {detailsError.message}</div>
+          ) : details === undefined ? (
+            <div className="no-results">Loading {formatObjectId(currentId)}…</div>
+          ) : !details ? (
+            <div className="no-results">Object {formatObjectId(currentId)} is not in this dump.</div>
+          ) : (
+            <>
+              <div className="inspector-summary">
+                <div className="inspector-title">
+                  {details.classObjectId !== null ? (
+                    <button
+                      className="inspector-link inspector-class"
+                      onClick={() => navigate(details.classObjectId)}
+                      title="Inspect the class object"
+                    >
+                      {details.className}
+                    </button>
+                  ) : (
+                    <code className="inspector-class">{details.className}</code>
+                  )}
+                  <span className="inspector-id">@ {formatObjectId(details.objectId)}</span>
+                  {details.rootTypes.map(rootType => (
+                    <span key={rootType} className="inspector-root">GC root: {rootType}</span>
+                  ))}
+                </div>
+                <div className="inspector-sizes">
+                  <span>Shallow: <strong>{formatSize(details.shallowSize)}</strong></span>
+                  <span>Retained: <strong>{formatSize(details.retainedSize)}</strong></span>
+                  {details.length !== null && (
+                    <span>Length: <strong>{formatNumber(details.length)}</strong></span>
+                  )}
+                </div>
+                {details.stringValue && (
+                  <div className="inspector-string-value">{details.stringValue}</div>
+                )}
+              </div>
+
+              {details.length === null && (
+                <div className="inspector-section">
+                  <h3>{details.kind === 'class' ? 'Static Fields' : 'Fields'}</h3>
+                  {details.fields.length === 0 ? (
+                    <div className="inspector-empty">No fields.</div>
+                  ) : (
+                    <table className="inspector-table">
+                      <thead>
+                        <tr>
+                          <th>Name</th>
+                          <th>Type</th>
+                          <th>Value</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {details.fields.map((field, index) => (
+                          <tr key={index}>
+                            <td className="inspector-field" title={`Declared in ${field.declaringClass}`}>{field.name}</td>
+                            <td className="inspector-type">{field.typeName}</td>
+                            <td>{renderValue(field.typeName, field.value, field.reference)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+
+              {elements && (
+                <div className="inspector-section">
+                  <h3>Elements</h3>
+                  {elements.availableLength < details.length && (
+                    <div className="inspector-empty">
+                      {elements.availableLength === 0
+                        ? 'The contents of this array are not kept by the parser.'
+                        : `Only the first ${formatNumber(elements.availableLength)} elements are kept by the parser.`}
+                    </div>
+                  )}
+                  {elements.elements.length > 0 && (
+                    <table className="inspector-table">
+                      <thead>
+                        <tr>
+                          <th>Index</th>
+                          <th>Value</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {elements.elements.map(element => (
+                          <tr key={element.index}>
+                            <td className="inspector-field">[{element.index}]</td>
+                            <td>{renderValue(details.elementTypeName, element.value, element.reference)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  {elementPageCount > 1 && (
+                    <Pager page={elementPage} pageCount={elementPageCount} onChange={setElementPage} />
+                  )}
+                </div>
+              )}
+
+              <div className="inspector-section">
+                <h3>Incoming References{incoming && ` (${formatNumber(incoming.total)})`}</h3>
+                {incomingError ? (
+                  <div className="inspector-empty">Looking up references failed: {incomingError.message}</div>
+                ) : !incoming ? (
+                  <div className="inspector-empty">Looking up references…</div>
+                ) : incoming.total === 0 ? (
+                  <div className="inspector-empty">
+                    {details.rootTypes.length > 0 ? 'Only referenced as a GC root.' : 'No objects refer to this object.'}
+                  </div>
+                ) : (
+                  <table className="inspector-table">
+                    <thead>
+                      <tr>
+                        <th>Object</th>
+                        <th>Through</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {incoming.references.map((reference, index) => (
+                        <tr key={index}>
+                          <td>{renderReference(reference)}</td>
+                          <td className="inspector-field">{reference.name}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {incomingPageCount > 1 && (
+                  <Pager page={incomingPage} pageCount={incomingPageCount} onChange={setIncomingPage} />
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ObjectInspector;
@@ -0,0 +1,20 @@
+/**
+ * Pager Component
+ *
+ * Previous/next controls for a paged list.
+ */
+
+import { formatNumber } from '../services/analyzers/histogramAnalyzer.js';
+import './Pager.css';
+
+function Pager({ page, pageCount, onChange }) {
+  return (
+    <div className="pager">
+      <button onClick={() => onChange(page - 1)} disabled={page === 0}>‹ Previous</button>
+      <span>Page {formatNumber(page + 1)} of {formatNumber(pageCount)}</span>
+      <button onClick={() => onChange(page + 1)} disabled={page === pageCount - 1}>Next ›</button>
+    </div>
+  );
+}
+
+export default Pager;
@@ -0,0 +1,431 @@
+/**
+ * ThreadsView Component
+ *
+ * Lists the threads in the dump with their state, retained size and the
+ * memory held by their thread-local maps. Expanding a thread shows its stack
+ * with the objects each frame holds as local variables. The ThreadLocal
+ * modes list the values in each thread's ThreadLocal maps, by thread and by
+ * ThreadLocal, and flag stale values whose ThreadLocal was collected or is
+ * only weakly reachable.
+ */
+
+import { Fragment, useState, useMemo } from 'react';
+import { formatSize, formatNumber } from '../services/analyzers/histogramAnalyzer.js';
+import { formatStackFrame } from '../services/analyzers/allocationSiteAnalyzer.js';
+import { formatObjectId } from '../services/objectId.js';
+import ObjectInspector from './ObjectInspector.jsx';
+import './ThreadsView.css';
+
+function ThreadsView({ threads, threadLocals, queries }) {
+  const [viewMode, setViewMode] = useState('threads');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [staleOnly, setStaleOnly] = useState(false);
+  const [limit, setLimit] = useState(100);
+  const [expandedId, setExpandedId] = useState(null);
+  const [inspectedObjectId, setInspectedObjectId] = useState(null);
+
+  // Search matches the thread name, class or any frame
+  const filteredThreads = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return threads.threads
+      .filter(thread =>
+        thread.name?.toLowerCase().includes(term) ||
+        thread.className.toLowerCase().includes(term) ||
+        thread.frames.some(({ frame }) => frame && formatStackFrame(frame).toLowerCase().includes(term))
+      )
+      .slice(0, limit);
+  }, [threads, searchTerm, limit]);
+
+  // Search matches the thread name or class, or the class of any value
+  const filteredValueThreads = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return threadLocals.byThread
+      .filter(thread =>
+        (!staleOnly || thread.staleEntryCount > 0) &&
+        (thread.name?.toLowerCase().includes(term) ||
+          thread.className.toLowerCase().includes(term) ||
+          thread.entries.some(entry => entry.valueClass.toLowerCase().includes(term)))
+      )
+      .slice(0, limit);
+  }, [threadLocals, searchTerm, staleOnly, limit]);
+
+  const filteredThreadLocals = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return threadLocals.byThreadLocal
+      .filter(entry =>
+        (!staleOnly || entry.stale) &&
+        ((entry.threadLocalClass ?? '').toLowerCase().includes(term) ||
+          entry.owner?.className.toLowerCase().includes(term) ||
+          entry.owner?.fieldName.toLowerCase().includes(term) ||
+          entry.valueClasses.some(({ className }) => className.toLowerCase().includes(term)))
+      )
+      .slice(0, limit);
+  }, [threadLocals, searchTerm, staleOnly, limit]);
+
+  const handleRowClick = (key) => {
+    setExpandedId(expandedId === key ? null : key);
+  };
+
+  const handleModeChange = (mode) => {
+    setViewMode(mode);
+    setExpandedId(null);
+  };
+
+  const inspect = (e, objectId) => {
+    e.stopPropagation();
+    setInspectedObjectId(objectId);
+  };
+
+  const renderObjectLink = (objectId, title) => (
+    <button
+      className="object-id"
+      onClick={(e) => inspect(e, objectId)}
+      title={title}
+    >
+      {formatObjectId(objectId)}
+    </button>
+  );
+
+  const renderThreadName = (thread) => (
+    <>
+      {thread.name ?? <span className="unnamed">&lt;unnamed&gt;</span>}
+      {thread.daemon && <span className="daemon-badge">daemon</span>}
+      <span className="thread-class">{thread.className}</span>
+      {renderObjectLink(thread.objectId, 'Inspect this thread')}
+    </>
+  );
+
+  const threadLocalsSize = threads.threads.reduce((sum, thread) => sum + thread.threadLocalsSize, 0);
+
+  const shownCount = {
+    threads: filteredThreads.length,
+    byThread: filteredValueThreads.length,
+    byThreadLocal: filteredThreadLocals.length
+  }[viewMode];
+  const hasData = viewMode === 'threads' ? threads.threadCount > 0 : threadLocals.entryCount > 0;
+
+  return (
+    <div className="threads-view">
+      {inspectedObjectId !== null && (
+        <ObjectInspector
+          queries={queries}
+          objectId={inspectedObjectId}
+          onClose={() => setInspectedObjectId(null)}
+        />
+      )}
+      <div className="threads-header">
+        <h2>Threads</h2>
+        <p className="description">
+          Every thread object in the dump with its state, the memory it retains and the memory held by
+          its ThreadLocal maps. Click a thread to see its stack and the objects each frame keeps alive
+          as local variables - a request being processed or a batch being built often shows up here as
+          one large local. A stale ThreadLocal value belongs to a ThreadLocal that was already garbage
+          collected or that only weak references still reach, so the next GC collects it; pooled threads
+          keep such values until they end, the typical ThreadLocal leak.
+        </p>
+        <div className="threads-summary">
+          <div className="summary-item">
+            <span className="label">Threads:</span>
+            <span className="value">{formatNumber(threads.threadCount)}</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Stack Locals:</span>
+            <span className="value">{formatNumber(threads.localCount)}</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Thread-Local Maps:</span>
+            <span className="value">{formatSize(threadLocalsSize)}</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">ThreadLocal Values:</span>
+            <span className="value">{formatNumber(threadLocals.entryCount)} ({formatSize(threadLocals.valueSize)})</span>
+          </div>
+          <div className="summary-item">
+            <span className="label">Stale Values:</span>
+            <span className="value">{formatNumber(threadLocals.staleEntryCount)} ({formatSize(threadLocals.staleValueSize)})</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="threads-controls">
+        <select
+          value={viewMode}
+          onChange={(e) => handleModeChange(e.target.value)}
+          className="limit-select"
+        >
+          <option value="threads">Threads &amp; Stacks</option>
+          <option value="byThread">ThreadLocal Values by Thread</option>
+          <option value="byThreadLocal">ThreadLocal Values by ThreadLocal</option>
+        </select>
+        <input
+          type="text"
+          placeholder={{
+            threads: 'Search thread names, classes or frames...',
+            byThread: 'Search thread names, classes or value classes...',
+            byThreadLocal: 'Search ThreadLocal, owner or value classes...'
+          }[viewMode]}
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="search-input"
+        />
+        {viewMode !== 'threads' && (
+          <label className="stale-only-toggle">
+            <input
+              type="checkbox"
+              checked={staleOnly}
+              onChange={(e) => setStaleOnly(e.target.checked)}
+            />
+            Stale values only
+          </label>
+        )}
+        <select
+          value={limit}
+          onChange={(e) => setLimit(Number(e.target.value))}
+          className="limit-select"
+        >
+          <option value={50}>Show 50</option>
+          <option value={100}>Show 100</option>
+          <option value={200}>Show 200</option>
+        </select>
+      </div>
+
+      <div className="threads-table-container">
+        {viewMode === 'threads' && (
+          <table className="threads-table">
+            <thead>
+              <tr>
+                <th>Thread</th>
+                <th>State</th>
+                <th className="number">Frames</th>
+                <th className="number">Locals</th>
+                <th className="number">Thread Locals</th>
+                <th className="number">Retained Size</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredThreads.map((thread) => {
+                const key = formatObjectId(thread.objectId);
+                const isExpanded = expandedId === key;
+
+                return (
+                  <Fragment key={key}>
+                    <tr
+                      onClick={() => handleRowClick(key)}
+                      className="clickable-row"
+                      title="Click to show the stack and its local objects"
+                    >
+                      <td className="thread-name">
+                        <span className="expand-icon">{isExpanded ? '▼' : '▶'}</span>
+                        {renderThreadName(thread)}
+                      </td>
+                      <td>
+                        {thread.state
+                          ? <span className={`thread-state state-${thread.state.toLowerCase()}`}>{thread.state}</span>
+                          : '—'}
+                      </td>
+                      <td className="number">{formatNumber(thread.frames.filter(({ frame }) => frame).length)}</td>
+                      <td className="number">{formatNumber(thread.localCount)}</td>
+                      <td className="number">{formatSize(thread.threadLocalsSize)}</td>
+                      <td className="number">{formatSize(thread.retainedSize)}</td>
+                    </tr>
+                    {isExpanded && (
+                      <tr className="thread-details">
+                        <td colSpan={6}>
+                          {thread.frames.length === 0 ? (
+                            <p className="no-stack">
+                              {thread.threadSerial === null
+                                ? 'This thread has no stack in the dump (it was not started, has ended, or the dump omits stacks).'
+                                : 'The dump holds no frames for this thread.'}
+                            </p>
+                          ) : (
+                            <ol className="thread-frames">
+                              {thread.frames.map(({ depth, frame, locals }) => (
+                                <li key={depth}>
+                                  <div className="frame-location">
+                                    {frame ? `at ${formatStackFrame(frame)}` : `<frame ${depth}, not in the stack trace>`}
+                                  </div>
+                                  {locals.length > 0 && (
+                                    <ul className="frame-locals">
+                                      {locals.map((local, index) => (
+                                        <li key={index}>
+                                          {renderObjectLink(local.objectId, 'Inspect this object')}
+                                          <span className="local-class">{local.className}</span>
+                                          {local.stringValue && (
+                                            <span className="local-value">{local.stringValue}</span>
+                                          )}
+                                          <span className="local-size">{formatSize(local.retainedSize)}</span>
+                                          {local.rootType !== 'Java Frame' && (
+                                            <span className="local-root">{local.rootType}</span>
+                                          )}
+                                        </li>
+                                      ))}
+                                    </ul>
+                                  )}
+                                </li>
+                              ))}
+                            </ol>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        {viewMode === 'byThread' && (
+          <table className="threads-table">
+            <thead>
+              <tr>
+                <th>Thread</th>
+                <th className="number">Values</th>
+                <th className="number">Value Size</th>
+                <th className="number">Stale Values</th>
+                <th className="number">Stale Size</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredValueThreads.map((thread) => {
+                const key = formatObjectId(thread.objectId);
+                const isExpanded = expandedId === key;
+
+                return (
+                  <Fragment key={key}>
+                    <tr
+                      onClick={() => handleRowClick(key)}
+                      className="clickable-row"
+                      title="Click to show the thread's ThreadLocal values"
+                    >
+                      <td className="thread-name">
+                        <span className="expand-icon">{isExpanded ? '▼' : '▶'}</span>
+                        {renderThreadName(thread)}
+                      </td>
+                      <td className="number">{formatNumber(thread.entryCount)}</td>
+                      <td className="number">{formatSize(thread.valueSize)}</td>
+                      <td className="number">{formatNumber(thread.staleEntryCount)}</td>
+                      <td className="number">{formatSize(thread.staleValueSize)}</td>
+                    </tr>
+                    {isExpanded && (
+                      <tr className="thread-details">
+                        <td colSpan={5}>
+                          <table className="thread-local-entries">
+                            <thead>
+                              <tr>
+                                <th>ThreadLocal</th>
+                                <th>Value</th>
+                                <th className="number">Retained Size</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {thread.entries.map((entry, index) => (
+                                <tr key={index}>
+                                  <td>
+                                    {entry.threadLocalObjectId === null ? (
+                                      <span className="stale-badge">collected</span>
+                                    ) : (
+                                      <>
+                                        <span className="local-class">{entry.threadLocalClass}</span>
+                                        {renderObjectLink(entry.threadLocalObjectId, 'Inspect this ThreadLocal')}
+                                        {entry.stale && <span className="stale-badge weak">weakly reachable</span>}
+                                      </>
+                                    )}
+                                    {entry.mapField === 'inheritableThreadLocals' && (
+                                      <span className="inheritable-badge">inheritable</span>
+                                    )}
+                                  </td>
+                                  <td>
+                                    <span className="local-class">{entry.valueClass}</span>
+                                    {renderObjectLink(entry.valueObjectId, 'Inspect this value')}
+                                    {entry.stringValue && (
+                                      <span className="local-value">{entry.stringValue}</span>
+                                    )}
+                                  </td>
+                                  <td className="number">{formatSize(entry.retainedSize)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          {thread.entries.length < thread.entryCount && (
+                            <p className="more-entries">
+                              Showing the largest {formatNumber(thread.entries.length)} of {formatNumber(thread.entryCount)} values.
+                            </p>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        {viewMode === 'byThreadLocal' && (
+          <table className="threads-table">
+            <thead>
+              <tr>
+                <th>ThreadLocal</th>
+                <th>Held By</th>
+                <th>Value Classes</th>
+                <th className="number">Threads</th>
+                <th className="number">Value Size</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredThreadLocals.map((entry) => (
+                <tr key={entry.threadLocalObjectId === null ? 'collected' : formatObjectId(entry.threadLocalObjectId)}>
+                  <td className="thread-name">
+                    {entry.threadLocalObjectId === null ? (
+                      <span className="stale-badge">collected ThreadLocals</span>
+                    ) : (
+                      <>
+                        <span className="local-class">{entry.threadLocalClass}</span>
+                        {renderObjectLink(entry.threadLocalObjectId, 'Inspect this ThreadLocal')}
+                        {entry.stale && <span className="stale-badge weak">weakly reachable</span>}
+                      </>
+                    )}
+                  </td>
+                  <td className="thread-name">
+                    {entry.owner ? (
+                      <button
+                        className="owner-link"
+                        onClick={(e) => inspect(e, entry.owner.objectId)}
+                        title="Inspect the owner"
+                      >
+                        {entry.owner.className}
+                        <span className="owner-field">.{entry.owner.fieldName}</span>
+                      </button>
+                    ) : '—'}
+                  </td>
+                  <td>
+                    <ul className="value-classes">
+                      {entry.valueClasses.map((valueClass) => (
+                        <li key={valueClass.className}>
+                          {valueClass.className} × {formatNumber(valueClass.count)}
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                  <td className="number">{formatNumber(entry.threadCount)}</td>
+                  <td className="number">{formatSize(entry.valueSize)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {shownCount === 0 && (
+        <div className="no-results">
+          {!hasData
+            ? (viewMode === 'threads' ? 'No thread objects in this dump.' : 'No thread holds ThreadLocal values in this dump.')
+            : 'Nothing matches your search or filter.'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ThreadsView;
@@ -0,0 +1,44 @@
+/**
+ * useHeapQuery Hook
+ *
+ * Runs a query in the analysis worker of a heap dump (see
+ * analysisWorkerClient.js) and cancels it when its arguments change or the
+ * component unmounts.
+ */
+
+import { useState, useEffect } from 'react';
+
+/**
+ * Run a worker query and track its result
+ * @param {Object} queries - Query handle of the heap dump
+ * @param {string} method - Query name, see QUERIES in analysis.worker.js
+ * @param {Array} args - Arguments after the heap data. The query reruns
+ *   whenever a different array is passed, so memoize it with useMemo.
+ * @returns {Object} { result, error, loading }; result is undefined and
+ *   error null while loading
+ */
+export function useHeapQuery(queries, method, args) {
+  const [state, setState] = useState({ queries: null, method: null, args: null, result: undefined, error: null });
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    queries.run(method, args, { signal: abortController.signal }).then(
+      (result) => setState({ queries, method, args, result, error: null }),
+      (error) => {
+        if (error.name !== 'AbortError') {
+          setState({ queries, method, args, result: undefined, error });
+        }
+      }
+    );
+    return () => abortController.abort();
+  }, [queries, method, args]);
+
+  const current = state.queries === queries && state.method === method && state.args === args;
+  return {
+    result: current ? state.result : undefined,
+    error: current ? state.error : null,
+    loading: !current
+  };
+}
+
+export default useHeapQuery;
@@ -0,0 +1,147 @@
+/**
+ * Analysis Pipeline
+ * 
+ * Runs every step needed to turn a heap dump file into the data shown by
+ * the views: parsing, reachability, histogram, dominator tree, leak
+ * detection, allocation sites, duplicate strings, collection fill ratios, the
+ * largest collections, boxed primitives, class loaders, generated classes,
+ * threads and ThreadLocal values.
+ * 
+ * The pipeline runs inside the analysis Web Worker (see workers/analysis.worker.js)
+ * so the UI stays responsive, but has no worker-specific code itself.
+ */
+
+import HprofParser from './hprofParser.js';
+import { openHeapDump } from './heapDumpFiles.js';
+import { getObjectGraph } from './analyzers/objectGraph.js';
+import { analyzeReachability } from './analyzers/reachabilityAnalyzer.js';
+import { generateHistogram } from './analyzers/histogramAnalyzer.js';
+import { calculateDominatorTree, getTotalHeapSize } from './analyzers/dominatorTreeAnalyzer.js';
+import { detectLeakSuspects, generateLeakInsights } from './analyzers/leakDetector.js';
+import { analyzeAllocationSites } from './analyzers/allocationSiteAnalyzer.js';
+import { findDuplicateStrings } from './analyzers/duplicateDetector.js';
+import { analyzeCollectionFill, findLargestCollections } from './analyzers/collectionAnalyzer.js';
+import { analyzeBoxedPrimitives } from './analyzers/boxedPrimitiveAnalyzer.js';
+import { analyzeClassLoaders } from './analyzers/classLoaderAnalyzer.js';
+import { analyzeGeneratedClasses } from './analyzers/generatedClassAnalyzer.js';
+import { analyzeThreads } from './analyzers/threadAnalyzer.js';
+import { analyzeThreadLocals } from './analyzers/threadLocalAnalyzer.js';
+
+// Pipeline phases, in the order they run
+export const PHASES = {
+  PARSING: 'parsing',
+  REFERENCES: 'references',
+  REACHABILITY: 'reachability',
+  HISTOGRAM: 'histogram',
+  DOMINATOR_TREE: 'dominatorTree',
+  LEAK_SUSPECTS: 'leakSuspects',
+  ALLOCATION_SITES: 'allocationSites',
+  DUPLICATE_STRINGS: 'duplicateStrings',
+  COLLECTIONS: 'collections',
+  BOXED_PRIMITIVES: 'boxedPrimitives',
+  CLASS_LOADERS: 'classLoaders',
+  THREADS: 'threads'
+};
+
+// Human-readable phase names for progress display
+export const PHASE_LABELS = {
+  [PHASES.PARSING]: 'Parsing heap dump',
+  [PHASES.REFERENCES]: 'Indexing object references',
+  [PHASES.REACHABILITY]: 'Marking reachable objects',
+  [PHASES.HISTOGRAM]: 'Building histogram',
+  [PHASES.DOMINATOR_TREE]: 'Calculating dominator tree',
+  [PHASES.LEAK_SUSPECTS]: 'Detecting leak suspects',
+  [PHASES.ALLOCATION_SITES]: 'Grouping allocation sites',
+  [PHASES.DUPLICATE_STRINGS]: 'Finding duplicate strings',
+  [PHASES.COLLECTIONS]: 'Measuring collections',
+  [PHASES.BOXED_PRIMITIVES]: 'Counting boxed primitives',
+  [PHASES.CLASS_LOADERS]: 'Grouping classes by loader',
+  [PHASES.THREADS]: 'Collecting threads and ThreadLocal values'
+};
+
+/**
+ * Parse and analyze a heap dump
+ * @param {Object} dumpFile - Heap dump from expandHeapDumpFiles ({ name, blob, compression })
+ * @param {Function} onProgress - Called with { phase, completed, total } counting
+ *   bytes, objects or classes; total is 0 for the leak suspect and thread
+ *   phases, which only look at a few objects and finish quickly
+ * @returns {Object} Heap data, its total shallow size (totalHeapSize) and the
+ *   results of every analyzer. Everything but heapData is small enough to
+ *   post to the main thread.
+ */
+export async function runAnalysis(dumpFile, onProgress = () => {}) {
+  const parser = new HprofParser();
+  const heapData = await parser.parse(openHeapDump(dumpFile), {
+    onProgress: (bytesRead, totalBytes) => onProgress({
+      phase: PHASES.PARSING,
+      completed: bytesRead,
+      total: totalBytes
+    })
+  });
+
+  getObjectGraph(heapData, reportPhase(onProgress, PHASES.REFERENCES));
+  const reachability = analyzeReachability(heapData, reportPhase(onProgress, PHASES.REACHABILITY));
+  const histogram = generateHistogram(heapData, reportPhase(onProgress, PHASES.HISTOGRAM));
+  const totalHeapSize = getTotalHeapSize(heapData);
+  const dominatorTree = calculateDominatorTree(heapData, reportPhase(onProgress, PHASES.DOMINATOR_TREE));
+
+  onProgress({ phase: PHASES.LEAK_SUSPECTS, completed: 0, total: 0 });
+  const leakSuspects = detectLeakSuspects(heapData, histogram, dominatorTree);
+  const leakInsights = generateLeakInsights(leakSuspects);
+
+  const allocationSites = analyzeAllocationSites(heapData, reportPhase(onProgress, PHASES.ALLOCATION_SITES));
+  const duplicateStrings = findDuplicateStrings(heapData, reportPhase(onProgress, PHASES.DUPLICATE_STRINGS));
+
+  // Two passes over the instances, reported as one phase
+  const collectionFill = analyzeCollectionFill(heapData, reportPhase(onProgress, PHASES.COLLECTIONS, 0, 2));
+  const largestCollections = findLargestCollections(heapData, reportPhase(onProgress, PHASES.COLLECTIONS, 1, 2));
+
+  const boxedPrimitives = analyzeBoxedPrimitives(heapData, reportPhase(onProgress, PHASES.BOXED_PRIMITIVES));
+  const classLoaders = analyzeClassLoaders(heapData, reportPhase(onProgress, PHASES.CLASS_LOADERS));
+  const generatedClasses = analyzeGeneratedClasses(heapData);
+
+  onProgress({ phase: PHASES.THREADS, completed: 0, total: 0 });
+  const threads = analyzeThreads(heapData);
+  const threadLocals = analyzeThreadLocals(heapData);
+
+  return {
+    heapData,
+    totalHeapSize,
+    reachability,
+    histogram,
+    dominatorTree,
+    leakSuspects,
+    leakInsights,
+    allocationSites,
+    duplicateStrings,
+    collectionFill,
+    largestCollections,
+    boxedPrimitives,
+    classLoaders,
+    generatedClasses,
+    threads,
+    threadLocals
+  };
+}
+
+/**
+ * Adapt the pipeline's onProgress to an analyzer's (completed, total) callback.
+ * The phase is announced right away, as analyzers report nothing until they
+ * have done some work.
+ * @param {Function} onProgress - Pipeline progress callback
+ * @param {string} phase - Phase the analyzer runs in (see PHASES)
+ * @param {number} step - Index of the analyzer within the phase
+ * @param {number} stepCount - Number of analyzers run in the phase, each
+ *   assumed to take about as long
+ * @returns {Function} Analyzer progress callback
+ */
+function reportPhase(onProgress, phase, step = 0, stepCount = 1) {
+  if (step === 0) onProgress({ phase, completed: 0, total: 0 });
+  return (completed, total) => onProgress({
+    phase,
+    completed: step * total + completed,
+    total: stepCount * total
+  });
+}
+
+export default runAnalysis;
@@ -0,0 +1,196 @@
+/**
+ * Analysis Worker Client
+ * 
+ * Main-thread side of the analysis worker. Starts one worker per file,
+ * turns its progress messages into percentages and ETAs, and resolves
+ * with the analysis result. Aborting terminates the worker, which stops
+ * the parser wherever it is and frees its memory.
+ *
+ * Once the analysis is done the worker stays alive with the heap data and
+ * answers queries about single objects, such as paths to GC roots; the
+ * heap data itself is never posted to the main thread. Close the query
+ * handle when the file is no longer shown.
+ */
+
+import { PHASE_LABELS } from './analysisPipeline.js';
+
+/**
+ * Analyze a heap dump in a Web Worker
+ * @param {Object} dumpFile - Heap dump from expandHeapDumpFiles
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with a progress object (see toProgressInfo)
+ * @param {AbortSignal} options.signal - Cancels the analysis; the promise then rejects with an AbortError
+ * @returns {Promise<Object>} Result of runAnalysis without heapData, which
+ *   stays in the worker, plus queries, the handle returned by
+ *   createHeapQueries for this file's worker
+ */
+export function analyzeHeapDump(dumpFile, { onProgress = () => {}, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const worker = new Worker(
+      new URL('../workers/analysis.worker.js', import.meta.url),
+      { type: 'module' }
+    );
+    const phaseStarts = new Map();
+
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', handleAbort);
+    };
+
+    const handleAbort = () => {
+      finish();
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', handleAbort);
+
+    worker.onmessage = (e) => {
+      const message = e.data;
+      switch (message.type) {
+        case 'progress': {
+          const { phase } = message.progress;
+          if (!phaseStarts.has(phase)) {
+            phaseStarts.set(phase, Date.now());
+          }
+          onProgress(toProgressInfo(message.progress, phaseStarts.get(phase)));
+          break;
+        }
+        case 'result':
+          // Keep the worker: it answers queries about this heap dump
+          signal?.removeEventListener('abort', handleAbort);
+          resolve({ ...message.result, queries: createHeapQueries(worker) });
+          break;
+        case 'error':
+          finish();
+          reject(new Error(message.message));
+          break;
+        default:
+          break;
+      }
+    };
+
+    worker.onerror = (e) => {
+      finish();
+      reject(new Error(e.message || 'Analysis worker failed'));
+    };
+
+    worker.postMessage({ dumpFile });
+  });
+}
+
+/**
+ * Take over an analysis worker that posted its result to send it queries
+ * @param {Worker} worker - Analysis worker holding the heap data
+ * @returns {Object} { run, close }. run(method, args, { signal }) calls a
+ *   worker query (see QUERIES in analysis.worker.js) with the heap data
+ *   followed by args and resolves with its result. Aborting the signal
+ *   rejects with an AbortError and drops the query if it has not started.
+ *   close() terminates the worker and rejects the queries still pending.
+ */
+function createHeapQueries(worker) {
+  const pending = new Map(); // Query ID -> { resolve, reject }
+  let nextId = 1;
+  let closed = false;
+
+  const rejectPending = (error) => {
+    for (const query of pending.values()) query.reject(error);
+    pending.clear();
+  };
+
+  worker.onmessage = (e) => {
+    const message = e.data;
+    // Cancelled queries still post a result when they had already started
+    const query = pending.get(message.id);
+    if (!query) return;
+
+    pending.delete(message.id);
+    if (message.type === 'queryResult') {
+      query.resolve(message.result);
+    } else {
+      query.reject(new Error(message.message));
+    }
+  };
+
+  worker.onerror = (e) => {
+    rejectPending(new Error(e.message || 'Analysis worker failed'));
+  };
+
+  const run = (method, args = [], { signal } = {}) => new Promise((resolve, reject) => {
+    if (closed) {
+      reject(new Error('Heap dump is closed'));
+      return;
+    }
+    if (signal?.aborted) {
+      reject(createAbortError('Query cancelled'));
+      return;
+    }
+
+    const id = nextId++;
+    const handleAbort = () => {
+      pending.delete(id);
+      worker.postMessage({ type: 'cancel', id });
+      reject(createAbortError('Query cancelled'));
+    };
+    signal?.addEventListener('abort', handleAbort);
+
+    pending.set(id, {
+      resolve: (result) => {
+        signal?.removeEventListener('abort', handleAbort);
+        resolve(result);
+      },
+      reject: (error) => {
+        signal?.removeEventListener('abort', handleAbort);
+        reject(error);
+      }
+    });
+    worker.postMessage({ type: 'query', id, method, args });
+  });
+
+  const close = () => {
+    closed = true;
+    worker.terminate();
+    rejectPending(createAbortError('Heap dump closed'));
+  };
+
+  return { run, close };
+}
+
+/**
+ * Create the error an aborted analysis or query rejects with
+ * @param {string} message - Error message
+ * @returns {DOMException} Error named 'AbortError'
+ */
+function createAbortError(message = 'Analysis cancelled') {
+  return new DOMException(message, 'AbortError');
+}
+
+/**
+ * Convert a raw progress message into display values
+ * @param {Object} progress - { phase, completed, total } from the worker
+ * @param {number} phaseStart - Timestamp (ms) when the phase started
+ * @returns {Object} { phase, label, percentage, etaSeconds }; percentage and
+ *   etaSeconds are undefined when the phase has no measurable total
+ */
+function toProgressInfo({ phase, completed, total }, phaseStart) {
+  const info = {
+    phase,
+    label: PHASE_LABELS[phase] || phase
+  };
+
+  if (total > 0) {
+    info.percentage = Math.min(100, Math.floor((completed / total) * 100));
+
+    const elapsed = (Date.now() - phaseStart) / 1000;
+    if (completed > 0 && elapsed >= 1) {
+      info.etaSeconds = Math.round(elapsed * (total - completed) / completed);
+    }
+  }
+
+  return info;
+}
+
+export default analyzeHeapDump;
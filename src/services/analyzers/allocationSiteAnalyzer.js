@@ -0,0 +1,142 @@
+/**
+ * Allocation Site Analyzer
+ *
+ * Groups instances by the stack trace that allocated them, showing which
+ * code paths created the objects that fill the heap.
+ *
+ * Allocation stack traces are only present when the dump was taken with
+ * allocation tracking enabled. Without it every instance points at an empty
+ * (or missing) trace and no allocation sites are reported.
+ */
+
+import { createProgressReporter } from '../progress.js';
+
+// Special STACK_FRAME line numbers
+const LINE_NUMBERS = {
+  NONE: 0,
+  UNKNOWN: -1,
+  COMPILED: -2,
+  NATIVE: -3
+};
+
+// Number of classes listed per allocation site
+const TOP_CLASSES_PER_SITE = 10;
+
+/**
+ * Group instances by allocation stack trace
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Function} onProgress - Called with (instances grouped, instance count)
+ * @returns {Array} Allocation sites sorted by total size; empty when the dump
+ *   has no allocation stack traces
+ */
+export function analyzeAllocationSites(heapData, onProgress = () => {}) {
+  const { classes, instances, stackTraces } = heapData;
+  const sitesBySerial = new Map();
+  const reportProgress = createProgressReporter(onProgress, instances.size);
+  let grouped = 0;
+
+  for (const [, instance] of instances) {
+    reportProgress(++grouped);
+    const trace = stackTraces.get(instance.stackTraceSerial);
+    if (!trace || trace.frameIds.length === 0) continue;
+
+    let site = sitesBySerial.get(trace.serialNum);
+    if (!site) {
+      site = {
+        stackTraceSerial: trace.serialNum,
+        instanceCount: 0,
+        totalSize: 0,
+        classes: new Map()
+      };
+      sitesBySerial.set(trace.serialNum, site);
+    }
+
+    const className = classes.get(instance.classObjectId)?.name || 'Unknown';
+    let classEntry = site.classes.get(className);
+    if (!classEntry) {
+      classEntry = { className, instanceCount: 0, totalSize: 0 };
+      site.classes.set(className, classEntry);
+    }
+
+    site.instanceCount++;
+    site.totalSize += instance.size || 0;
+    classEntry.instanceCount++;
+    classEntry.totalSize += instance.size || 0;
+  }
+
+  const classNamesBySerial = getClassNamesBySerial(heapData);
+  const result = Array.from(sitesBySerial.values(), site => ({
+    stackTraceSerial: site.stackTraceSerial,
+    frames: resolveStackTrace(heapData, site.stackTraceSerial, classNamesBySerial),
+    instanceCount: site.instanceCount,
+    totalSize: site.totalSize,
+    classes: Array.from(site.classes.values())
+      .sort((a, b) => b.totalSize - a.totalSize)
+      .slice(0, TOP_CLASSES_PER_SITE)
+  }));
+
+  result.sort((a, b) => b.totalSize - a.totalSize);
+  return result;
+}
+
+/**
+ * Resolve a stack trace into frames with class, method and source location
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number} stackTraceSerial - Serial number of the STACK_TRACE record
+ * @param {Map} classNamesBySerial - Optional result of getClassNamesBySerial, to reuse across calls
+ * @returns {Array} Frames, innermost first; empty when the trace is unknown
+ */
+export function resolveStackTrace(heapData, stackTraceSerial, classNamesBySerial = getClassNamesBySerial(heapData)) {
+  const { stackTraces, stackFrames } = heapData;
+  const trace = stackTraces.get(stackTraceSerial);
+  if (!trace) return [];
+
+  return trace.frameIds.map(frameId => {
+    const frame = stackFrames.get(frameId);
+    if (!frame) {
+      return { frameId, className: 'Unknown', methodName: '<unknown>', signature: '', sourceFile: null, lineNumber: LINE_NUMBERS.UNKNOWN };
+    }
+    return {
+      ...frame,
+      className: classNamesBySerial.get(frame.classSerial) || 'Unknown'
+    };
+  });
+}
+
+/**
+ * Format a resolved frame the way Java prints stack traces
+ * @param {Object} frame - Frame from resolveStackTrace
+ * @returns {string} e.g. "com.example.Cache.put(Cache.java:42)"
+ */
+export function formatStackFrame(frame) {
+  let location;
+  if (frame.lineNumber === LINE_NUMBERS.NATIVE) {
+    location = 'Native Method';
+  } else if (frame.lineNumber === LINE_NUMBERS.COMPILED) {
+    location = 'Compiled Method';
+  } else if (!frame.sourceFile) {
+    location = 'Unknown Source';
+  } else if (frame.lineNumber > LINE_NUMBERS.NONE) {
+    location = `${frame.sourceFile}:${frame.lineNumber}`;
+  } else {
+    location = frame.sourceFile;
+  }
+  return `${frame.className}.${frame.methodName}(${location})`;
+}
+
+/**
+ * Map LOAD_CLASS serial numbers (used by stack frames) to class names
+ * @param {Object} heapData - Parsed heap dump data
+ * @returns {Map} serialNum -> class name
+ */
+export function getClassNamesBySerial(heapData) {
+  const namesBySerial = new Map();
+  for (const [, classInfo] of heapData.classes) {
+    if (classInfo.serialNum !== undefined) {
+      namesBySerial.set(classInfo.serialNum, classInfo.name);
+    }
+  }
+  return namesBySerial;
+}
+
+export default analyzeAllocationSites;
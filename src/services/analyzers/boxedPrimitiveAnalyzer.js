@@ -0,0 +1,189 @@
+/**
+ * Boxed Primitive Analyzer
+ *
+ * Measures what boxed primitives (Integer, Long, Double, ...) cost compared
+ * with storing the primitive values directly. Each box is a full object
+ * (header plus padding) holding a value of 1 to 8 bytes, so large numbers of
+ * boxes - typically keys or values of collections - are candidates for
+ * primitive arrays or primitive collections.
+ *
+ * Heap dumps record only the field bytes of an instance, so box footprints
+ * are estimated as on a 64-bit JVM with compressed class pointers: a 12-byte
+ * header plus the value, rounded up to 8 bytes (16 bytes for an Integer, 24
+ * for a Long or Double).
+ *
+ * Integer.valueOf and friends return shared instances for -128..127
+ * (Character: 0..127), so only values outside that cache need an object of
+ * their own; Float and Double are never cached. Boxes are grouped by the
+ * collection that holds them or, outside collections, by the owning field.
+ * Unreachable boxes are left out.
+ */
+
+import { getObjectGraph } from './objectGraph.js';
+import { markReachableObjects } from './reachabilityAnalyzer.js';
+import { findOwner, findHoldingCollection, describeOwnerClass } from './collectionAnalyzer.js';
+import { getFieldValue } from '../fieldDecoder.js';
+import { BASIC_TYPE_CODES, BASIC_TYPE_NAMES, BASIC_TYPE_SIZES } from '../hprofTypes.js';
+import { createProgressReporter } from '../progress.js';
+
+// Box class -> type code of its value field
+const BOX_TYPES = {
+  'java.lang.Boolean': BASIC_TYPE_CODES.BOOLEAN,
+  'java.lang.Character': BASIC_TYPE_CODES.CHAR,
+  'java.lang.Byte': BASIC_TYPE_CODES.BYTE,
+  'java.lang.Short': BASIC_TYPE_CODES.SHORT,
+  'java.lang.Integer': BASIC_TYPE_CODES.INT,
+  'java.lang.Long': BASIC_TYPE_CODES.LONG,
+  'java.lang.Float': BASIC_TYPE_CODES.FLOAT,
+  'java.lang.Double': BASIC_TYPE_CODES.DOUBLE
+};
+
+// Box class -> [low, high] values served from the JDK's valueOf cache;
+// Boolean.valueOf always returns TRUE or FALSE
+const CACHE_RANGES = {
+  'java.lang.Character': [0, 127],
+  'java.lang.Byte': [-128, 127],
+  'java.lang.Short': [-128, 127],
+  'java.lang.Integer': [-128, 127],
+  'java.lang.Long': [-128, 127]
+};
+
+// Object header and alignment assumed for box footprints
+const OBJECT_HEADER_SIZE = 12;
+const OBJECT_ALIGNMENT = 8;
+
+// Owners reported, most overhead first
+const MAX_OWNERS = 200;
+
+/**
+ * Count the live boxed primitives and the memory they cost over primitives
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Function} onProgress - Called with (boxes checked, box instance count)
+ * @returns {Object} { boxCount, totalSize, primitiveSize, overheadSize,
+ *   outsideCacheCount, byType, byOwner } where byType entries are
+ *   { className, primitiveType, count, totalSize, primitiveSize, overheadSize,
+ *   outsideCacheCount, distinctValues } and byOwner entries are { ownerClass,
+ *   fieldName, collectionClass, className, count, totalSize, overheadSize,
+ *   outsideCacheCount }; collectionClass is null for boxes held directly by a
+ *   field. Sizes are estimated footprints; outsideCacheCount is null for Float
+ *   and Double, which have no cache
+ */
+export function analyzeBoxedPrimitives(heapData, onProgress = () => {}) {
+  const graph = getObjectGraph(heapData);
+  const reachable = markReachableObjects(heapData);
+  const byType = new Map();
+  const byOwner = new Map();
+  const totals = { boxCount: 0, totalSize: 0, primitiveSize: 0, overheadSize: 0, outsideCacheCount: 0 };
+  const boxClasses = [...heapData.classes.values()].filter(classInfo => BOX_TYPES[classInfo.name]);
+  const reportProgress = createProgressReporter(
+    onProgress,
+    boxClasses.reduce((count, classInfo) => count + (classInfo.instances || []).length, 0)
+  );
+  let checked = 0;
+
+  for (const classInfo of boxClasses) {
+    const typeCode = BOX_TYPES[classInfo.name];
+
+    const cacheRange = CACHE_RANGES[classInfo.name] || null;
+    const hasNoCache = !cacheRange && classInfo.name !== 'java.lang.Boolean';
+    const primitiveSize = BASIC_TYPE_SIZES[typeCode];
+    const size = Math.ceil((OBJECT_HEADER_SIZE + primitiveSize) / OBJECT_ALIGNMENT) * OBJECT_ALIGNMENT;
+    const overheadSize = size - primitiveSize;
+    const distinctValues = new Set();
+    const type = {
+      className: classInfo.name,
+      primitiveType: BASIC_TYPE_NAMES[typeCode],
+      count: 0,
+      totalSize: 0,
+      primitiveSize: 0,
+      overheadSize: 0,
+      outsideCacheCount: hasNoCache ? null : 0
+    };
+
+    for (const objectId of classInfo.instances || []) {
+      reportProgress(++checked);
+      const node = graph.indexById.get(objectId);
+      if (node === undefined || !reachable[node]) continue;
+
+      const instance = heapData.instances.get(objectId);
+      const value = getFieldValue(heapData, instance, 'value');
+      const outsideCache = cacheRange !== null && value !== undefined &&
+        isOutsideCache(value, cacheRange);
+
+      type.count++;
+      type.totalSize += size;
+      type.primitiveSize += primitiveSize;
+      type.overheadSize += overheadSize;
+      if (outsideCache) type.outsideCacheCount++;
+      if (value !== undefined) distinctValues.add(value);
+
+      const owner = describeBoxOwner(heapData, graph, node);
+      const ownerKey = `${owner.ownerClass}\u0000${owner.fieldName}\u0000${owner.collectionClass}\u0000${classInfo.name}`;
+      let ownerEntry = byOwner.get(ownerKey);
+      if (!ownerEntry) {
+        ownerEntry = {
+          ...owner,
+          className: classInfo.name,
+          count: 0,
+          totalSize: 0,
+          overheadSize: 0,
+          outsideCacheCount: hasNoCache ? null : 0
+        };
+        byOwner.set(ownerKey, ownerEntry);
+      }
+      ownerEntry.count++;
+      ownerEntry.totalSize += size;
+      ownerEntry.overheadSize += overheadSize;
+      if (outsideCache) ownerEntry.outsideCacheCount++;
+
+      totals.boxCount++;
+      totals.totalSize += size;
+      totals.primitiveSize += primitiveSize;
+      totals.overheadSize += overheadSize;
+      if (outsideCache) totals.outsideCacheCount++;
+    }
+
+    if (type.count > 0) {
+      byType.set(classInfo.name, { ...type, distinctValues: distinctValues.size });
+    }
+  }
+
+  const types = Array.from(byType.values());
+  types.sort((a, b) => b.overheadSize - a.overheadSize);
+
+  const owners = Array.from(byOwner.values());
+  owners.sort((a, b) => b.overheadSize - a.overheadSize);
+
+  return { ...totals, byType: types, byOwner: owners.slice(0, MAX_OWNERS) };
+}
+
+/**
+ * Check whether a box value lies outside the valueOf cache
+ * @param {number|bigint|string|boolean} value - Decoded value field
+ * @param {Array} cacheRange - [low, high]
+ * @returns {boolean} True when valueOf would have allocated a new box
+ */
+function isOutsideCache(value, [low, high]) {
+  const number = typeof value === 'string' ? value.charCodeAt(0) : value;
+  return number < low || number > high;
+}
+
+/**
+ * Describe where a box is held: the collection it belongs to and that
+ * collection's owner, or else the field that refers to it
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} graph - Object graph
+ * @param {number} node - Box node
+ * @returns {Object} { ownerClass, fieldName, collectionClass }
+ */
+function describeBoxOwner(heapData, graph, node) {
+  const collection = findHoldingCollection(heapData, graph, node);
+  const owner = findOwner(heapData, graph, collection ? collection.node : node);
+  return {
+    ownerClass: owner ? describeOwnerClass(heapData, graph, owner.node) : '<GC root>',
+    fieldName: owner ? owner.fieldName : '',
+    collectionClass: collection ? collection.className : null
+  };
+}
+
+export default analyzeBoxedPrimitives;
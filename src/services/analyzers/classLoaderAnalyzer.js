@@ -0,0 +1,242 @@
+/**
+ * Class Loader Analyzer
+ *
+ * Groups classes by the loader that defined them (the class loader ID of
+ * each CLASS DUMP record) and lists every loader with the number of classes
+ * it defined, the live and dead instances of those classes and the memory the
+ * loader retains.
+ *
+ * Two class loader leak signs are reported:
+ * - Class names defined by more than one loader, typically the same
+ *   application loaded again after a redeploy while the old copy lingers
+ * - Loaders that nothing holds strongly: only weak, soft or phantom
+ *   references (or nothing at all) point at them, so they are stale copies
+ *   waiting to be unloaded, or kept only by caches that should have let go
+ */
+
+import { getObjectGraph, getIncomingEdges, getEdgeFieldName, EDGE_FLAGS } from './objectGraph.js';
+import { markReachableObjects, markStronglyReachableObjects } from './reachabilityAnalyzer.js';
+import { computeDominators } from './dominatorTreeAnalyzer.js';
+import { getFieldValue } from '../fieldDecoder.js';
+import { getStringValue } from '../stringDecoder.js';
+import { createProgressReporter } from '../progress.js';
+
+// Base class of every class loader except the bootstrap loader
+const CLASS_LOADER_CLASS = 'java.lang.ClassLoader';
+
+// Referrers listed per loader
+const MAX_HOLDERS = 5;
+
+// Classes listed per loader, most instances first
+const MAX_TOP_CLASSES = 10;
+
+// Duplicate class names reported, most loaders first
+const MAX_DUPLICATES = 500;
+
+/**
+ * Check whether a class is, or extends, the named class
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number|bigint} classObjectId - Class object ID
+ * @param {string} className - Java class name, e.g. "java.lang.ClassLoader"
+ * @returns {boolean} True when the class or one of its superclasses has that name
+ */
+export function isSubclassOf(heapData, classObjectId, className) {
+  const visited = new Set();
+  let classInfo = heapData.classes.get(classObjectId);
+  while (classInfo && !visited.has(classInfo.classObjectId)) {
+    if (classInfo.name === className) return true;
+    visited.add(classInfo.classObjectId);
+    classInfo = classInfo.superClassObjectId ? heapData.classes.get(classInfo.superClassObjectId) : null;
+  }
+  return false;
+}
+
+/**
+ * List class loaders with their classes, instances and retained size, and
+ * the class names defined by more than one loader
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Function} onProgress - Called with (classes grouped, class count)
+ * @returns {Object} { loaderCount, classCount, staleLoaderCount,
+ *   duplicateClassCount, loaders, duplicateClasses } where loaders are
+ *   { objectId, className, name, parentObjectId, classCount, instanceCount,
+ *   liveInstanceCount, retainedSize, status, holders, topClasses } and
+ *   duplicateClasses are { className, instanceCount, loaders }. The bootstrap
+ *   loader has objectId null. status is 'strong', 'weak' (held only through
+ *   weak, soft or phantom references) or 'unreachable'; holders are
+ *   { objectId, className, fieldName, weak } for references other than the
+ *   loader's own classes
+ */
+export function analyzeClassLoaders(heapData, onProgress = () => {}) {
+  const graph = getObjectGraph(heapData);
+  const reachable = markReachableObjects(heapData);
+  const stronglyReachable = markStronglyReachableObjects(heapData);
+  const { retainedSizes } = computeDominators(heapData);
+  const loaders = new Map(); // loader object ID (0 for bootstrap) -> loader
+  const classesByName = new Map(); // class name -> defining loader IDs
+
+  const getLoader = (loaderId) => {
+    let loader = loaders.get(loaderId);
+    if (!loader) {
+      loader = { loaderId, classCount: 0, instanceCount: 0, liveInstanceCount: 0, classes: [] };
+      loaders.set(loaderId, loader);
+    }
+    return loader;
+  };
+
+  const reportProgress = createProgressReporter(onProgress, heapData.classes.size);
+  let grouped = 0;
+  for (const classInfo of heapData.classes.values()) {
+    reportProgress(++grouped);
+    const loaderId = classInfo.classLoaderObjectId || 0;
+    const loader = getLoader(loaderId);
+    const instanceIds = classInfo.instances || [];
+    let liveCount = 0;
+    for (const objectId of instanceIds) {
+      if (reachable[graph.indexById.get(objectId)]) liveCount++;
+    }
+    loader.classCount++;
+    loader.instanceCount += instanceIds.length;
+    loader.liveInstanceCount += liveCount;
+    loader.classes.push({ className: classInfo.name, instanceCount: instanceIds.length });
+
+    let definingLoaders = classesByName.get(classInfo.name);
+    if (!definingLoaders) {
+      definingLoaders = { loaderIds: new Set(), instanceCount: 0 };
+      classesByName.set(classInfo.name, definingLoaders);
+    }
+    definingLoaders.loaderIds.add(loaderId);
+    definingLoaders.instanceCount += instanceIds.length;
+
+    // Loaders that have not defined any class yet are still loaders
+    if (isSubclassOf(heapData, classInfo.classObjectId, CLASS_LOADER_CLASS)) {
+      for (const objectId of instanceIds) getLoader(objectId);
+    }
+  }
+
+  const loaderList = Array.from(loaders.values(), loader =>
+    describeLoader(heapData, graph, loader, { reachable, stronglyReachable, retainedSizes })
+  );
+  loaderList.sort((a, b) => (a.objectId === null ? -1 : b.objectId === null ? 1 : b.retainedSize - a.retainedSize));
+
+  const loaderSummaries = new Map(loaderList.map(loader => [loader.objectId ?? 0, {
+    objectId: loader.objectId,
+    className: loader.className,
+    name: loader.name,
+    status: loader.status
+  }]));
+
+  const duplicates = [];
+  for (const [className, { loaderIds, instanceCount }] of classesByName) {
+    if (loaderIds.size < 2) continue;
+    duplicates.push({
+      className,
+      instanceCount,
+      loaders: Array.from(loaderIds, loaderId => loaderSummaries.get(loaderId))
+    });
+  }
+  duplicates.sort((a, b) => b.loaders.length - a.loaders.length || b.instanceCount - a.instanceCount);
+
+  let classCount = 0;
+  for (const loader of loaderList) classCount += loader.classCount;
+
+  return {
+    loaderCount: loaderList.length,
+    classCount,
+    staleLoaderCount: loaderList.filter(loader => loader.status !== 'strong').length,
+    duplicateClassCount: duplicates.length,
+    loaders: loaderList,
+    duplicateClasses: duplicates.slice(0, MAX_DUPLICATES)
+  };
+}
+
+/**
+ * Describe one loader for the loader list
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} graph - Object graph
+ * @param {Object} loader - { loaderId, classCount, instanceCount, liveInstanceCount, classes }
+ * @param {Object} marks - { reachable, stronglyReachable, retainedSizes } per graph node
+ * @returns {Object} Loader entry, see analyzeClassLoaders
+ */
+function describeLoader(heapData, graph, loader, { reachable, stronglyReachable, retainedSizes }) {
+  const topClasses = loader.classes
+    .sort((a, b) => b.instanceCount - a.instanceCount)
+    .slice(0, MAX_TOP_CLASSES);
+  const counts = {
+    classCount: loader.classCount,
+    instanceCount: loader.instanceCount,
+    liveInstanceCount: loader.liveInstanceCount,
+    topClasses
+  };
+
+  if (loader.loaderId === 0) {
+    return {
+      objectId: null,
+      className: '<bootstrap>',
+      name: null,
+      parentObjectId: null,
+      ...counts,
+      retainedSize: null,
+      status: 'strong',
+      holders: []
+    };
+  }
+
+  const instance = heapData.instances.get(loader.loaderId);
+  const node = graph.indexById.get(loader.loaderId);
+  const nameId = instance ? getFieldValue(heapData, instance, 'name') : null;
+  const nameInstance = nameId ? heapData.instances.get(nameId) : null;
+  const parentId = instance ? getFieldValue(heapData, instance, 'parent') : null;
+
+  let status = 'unreachable';
+  if (node !== undefined && stronglyReachable[node]) {
+    status = 'strong';
+  } else if (node !== undefined && reachable[node]) {
+    status = 'weak';
+  }
+
+  return {
+    objectId: loader.loaderId,
+    className: instance ? heapData.classes.get(instance.classObjectId)?.name || 'Unknown' : 'Unknown',
+    name: nameInstance ? getStringValue(heapData, nameInstance)?.value ?? null : null,
+    parentObjectId: parentId || null,
+    ...counts,
+    retainedSize: node === undefined ? 0 : retainedSizes[node],
+    status,
+    holders: node === undefined ? [] : findHolders(heapData, graph, node)
+  };
+}
+
+/**
+ * List the references to a loader other than from the classes it defined
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} graph - Object graph
+ * @param {number} node - Loader node
+ * @returns {Array} Up to MAX_HOLDERS { objectId, className, fieldName, weak },
+ *   strong references first
+ */
+function findHolders(heapData, graph, node) {
+  const incoming = getIncomingEdges(graph);
+  const holders = [];
+
+  for (let i = incoming.edgeStart[node]; i < incoming.edgeStart[node + 1]; i++) {
+    const edge = incoming.edgeIndexes[i];
+    const fieldName = getEdgeFieldName(graph, edge);
+    if (fieldName === null || fieldName === '<classloader>') continue;
+
+    const source = incoming.edgeSources[i];
+    const objectId = graph.objectIds[source];
+    holders.push({
+      objectId,
+      className: graph.isClassNode[source]
+        ? `class ${heapData.classes.get(objectId).name}`
+        : heapData.classes.get(heapData.instances.get(objectId).classObjectId)?.name || 'Unknown',
+      fieldName,
+      weak: (graph.edgeFlags[edge] & EDGE_FLAGS.WEAK) !== 0
+    });
+  }
+
+  holders.sort((a, b) => a.weak - b.weak);
+  return holders.slice(0, MAX_HOLDERS);
+}
+
+export default analyzeClassLoaders;
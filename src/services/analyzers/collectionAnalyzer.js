@@ -0,0 +1,365 @@
+/**
+ * Collection Analyzer
+ *
+ * Measures how well array-backed collections (ArrayList, HashMap, HashSet,
+ * ConcurrentHashMap, ArrayDeque, ...) fill their backing arrays. Every unused
+ * slot costs one reference, so many empty or sparsely filled collections
+ * waste memory that a smaller initial capacity, lazy creation or a shared
+ * empty instance would save.
+ *
+ * Results are grouped by collection type and by the field that owns each
+ * collection. A set or wrapper (HashSet, Collections$UnmodifiableMap, ...) is
+ * reported in place of the collection it wraps, owned by the wrapper's
+ * owner. Unreachable collections are left out.
+ *
+ * The largest individual collections (including plain object arrays) are
+ * also listed by element count and by retained size, with their owner and a
+ * sample of their elements or keys: an unbounded cache usually shows up as a
+ * single huge map that a per-class histogram row hides.
+ */
+
+import { getObjectGraph, getIncomingEdges, getEdgeFieldName, ROOT_NODE } from './objectGraph.js';
+import { markReachableObjects } from './reachabilityAnalyzer.js';
+import { computeDominators } from './dominatorTreeAnalyzer.js';
+import { describeObject } from './referenceChainAnalyzer.js';
+import { createProgressReporter } from '../progress.js';
+import {
+  getCollectionStorage,
+  getCollectionClassName,
+  getCollectionSize,
+  getCollectionSample,
+  isMapCollection,
+  isWrapperCollection
+} from '../collectionDecoder.js';
+
+// Below this fill ratio a non-empty collection counts as sparse
+export const SPARSE_FILL_RATIO = 0.25;
+
+// Fill ratio buckets per collection type, as [label, upper bound (exclusive)];
+// empty collections get a bucket of their own
+export const FILL_BUCKETS = [
+  ['Empty', 0],
+  ['< 25%', 0.25],
+  ['25–50%', 0.5],
+  ['50–75%', 0.75],
+  ['≥ 75%', Infinity]
+];
+
+// Owning fields reported, most wasted bytes first
+const MAX_OWNERS = 200;
+
+// Collections listed in each largest-collections ranking
+const MAX_LARGEST = 200;
+
+// Elements or keys sampled per listed collection
+const SAMPLE_SIZE = 5;
+
+// Internal objects (entries, nodes, arrays) climbed to find a holding collection
+const MAX_HOLDER_HOPS = 4;
+
+/**
+ * Analyze the fill ratio and wasted capacity of every live array-backed collection
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Function} onProgress - Called with (instances checked, instance count)
+ * @returns {Object} { collectionCount, emptyCount, sparseCount, totalSize, wastedSize,
+ *   byType, byOwner } where byType entries are { className, count, emptyCount,
+ *   sparseCount, totalSize, wastedSize, averageFillRatio, fillBuckets } and byOwner
+ *   entries are { ownerClass, fieldName, className, count, emptyCount, wastedSize };
+ *   totalSize covers the collections and their backing arrays, wastedSize their
+ *   unused slots
+ */
+export function analyzeCollectionFill(heapData, onProgress = () => {}) {
+  const graph = getObjectGraph(heapData);
+  const reachable = markReachableObjects(heapData);
+  const byType = new Map();
+  const byOwner = new Map();
+  const totals = { collectionCount: 0, emptyCount: 0, sparseCount: 0, totalSize: 0, wastedSize: 0 };
+  const reportProgress = createProgressReporter(onProgress, heapData.instances.size);
+  let checked = 0;
+
+  for (const [objectId, instance] of heapData.instances) {
+    reportProgress(++checked);
+    const node = graph.indexById.get(objectId);
+    if (!reachable[node]) continue;
+
+    const storage = getCollectionStorage(heapData, instance);
+    if (!storage) continue;
+
+    const storageSize = storage.storageId !== null ? heapData.instances.get(storage.storageId).size || 0 : 0;
+    let totalSize = (instance.size || 0) + storageSize;
+    const unusedSlots = Math.max(0, storage.capacity - storage.size) * storage.slotsPerEntry;
+    const wastedSize = unusedSlots * heapData.identifierSize;
+    const fillRatio = storage.capacity > 0 ? Math.min(1, storage.size / storage.capacity) : null;
+    const isEmpty = storage.size === 0;
+    const isSparse = !isEmpty && fillRatio !== null && fillRatio < SPARSE_FILL_RATIO;
+
+    // Report a wrapped collection as its wrapper, owned by the wrapper's owner
+    let owner = findOwner(heapData, graph, node);
+    let className = heapData.classes.get(instance.classObjectId)?.name || 'Unknown';
+    if (owner && !graph.isClassNode[owner.node]) {
+      const ownerInstance = heapData.instances.get(graph.objectIds[owner.node]);
+      if (isWrapperCollection(heapData, ownerInstance.classObjectId)) {
+        className = heapData.classes.get(ownerInstance.classObjectId)?.name || className;
+        totalSize += ownerInstance.size || 0;
+        owner = findOwner(heapData, graph, owner.node);
+      }
+    }
+
+    let type = byType.get(className);
+    if (!type) {
+      type = {
+        className,
+        count: 0,
+        emptyCount: 0,
+        sparseCount: 0,
+        totalSize: 0,
+        wastedSize: 0,
+        fillRatioSum: 0,
+        fillRatioCount: 0,
+        fillBuckets: FILL_BUCKETS.map(() => 0)
+      };
+      byType.set(className, type);
+    }
+    type.count++;
+    type.totalSize += totalSize;
+    type.wastedSize += wastedSize;
+    if (isEmpty) type.emptyCount++;
+    if (isSparse) type.sparseCount++;
+    if (fillRatio !== null) {
+      type.fillRatioSum += fillRatio;
+      type.fillRatioCount++;
+    }
+    type.fillBuckets[getFillBucket(isEmpty, fillRatio)]++;
+
+    const ownerClass = owner ? describeOwnerClass(heapData, graph, owner.node) : '<GC root>';
+    const fieldName = owner ? owner.fieldName : '';
+    const ownerKey = `${ownerClass}\u0000${fieldName}\u0000${className}`;
+    let ownerEntry = byOwner.get(ownerKey);
+    if (!ownerEntry) {
+      ownerEntry = { ownerClass, fieldName, className, count: 0, emptyCount: 0, wastedSize: 0 };
+      byOwner.set(ownerKey, ownerEntry);
+    }
+    ownerEntry.count++;
+    ownerEntry.wastedSize += wastedSize;
+    if (isEmpty) ownerEntry.emptyCount++;
+
+    totals.collectionCount++;
+    totals.totalSize += totalSize;
+    totals.wastedSize += wastedSize;
+    if (isEmpty) totals.emptyCount++;
+    if (isSparse) totals.sparseCount++;
+  }
+
+  const types = Array.from(byType.values(), ({ fillRatioSum, fillRatioCount, ...type }) => ({
+    ...type,
+    averageFillRatio: fillRatioCount > 0 ? fillRatioSum / fillRatioCount : 0
+  }));
+  types.sort((a, b) => b.wastedSize - a.wastedSize);
+
+  const owners = Array.from(byOwner.values());
+  owners.sort((a, b) => b.wastedSize - a.wastedSize);
+
+  return { ...totals, byType: types, byOwner: owners.slice(0, MAX_OWNERS) };
+}
+
+/**
+ * List the largest live collections and object arrays
+ *
+ * Collections wrapped by a set or wrapper are represented by the wrapper, and
+ * object arrays held by a collection are represented by the collection.
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Function} onProgress - Called with (instances checked, instance count)
+ * @returns {Object} { collectionCount, byElementCount, byRetainedSize } where
+ *   both rankings hold { objectId, className, isMap, isArray, elementCount,
+ *   capacity, shallowSize, retainedSize, owner, sample }; owner is
+ *   { objectId, className, fieldName } (see findOwner) or null when GC roots
+ *   hold the collection, sample lists elements (keys for maps) as { objectId, className,
+ *   stringValue }. For arrays elementCount counts non-null slots
+ */
+export function findLargestCollections(heapData, onProgress = () => {}) {
+  const { graph, retainedSizes } = computeDominators(heapData);
+  const reachable = markReachableObjects(heapData);
+  const candidates = [];
+  const reportProgress = createProgressReporter(onProgress, heapData.instances.size);
+  let checked = 0;
+
+  for (const [objectId, instance] of heapData.instances) {
+    reportProgress(++checked);
+    const node = graph.indexById.get(objectId);
+    if (!reachable[node]) continue;
+
+    let elementCount;
+    if (instance.type === 'objectArray') {
+      elementCount = 0;
+      for (const elementId of instance.elements) {
+        if (elementId !== 0) elementCount++;
+      }
+    } else if (!instance.type && getCollectionClassName(heapData, instance.classObjectId)) {
+      elementCount = getCollectionSize(heapData, instance);
+    } else {
+      continue;
+    }
+    if (elementCount === null) continue;
+
+    // Leave backing arrays and wrapped collections to their holder
+    const owner = findOwner(heapData, graph, node);
+    if (owner && !graph.isClassNode[owner.node]) {
+      const ownerInstance = heapData.instances.get(graph.objectIds[owner.node]);
+      const ownerClass = ownerInstance.type ? null : getCollectionClassName(heapData, ownerInstance.classObjectId);
+      if (ownerClass && (instance.type === 'objectArray' || isWrapperCollection(heapData, ownerInstance.classObjectId))) {
+        continue;
+      }
+    }
+
+    candidates.push({ objectId, node, owner, elementCount, retainedSize: retainedSizes[node] });
+  }
+
+  const byElementCount = [...candidates]
+    .sort((a, b) => b.elementCount - a.elementCount || b.retainedSize - a.retainedSize)
+    .slice(0, MAX_LARGEST);
+  const byRetainedSize = candidates
+    .sort((a, b) => b.retainedSize - a.retainedSize || b.elementCount - a.elementCount)
+    .slice(0, MAX_LARGEST);
+
+  // Both rankings mostly list the same collections; describe each once
+  const described = new Map();
+  const describe = (candidate) => {
+    let entry = described.get(candidate.node);
+    if (!entry) {
+      entry = describeCollection(heapData, graph, candidate);
+      described.set(candidate.node, entry);
+    }
+    return entry;
+  };
+
+  return {
+    collectionCount: candidates.length,
+    byElementCount: byElementCount.map(describe),
+    byRetainedSize: byRetainedSize.map(describe)
+  };
+}
+
+/**
+ * Describe a collection for the largest-collections rankings
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} graph - Object graph
+ * @param {Object} candidate - { objectId, owner, elementCount, retainedSize }
+ * @returns {Object} Ranking entry, see findLargestCollections
+ */
+function describeCollection(heapData, graph, { objectId, owner, elementCount, retainedSize }) {
+  const instance = heapData.instances.get(objectId);
+  const isArray = instance.type === 'objectArray';
+  const storage = isArray ? null : getCollectionStorage(heapData, instance);
+
+  return {
+    objectId,
+    className: heapData.classes.get(instance.classObjectId)?.name || 'Unknown',
+    isMap: !isArray && isMapCollection(heapData, instance),
+    isArray,
+    elementCount,
+    capacity: isArray ? instance.elements.length : storage?.capacity ?? null,
+    shallowSize: instance.size || 0,
+    retainedSize,
+    owner: owner && {
+      objectId: graph.objectIds[owner.node],
+      className: describeOwnerClass(heapData, graph, owner.node),
+      fieldName: owner.fieldName
+    },
+    sample: getCollectionSample(heapData, instance, SAMPLE_SIZE).map(elementId => {
+      const { className, stringValue } = describeObject(heapData, elementId);
+      return { objectId: elementId, className, stringValue };
+    })
+  };
+}
+
+/**
+ * Find the object or class that holds a collection: its immediate dominator,
+ * which keeps it alive whatever order the references were dumped in
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} graph - Object graph
+ * @param {number} node - Collection node
+ * @returns {Object|null} { node, fieldName } of the dominator, where fieldName
+ *   is the dominator's field referring to the collection with array indexes
+ *   merged into "[]", or '' when it only refers to it through other objects;
+ *   null when the GC roots dominate the collection directly
+ */
+export function findOwner(heapData, graph, node) {
+  const { immediateDominators } = computeDominators(heapData);
+  const owner = immediateDominators[node];
+  if (owner === -1 || owner === ROOT_NODE) return null;
+
+  // The collection usually has few referrers; the owner may have many fields
+  const incoming = getIncomingEdges(graph);
+  for (let i = incoming.edgeStart[node]; i < incoming.edgeStart[node + 1]; i++) {
+    if (incoming.edgeSources[i] === owner) {
+      return {
+        node: owner,
+        fieldName: getEdgeFieldName(graph, incoming.edgeIndexes[i])
+      };
+    }
+  }
+  return { node: owner, fieldName: '' };
+}
+
+/**
+ * Find the collection an object is an element, key or value of, by climbing
+ * from its owner through collection internals (backing arrays and java.util
+ * nested classes such as HashMap$Node) to the first collection
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} graph - Object graph
+ * @param {number} node - Element node
+ * @returns {Object|null} { node, className } of the collection, or of the
+ *   set or wrapper around it; null when the object is not held by a collection
+ */
+export function findHoldingCollection(heapData, graph, node) {
+  let owner = findOwner(heapData, graph, node);
+  for (let hops = 0; owner && !graph.isClassNode[owner.node] && hops < MAX_HOLDER_HOPS; hops++) {
+    const instance = heapData.instances.get(graph.objectIds[owner.node]);
+    if (!instance.type && getCollectionClassName(heapData, instance.classObjectId)) {
+      const collection = { node: owner.node, className: heapData.classes.get(instance.classObjectId)?.name || 'Unknown' };
+      const wrapper = findOwner(heapData, graph, owner.node);
+      if (wrapper && !graph.isClassNode[wrapper.node]) {
+        const wrapperInstance = heapData.instances.get(graph.objectIds[wrapper.node]);
+        if (isWrapperCollection(heapData, wrapperInstance.classObjectId)) {
+          return { node: wrapper.node, className: heapData.classes.get(wrapperInstance.classObjectId)?.name || collection.className };
+        }
+      }
+      return collection;
+    }
+
+    const className = heapData.classes.get(instance.classObjectId)?.name || '';
+    const isInternal = instance.type === 'objectArray' ||
+      (className.startsWith('java.util.') && className.includes('$'));
+    if (!isInternal) return null;
+    owner = findOwner(heapData, graph, owner.node);
+  }
+  return null;
+}
+
+/**
+ * Get the class name shown for an owner node ("class X" for statics)
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} graph - Object graph
+ * @param {number} node - Owner node
+ * @returns {string} Class name
+ */
+export function describeOwnerClass(heapData, graph, node) {
+  const objectId = graph.objectIds[node];
+  if (graph.isClassNode[node]) {
+    return `class ${heapData.classes.get(objectId).name}`;
+  }
+  return heapData.classes.get(heapData.instances.get(objectId).classObjectId)?.name || 'Unknown';
+}
+
+/**
+ * Get the FILL_BUCKETS index of a collection
+ * @param {boolean} isEmpty - Whether the collection is empty
+ * @param {number|null} fillRatio - Size / capacity, null without a backing array
+ * @returns {number} Bucket index
+ */
+function getFillBucket(isEmpty, fillRatio) {
+  if (isEmpty || fillRatio === null) return 0;
+  return FILL_BUCKETS.findIndex(([, upperBound], index) => index > 0 && fillRatio < upperBound);
+}
+
+export default analyzeCollectionFill;
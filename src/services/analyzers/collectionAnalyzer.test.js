@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeCollectionFill, findLargestCollections } from './collectionAnalyzer.js';
+import { getFieldLayout } from '../fieldDecoder.js';
+import { BASIC_TYPE_CODES, ROOT_TYPES } from '../hprofTypes.js';
+
+const { OBJECT, INT } = BASIC_TYPE_CODES;
+
+// [name, superName, fields, staticNames] where a field is a reference name or [name, type]
+const CLASSES = [
+  ['java.lang.Object', null, []],
+  ['java.lang.Object[]', 'java.lang.Object', []],
+  ['java.util.ArrayList', 'java.lang.Object', ['elementData', ['size', INT]]],
+  ['java.util.HashMap', 'java.lang.Object', ['table', ['size', INT]]],
+  ['java.util.HashSet', 'java.lang.Object', ['map']],
+  ['com.example.Service', 'java.lang.Object', ['users', 'tags'], ['CACHE']]
+];
+
+/**
+ * Build heap data from class declarations and objects
+ * @param {Object} objects - { instances, arrays, statics, roots }: instances are
+ *   [objectId, className, { fieldName: value }], arrays are
+ *   [objectId, [elementId, ...]] of java.lang.Object[], statics map a
+ *   "Class.FIELD" name to an object ID and roots are object IDs or class names
+ * @returns {Object} Heap data with 4-byte object IDs; instances are 16 bytes
+ *   and arrays 16 plus 4 per slot
+ */
+function buildHeap({ instances = [], arrays = [], statics = {}, roots = [] }) {
+  const heapData = { identifierSize: 4, classes: new Map(), instances: new Map(), roots: [] };
+  const classIds = new Map();
+  CLASSES.forEach(([name, superName, fields, staticNames = []], index) => {
+    const classObjectId = 0x100 + index;
+    classIds.set(name, classObjectId);
+    heapData.classes.set(classObjectId, {
+      classObjectId,
+      name,
+      superClassObjectId: superName ? classIds.get(superName) : 0,
+      instanceFields: fields.map(field => (Array.isArray(field)
+        ? { name: field[0], type: field[1] }
+        : { name: field, type: OBJECT })),
+      staticFields: staticNames.map(fieldName => ({
+        name: fieldName,
+        type: OBJECT,
+        value: statics[`${name}.${fieldName}`] || 0
+      }))
+    });
+  });
+
+  for (const [objectId, className, values] of instances) {
+    const classObjectId = classIds.get(className);
+    const layout = getFieldLayout(heapData, classObjectId);
+    const data = new Uint8Array(layout.size);
+    for (const [fieldName, value] of Object.entries(values)) {
+      new DataView(data.buffer).setUint32(layout.byName.get(fieldName).offset, value);
+    }
+    heapData.instances.set(objectId, { classObjectId, size: 16, data });
+  }
+  for (const [objectId, elements] of arrays) {
+    heapData.instances.set(objectId, {
+      type: 'objectArray',
+      classObjectId: classIds.get('java.lang.Object[]'),
+      size: 16 + 4 * elements.length,
+      elements
+    });
+  }
+  for (const object of roots) {
+    heapData.roots.push({ type: ROOT_TYPES.STICKY_CLASS, objectId: classIds.get(object) ?? object });
+  }
+  return heapData;
+}
+
+/**
+ * A service holding a sparse list and an empty set, a full list in a static
+ * field, and an unreachable list
+ */
+function buildServiceHeap() {
+  return buildHeap({
+    instances: [
+      [1, 'com.example.Service', { users: 2, tags: 3 }],
+      // 1 of 10 slots used
+      [2, 'java.util.ArrayList', { elementData: 100, size: 1 }],
+      // A set around an empty map with a 16-bucket table
+      [3, 'java.util.HashSet', { map: 4 }],
+      [4, 'java.util.HashMap', { table: 101, size: 0 }],
+      // Full
+      [5, 'java.util.ArrayList', { elementData: 102, size: 4 }],
+      // Unreachable
+      [6, 'java.util.ArrayList', { elementData: 103, size: 0 }],
+      [50, 'java.lang.Object', {}],
+      [51, 'java.lang.Object', {}],
+      [52, 'java.lang.Object', {}],
+      [53, 'java.lang.Object', {}]
+    ],
+    arrays: [
+      [100, [50, 0, 0, 0, 0, 0, 0, 0, 0, 0]],
+      [101, new Array(16).fill(0)],
+      [102, [50, 51, 52, 53]],
+      [103, new Array(10).fill(0)]
+    ],
+    statics: { 'com.example.Service.CACHE': 5 },
+    roots: [1, 'com.example.Service']
+  });
+}
+
+test('measures fill and wasted slots by type and owning field', () => {
+  const result = analyzeCollectionFill(buildServiceHeap());
+
+  assert.equal(result.collectionCount, 3);
+  assert.equal(result.emptyCount, 1);
+  assert.equal(result.sparseCount, 1);
+  // 9 unused list slots and 16 empty buckets of 4 bytes
+  assert.equal(result.wastedSize, 100);
+  assert.equal(result.totalSize, 112 + 72 + 48);
+
+  // The empty map is reported as the set around it
+  assert.deepEqual(result.byType, [
+    {
+      className: 'java.util.HashSet',
+      count: 1,
+      emptyCount: 1,
+      sparseCount: 0,
+      totalSize: 112,
+      wastedSize: 64,
+      fillBuckets: [1, 0, 0, 0, 0],
+      averageFillRatio: 0
+    },
+    {
+      className: 'java.util.ArrayList',
+      count: 2,
+      emptyCount: 0,
+      sparseCount: 1,
+      totalSize: 72 + 48,
+      wastedSize: 36,
+      fillBuckets: [0, 1, 0, 0, 1],
+      averageFillRatio: 0.55
+    }
+  ]);
+  assert.deepEqual(result.byOwner, [
+    { ownerClass: 'com.example.Service', fieldName: 'tags', className: 'java.util.HashSet', count: 1, emptyCount: 1, wastedSize: 64 },
+    { ownerClass: 'com.example.Service', fieldName: 'users', className: 'java.util.ArrayList', count: 1, emptyCount: 0, wastedSize: 36 },
+    { ownerClass: 'class com.example.Service', fieldName: 'static CACHE', className: 'java.util.ArrayList', count: 1, emptyCount: 0, wastedSize: 0 }
+  ]);
+});
+
+test('ranks the largest collections, leaving backing arrays and wrapped maps to their holders', () => {
+  const result = findLargestCollections(buildServiceHeap());
+
+  assert.equal(result.collectionCount, 3);
+  assert.deepEqual(
+    result.byElementCount.map(({ objectId, elementCount, capacity, retainedSize }) => [objectId, elementCount, capacity, retainedSize]),
+    [[5, 4, 4, 96], [2, 1, 10, 72], [3, 0, null, 112]]
+  );
+  // Both lists share one element, which neither retains
+  assert.deepEqual(result.byRetainedSize.map(entry => entry.objectId), [3, 5, 2]);
+
+  const [cache, users] = result.byElementCount;
+  assert.deepEqual(cache.owner, { objectId: 0x105, className: 'class com.example.Service', fieldName: 'static CACHE' });
+  assert.deepEqual(cache.sample.map(element => element.objectId), [50, 51, 52, 53]);
+  assert.deepEqual(users.owner, { objectId: 1, className: 'com.example.Service', fieldName: 'users' });
+});
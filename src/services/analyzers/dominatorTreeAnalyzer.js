@@ -3,67 +3,353 @@
  * 
  * Calculates the dominator tree and retained heap sizes.
  * 
- * A dominator tree shows which objects are keeping other objects alive.
- * The retained size of an object is the total memory that would be freed
- * if that object were garbage collected.
+ * A dominator tree shows which objects are keeping other objects alive:
+ * object A dominates object B when every path from the GC roots to B goes
+ * through A. The retained size of an object is the total memory that would
+ * be freed if that object were garbage collected, i.e. its own size plus the
+ * sizes of all objects it dominates.
  * 
- * This is a simplified implementation that provides useful insights without
- * full graph traversal (which can be memory-intensive for large heaps).
+ * Immediate dominators are computed over the object graph (see objectGraph.js)
+ * with the Lengauer-Tarjan algorithm. Objects that cannot be reached from the
+ * GC roots are not part of the tree.
  */
 
+import { getObjectGraph, getIncomingEdges, ROOT_NODE } from './objectGraph.js';
+import { createProgressReporter } from '../progress.js';
+
+// heapData -> dominator computation
+const dominatorCache = new WeakMap();
+
+// heapData -> children index, sorted children per node and the last search
+const dominatedObjectsCache = new WeakMap();
+
 /**
  * Calculate retained heap by class
- * This is a simplified calculation that aggregates instance sizes by class
+ * 
+ * An instance dominated by another instance of the same class is not counted
+ * again, so a class's retained size is the memory freed if all its instances
+ * were collected.
  * @param {Object} heapData - Parsed heap dump data
+ * @param {Function} onProgress - Called with (nodes processed, reachable node
+ *   count) while the dominators are computed
  * @returns {Array} Array of dominator tree entries
  */
-export function calculateDominatorTree(heapData) {
+export function calculateDominatorTree(heapData, onProgress = () => {}) {
+  const { graph, immediateDominators, retainedSizes } = computeDominators(heapData, onProgress);
+  const { nodeCount, objectIds, isClassNode, shallowSizes } = graph;
   const { classes, instances } = heapData;
-  
-  // Build a map of which objects are reachable from roots
-  const reachableObjects = new Set();
-  
-  // Mark all instances as potentially reachable
-  // In a full implementation, we'd do proper reachability analysis
-  for (const [objectId] of instances) {
-    reachableObjects.add(objectId);
+
+  // One entry per class name; entryIndexes maps each reachable instance node to its entry
+  const entries = [];
+  const entryIndexByName = new Map();
+  const entryIndexes = new Int32Array(nodeCount).fill(-1);
+  for (let node = 1; node < nodeCount; node++) {
+    if (isClassNode[node] || immediateDominators[node] === -1) continue;
+
+    const classId = instances.get(objectIds[node]).classObjectId;
+    const className = classes.get(classId)?.name || `Unknown#${classId}`;
+    let entryIndex = entryIndexByName.get(className);
+    if (entryIndex === undefined) {
+      entryIndex = entries.length;
+      entryIndexByName.set(className, entryIndex);
+      entries.push({ className, classId, retainedSize: 0, shallowSize: 0, instanceCount: 0 });
+    }
+    entryIndexes[node] = entryIndex;
+    entries[entryIndex].instanceCount++;
+    entries[entryIndex].shallowSize += shallowSizes[node];
   }
 
-  // Calculate retained size by class
-  const retainedByClass = new Map();
-  
-  for (const [classId, classInfo] of classes) {
-    const className = classInfo.name;
-    let retainedSize = 0;
-    let instanceCount = 0;
-    
-    // Sum up sizes of all instances of this class
-    for (const instanceId of classInfo.instances || []) {
-      const instance = instances.get(instanceId);
-      if (instance && reachableObjects.has(instanceId)) {
-        retainedSize += instance.size || 0;
-        instanceCount++;
+  // Walk the dominator tree, counting an instance's retained size only when
+  // no dominator of it belongs to the same class
+  const { childStart, children } = getDominatorChildren(nodeCount, immediateDominators);
+  const activeCounts = new Int32Array(entries.length);
+  const stack = [ROOT_NODE];
+  const cursor = new Uint32Array(nodeCount);
+  cursor[ROOT_NODE] = childStart[ROOT_NODE];
+
+  while (stack.length > 0) {
+    const node = stack[stack.length - 1];
+    if (cursor[node] < childStart[node + 1]) {
+      const child = children[cursor[node]++];
+      const entryIndex = entryIndexes[child];
+      if (entryIndex !== -1) {
+        if (activeCounts[entryIndex] === 0) {
+          entries[entryIndex].retainedSize += retainedSizes[child];
+        }
+        activeCounts[entryIndex]++;
+      }
+      cursor[child] = childStart[child];
+      stack.push(child);
+    } else {
+      stack.pop();
+      if (entryIndexes[node] !== -1) {
+        activeCounts[entryIndexes[node]]--;
       }
     }
-    
-    if (instanceCount > 0) {
-      retainedByClass.set(className, {
-        className,
-        classId,
-        retainedSize,
-        instanceCount,
-        averageSize: instanceCount > 0 ? retainedSize / instanceCount : 0
-      });
+  }
+
+  for (const entry of entries) {
+    entry.averageSize = entry.instanceCount > 0 ? entry.retainedSize / entry.instanceCount : 0;
+  }
+
+  entries.sort((a, b) => b.retainedSize - a.retainedSize);
+  return entries;
+}
+
+/**
+ * List a page of the objects immediately dominated by a node of the
+ * dominator tree. Children are sorted once per node; only the page is
+ * described, so the GC roots' many children cost little to page through.
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number} node - Node to expand; ROOT_NODE lists the children of the GC roots
+ * @param {number} start - Index of the first object, largest retained size first
+ * @param {number} count - Maximum number of objects
+ * @param {string} searchTerm - Only list objects whose class name contains it
+ *   (case-insensitive); empty lists all
+ * @returns {Object} { objects, total } where objects are { node, objectId,
+ *   className, shallowSize, retainedSize, childCount } and total counts the
+ *   matching children
+ */
+export function getDominatedObjects(heapData, node = ROOT_NODE, start = 0, count = Infinity, searchTerm = '') {
+  const { graph, immediateDominators, retainedSizes } = computeDominators(heapData);
+  let cache = dominatedObjectsCache.get(heapData);
+  if (!cache) {
+    cache = {
+      ...getDominatorChildren(graph.nodeCount, immediateDominators),
+      sortedByNode: new Map(),
+      lastSearch: null
+    };
+    dominatedObjectsCache.set(heapData, cache);
+  }
+
+  const { childStart, children } = cache;
+  let matching = cache.sortedByNode.get(node);
+  if (!matching) {
+    matching = children.slice(childStart[node], childStart[node + 1]);
+    matching.sort((a, b) => retainedSizes[b] - retainedSizes[a]);
+    cache.sortedByNode.set(node, matching);
+  }
+
+  if (searchTerm) {
+    const term = searchTerm.toLowerCase();
+    if (cache.lastSearch?.node !== node || cache.lastSearch.term !== term) {
+      cache.lastSearch = {
+        node,
+        term,
+        children: matching.filter(child => getNodeClassName(heapData, graph, child).toLowerCase().includes(term))
+      };
     }
+    matching = cache.lastSearch.children;
   }
 
-  // Convert to array and sort by retained size
-  const result = Array.from(retainedByClass.values());
-  result.sort((a, b) => b.retainedSize - a.retainedSize);
-  
+  const objects = Array.from(matching.subarray(start, start + count), child => ({
+    node: child,
+    objectId: graph.objectIds[child],
+    className: getNodeClassName(heapData, graph, child),
+    shallowSize: graph.shallowSizes[child],
+    retainedSize: retainedSizes[child],
+    childCount: childStart[child + 1] - childStart[child]
+  }));
+  return { objects, total: matching.length };
+}
+
+/**
+ * Get the retained size of a single object
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number|bigint} objectId - Object ID (see objectId.js)
+ * @returns {number} Retained size in bytes; 0 for unreachable or unknown objects
+ */
+export function getRetainedSize(heapData, objectId) {
+  const { graph, retainedSizes } = computeDominators(heapData);
+  const node = graph.indexById.get(objectId);
+  return node === undefined ? 0 : retainedSizes[node];
+}
+
+/**
+ * Compute the immediate dominator and retained size of every object
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Function} onProgress - See calculateDominatorTree
+ * @returns {Object} { graph, immediateDominators, retainedSizes } indexed by graph
+ *   node; immediateDominators is -1 for the root and for unreachable objects
+ */
+export function computeDominators(heapData, onProgress = () => {}) {
+  let result = dominatorCache.get(heapData);
+  if (result) return result;
+
+  const graph = getObjectGraph(heapData);
+  const { order, immediateDominators } = findImmediateDominators(graph, onProgress);
+
+  // Children come after their dominator in DFS order, so a reverse pass
+  // accumulates each subtree before it is added to its dominator
+  const retainedSizes = new Float64Array(graph.nodeCount);
+  for (let i = order.length - 1; i > 0; i--) {
+    const node = order[i];
+    retainedSizes[node] += graph.shallowSizes[node];
+    retainedSizes[immediateDominators[node]] += retainedSizes[node];
+  }
+
+  result = { graph, immediateDominators, retainedSizes };
+  dominatorCache.set(heapData, result);
   return result;
 }
 
+/**
+ * Find immediate dominators with the Lengauer-Tarjan algorithm (simple
+ * version with path compression). Works on DFS numbers internally and
+ * avoids recursion so deep object chains cannot overflow the stack.
+ * @param {Object} graph - Object graph
+ * @param {Function} onProgress - Called with (nodes processed, reachable node
+ *   count) from the semidominator pass, which does most of the work
+ * @returns {Object} { order, immediateDominators } where order lists the
+ *   reachable nodes in DFS preorder
+ */
+function findImmediateDominators(graph, onProgress) {
+  const { nodeCount, edgeStart, edgeTargets } = graph;
+  const incoming = getIncomingEdges(graph);
+
+  // Depth-first search from the root, numbering nodes in preorder
+  const dfsNumbers = new Int32Array(nodeCount).fill(-1);
+  const order = new Int32Array(nodeCount);
+  const parents = new Int32Array(nodeCount);
+  const cursor = new Uint32Array(nodeCount);
+  const stack = new Int32Array(nodeCount);
+  let count = 0;
+  let top = 0;
+
+  dfsNumbers[ROOT_NODE] = count;
+  order[count++] = ROOT_NODE;
+  stack[top] = ROOT_NODE;
+  cursor[ROOT_NODE] = edgeStart[ROOT_NODE];
+  while (top >= 0) {
+    const node = stack[top];
+    if (cursor[node] < edgeStart[node + 1]) {
+      const target = edgeTargets[cursor[node]++];
+      if (dfsNumbers[target] === -1) {
+        dfsNumbers[target] = count;
+        parents[count] = dfsNumbers[node];
+        order[count++] = target;
+        cursor[target] = edgeStart[target];
+        stack[++top] = target;
+      }
+    } else {
+      top--;
+    }
+  }
+
+  // Semidominators and immediate dominators, indexed by DFS number
+  const semi = new Int32Array(count);
+  const idom = new Int32Array(count);
+  const ancestor = new Int32Array(count).fill(-1);
+  const label = new Int32Array(count);
+  const bucketHead = new Int32Array(count).fill(-1);
+  const bucketNext = new Int32Array(count);
+  for (let v = 0; v < count; v++) {
+    semi[v] = v;
+    label[v] = v;
+  }
+
+  const path = [];
+  const evaluate = v => {
+    if (ancestor[v] === -1) return v;
+    let x = v;
+    while (ancestor[ancestor[x]] !== -1) {
+      path.push(x);
+      x = ancestor[x];
+    }
+    while (path.length > 0) {
+      x = path.pop();
+      const a = ancestor[x];
+      if (semi[label[a]] < semi[label[x]]) {
+        label[x] = label[a];
+      }
+      ancestor[x] = ancestor[a];
+    }
+    return label[v];
+  };
+
+  const reportProgress = createProgressReporter(onProgress, count);
+  for (let w = count - 1; w > 0; w--) {
+    reportProgress(count - w);
+    const node = order[w];
+    for (let e = incoming.edgeStart[node]; e < incoming.edgeStart[node + 1]; e++) {
+      const v = dfsNumbers[incoming.edgeSources[e]];
+      if (v === -1) continue; // unreachable referrer
+      const u = evaluate(v);
+      if (semi[u] < semi[w]) {
+        semi[w] = semi[u];
+      }
+    }
+
+    bucketNext[w] = bucketHead[semi[w]];
+    bucketHead[semi[w]] = w;
+
+    const parent = parents[w];
+    ancestor[w] = parent;
+    for (let v = bucketHead[parent]; v !== -1; v = bucketNext[v]) {
+      const u = evaluate(v);
+      idom[v] = semi[u] < semi[v] ? u : parent;
+    }
+    bucketHead[parent] = -1;
+  }
+
+  for (let w = 1; w < count; w++) {
+    if (idom[w] !== semi[w]) {
+      idom[w] = idom[idom[w]];
+    }
+  }
+
+  const immediateDominators = new Int32Array(nodeCount).fill(-1);
+  for (let w = 1; w < count; w++) {
+    immediateDominators[order[w]] = order[idom[w]];
+  }
+
+  return { order: order.subarray(0, count), immediateDominators };
+}
+
+/**
+ * Group nodes by immediate dominator
+ * @param {number} nodeCount - Number of graph nodes
+ * @param {Int32Array} immediateDominators - Immediate dominator of each node
+ * @returns {Object} { childStart, children } where the children of node n are
+ *   children[childStart[n]] up to children[childStart[n + 1] - 1]
+ */
+function getDominatorChildren(nodeCount, immediateDominators) {
+  const childStart = new Uint32Array(nodeCount + 1);
+  for (let node = 0; node < nodeCount; node++) {
+    if (immediateDominators[node] !== -1) {
+      childStart[immediateDominators[node] + 1]++;
+    }
+  }
+  for (let node = 0; node < nodeCount; node++) {
+    childStart[node + 1] += childStart[node];
+  }
+
+  const children = new Uint32Array(childStart[nodeCount]);
+  const fill = childStart.slice(0, nodeCount);
+  for (let node = 0; node < nodeCount; node++) {
+    if (immediateDominators[node] !== -1) {
+      children[fill[immediateDominators[node]]++] = node;
+    }
+  }
+  return { childStart, children };
+}
+
+/**
+ * Get the display class name of a dominator tree node
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} graph - Object graph
+ * @param {number} node - Node index
+ * @returns {string} The class name, or "class NAME" for class objects
+ */
+function getNodeClassName(heapData, graph, node) {
+  const objectId = graph.objectIds[node];
+  if (graph.isClassNode[node]) {
+    return `class ${heapData.classes.get(objectId).name}`;
+  }
+  const classId = heapData.instances.get(objectId).classObjectId;
+  return heapData.classes.get(classId)?.name || `Unknown#${classId}`;
+}
+
 /**
  * Calculate retention percentage
  * @param {number} retainedSize - Retained size for this class
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeDominators, getRetainedSize } from './dominatorTreeAnalyzer.js';
+import { BASIC_TYPE_CODES } from '../hprofTypes.js';
+
+const WEAK_REFERENCE_CLASS_ID = 0x100;
+
+/**
+ * Build heap data from objects given as [objectId, size, referencedIds];
+ * references are stored as object array elements so no field layouts are
+ * needed. A referencedIds of { weak: id } makes a WeakReference to id instead.
+ * @param {Array} objects - Objects of the heap
+ * @param {Array} rootIds - Objects held by GC roots
+ * @returns {Object} Heap data with 4-byte object IDs
+ */
+function buildHeap(objects, rootIds) {
+  const heapData = {
+    identifierSize: 4,
+    classes: new Map([[WEAK_REFERENCE_CLASS_ID, {
+      classObjectId: WEAK_REFERENCE_CLASS_ID,
+      name: 'java.lang.ref.WeakReference',
+      superClassObjectId: 0,
+      instanceFields: [{ name: 'referent', type: BASIC_TYPE_CODES.OBJECT }]
+    }]]),
+    instances: new Map(),
+    roots: rootIds.map(objectId => ({ objectId }))
+  };
+  for (const [objectId, size, references] of objects) {
+    if (Array.isArray(references)) {
+      heapData.instances.set(objectId, { type: 'objectArray', classObjectId: 0, elements: references, size });
+    } else {
+      const data = new Uint8Array(4);
+      new DataView(data.buffer).setUint32(0, references.weak);
+      heapData.instances.set(objectId, { classObjectId: WEAK_REFERENCE_CLASS_ID, size, data });
+    }
+  }
+  return heapData;
+}
+
+/**
+ * Look up the immediate dominator of an object
+ * @returns {number|null|undefined} Object ID of the dominator, null for the
+ *   GC roots' virtual root and undefined for unreachable objects
+ */
+function dominatorOf(heapData, objectId) {
+  const { graph, immediateDominators } = computeDominators(heapData);
+  const dominator = immediateDominators[graph.indexById.get(objectId)];
+  return dominator === -1 ? undefined : graph.objectIds[dominator];
+}
+
+test('a diamond is dominated by its top, not by either side', () => {
+  const heapData = buildHeap([
+    [1, 10, [2, 3]],
+    [2, 20, [4]],
+    [3, 30, [4]],
+    [4, 40, []]
+  ], [1]);
+
+  assert.equal(dominatorOf(heapData, 1), null);
+  assert.equal(dominatorOf(heapData, 2), 1);
+  assert.equal(dominatorOf(heapData, 3), 1);
+  assert.equal(dominatorOf(heapData, 4), 1);
+  assert.equal(getRetainedSize(heapData, 1), 100);
+  assert.equal(getRetainedSize(heapData, 2), 20);
+  assert.equal(getRetainedSize(heapData, 3), 30);
+  assert.equal(getRetainedSize(heapData, 4), 40);
+});
+
+test('a cycle back to a GC root does not make the root dominated', () => {
+  // 1 -> 2 -> 3 -> 1, and a second root also holds 3
+  const heapData = buildHeap([
+    [1, 10, [2]],
+    [2, 20, [3]],
+    [3, 30, [1]],
+    [4, 40, [3]]
+  ], [1, 4]);
+
+  assert.equal(dominatorOf(heapData, 1), null);
+  assert.equal(dominatorOf(heapData, 2), 1);
+  assert.equal(dominatorOf(heapData, 3), null);
+  assert.equal(dominatorOf(heapData, 4), null);
+  assert.equal(getRetainedSize(heapData, 1), 30);
+  assert.equal(getRetainedSize(heapData, 3), 30);
+  assert.equal(getRetainedSize(heapData, 4), 40);
+});
+
+test('an object held only through a weak reference is dominated by the reference', () => {
+  const heapData = buildHeap([
+    [1, 10, [2]],
+    [2, 16, { weak: 3 }],
+    [3, 30, [4]],
+    [4, 40, []]
+  ], [1]);
+
+  assert.equal(dominatorOf(heapData, 2), 1);
+  assert.equal(dominatorOf(heapData, 3), 2);
+  assert.equal(dominatorOf(heapData, 4), 3);
+  assert.equal(getRetainedSize(heapData, 2), 86);
+  assert.equal(getRetainedSize(heapData, 1), 96);
+});
+
+test('unreachable objects have no dominator and do not change the reachable ones', () => {
+  // 5 is garbage that still points into the live graph
+  const heapData = buildHeap([
+    [1, 10, [2]],
+    [2, 20, [3]],
+    [3, 30, []],
+    [5, 50, [3]]
+  ], [1]);
+
+  assert.equal(dominatorOf(heapData, 5), undefined);
+  assert.equal(getRetainedSize(heapData, 5), 0);
+  assert.equal(dominatorOf(heapData, 3), 2);
+  assert.equal(getRetainedSize(heapData, 1), 60);
+  assert.equal(getRetainedSize(heapData, 2), 50);
+});
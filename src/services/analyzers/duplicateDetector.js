@@ -0,0 +1,177 @@
+/**
+ * Duplicate String Detector
+ *
+ * Finds duplicate string values that waste memory.
+ *
+ * String instances are grouped by value. Every copy beyond the first wastes
+ * its String object plus its backing char[]/byte[] array, unless copies
+ * already share the array (e.g. after G1 string deduplication), in which
+ * case only the String object is wasted. For the most wasteful groups, the
+ * fields that refer to the copies show where interning or deduplication
+ * would pay off. Only Strings reachable from the GC roots are counted:
+ * garbage copies go away with the next collection.
+ *
+ * The parser keeps only the first 2 KB of each array, so very long strings
+ * are grouped by that prefix and their length.
+ */
+
+import { getObjectGraph, getIncomingEdges, getEdgeFieldName } from './objectGraph.js';
+import { markReachableObjects } from './reachabilityAnalyzer.js';
+import { getFieldValue } from '../fieldDecoder.js';
+import { getStringValue, formatStringValue, isStringClass } from '../stringDecoder.js';
+import { createProgressReporter } from '../progress.js';
+
+// Duplicate groups reported, most wasted bytes first
+const MAX_GROUPS = 500;
+
+// Referrers listed per group
+const MAX_REFERRERS = 5;
+
+// Object IDs kept per group for drilling into copies
+const MAX_SAMPLE_IDS = 20;
+
+// Characters of each value shown
+const MAX_DISPLAY_LENGTH = 200;
+
+// Characters used to tell values apart (more than the parser keeps)
+const MAX_KEY_LENGTH = 1 << 20;
+
+/**
+ * Group live String instances by value and measure the memory duplicates waste
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Function} onProgress - Called with (Strings read, String instance count)
+ * @returns {Object} { totalStrings, totalSize, uniqueValues, duplicateCount,
+ *   wastedSize, groups } where groups (values held by more than one String) are
+ *   { value, length, truncated, count, totalSize, wastedSize, referrers,
+ *   sampleObjectIds } and referrers are { className, fieldName, count }
+ */
+export function findDuplicateStrings(heapData, onProgress = () => {}) {
+  const { classes, instances } = heapData;
+  const graph = getObjectGraph(heapData);
+  const reachable = markReachableObjects(heapData);
+  const stringClasses = [...classes.values()].filter(classInfo => isStringClass(classInfo.name));
+  const reportProgress = createProgressReporter(
+    onProgress,
+    stringClasses.reduce((count, classInfo) => count + (classInfo.instances || []).length, 0)
+  );
+  const stringValues = new Map(); // value -> group
+  const countedArrays = new Set();
+  let totalStrings = 0;
+  let totalSize = 0;
+  let read = 0;
+
+  for (const classInfo of stringClasses) {
+    for (const objectId of classInfo.instances || []) {
+      reportProgress(++read);
+      if (!reachable[graph.indexById.get(objectId)]) continue;
+
+      const instance = instances.get(objectId);
+      const stringValue = instance && getStringValue(heapData, instance, MAX_KEY_LENGTH);
+      if (!stringValue) continue;
+
+      // Copies sharing one backing array only pay for it once
+      const arrayId = getFieldValue(heapData, instance, 'value');
+      const array = arrayId ? instances.get(arrayId) : null;
+      let size = instance.size || 0;
+      if (array && !countedArrays.has(arrayId)) {
+        countedArrays.add(arrayId);
+        size += array.size || 0;
+      }
+
+      const key = `${stringValue.length}:${stringValue.value}`;
+      let group = stringValues.get(key);
+      if (!group) {
+        group = { stringValue, count: 0, totalSize: 0, firstSize: size, objectIds: [] };
+        stringValues.set(key, group);
+      }
+      group.count++;
+      group.totalSize += size;
+      group.objectIds.push(objectId);
+
+      totalStrings++;
+      totalSize += size;
+    }
+  }
+
+  let duplicateCount = 0;
+  let wastedSize = 0;
+  const duplicates = [];
+  for (const group of stringValues.values()) {
+    if (group.count < 2) continue;
+    group.wastedSize = group.totalSize - group.firstSize;
+    duplicateCount += group.count - 1;
+    wastedSize += group.wastedSize;
+    duplicates.push(group);
+  }
+  duplicates.sort((a, b) => b.wastedSize - a.wastedSize || b.count - a.count);
+
+  const groups = duplicates.slice(0, MAX_GROUPS).map(group => {
+    const { value, length, truncated } = group.stringValue;
+    const display = {
+      value: value.length > MAX_DISPLAY_LENGTH ? value.substring(0, MAX_DISPLAY_LENGTH) : value,
+      length,
+      truncated: truncated || value.length > MAX_DISPLAY_LENGTH
+    };
+    return {
+      value: formatStringValue(display),
+      length,
+      truncated,
+      count: group.count,
+      totalSize: group.totalSize,
+      wastedSize: group.wastedSize,
+      referrers: findTopReferrers(heapData, group.objectIds),
+      sampleObjectIds: group.objectIds.slice(0, MAX_SAMPLE_IDS)
+    };
+  });
+
+  return {
+    totalStrings,
+    totalSize,
+    uniqueValues: stringValues.size,
+    duplicateCount,
+    wastedSize,
+    groups
+  };
+}
+
+/**
+ * Count the fields that refer to a set of objects, most frequent first
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Array} objectIds - Object IDs
+ * @returns {Array} Referrers as { className, fieldName, count }; array elements
+ *   are counted together as fieldName "[]"
+ */
+function findTopReferrers(heapData, objectIds) {
+  const graph = getObjectGraph(heapData);
+  const incoming = getIncomingEdges(graph);
+  const referrers = new Map();
+
+  for (const objectId of objectIds) {
+    const node = graph.indexById.get(objectId);
+    if (node === undefined) continue;
+
+    for (let i = incoming.edgeStart[node]; i < incoming.edgeStart[node + 1]; i++) {
+      const fieldName = getEdgeFieldName(graph, incoming.edgeIndexes[i]);
+      if (fieldName === null) continue; // GC root
+
+      const source = graph.objectIds[incoming.edgeSources[i]];
+      const className = graph.isClassNode[incoming.edgeSources[i]]
+        ? heapData.classes.get(source).name
+        : heapData.classes.get(heapData.instances.get(source).classObjectId)?.name || 'Unknown';
+      const key = `${className}\u0000${fieldName}`;
+
+      const referrer = referrers.get(key);
+      if (referrer) {
+        referrer.count++;
+      } else {
+        referrers.set(key, { className, fieldName, count: 1 });
+      }
+    }
+  }
+
+  return Array.from(referrers.values())
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_REFERRERS);
+}
+
+export default findDuplicateStrings;
@@ -0,0 +1,182 @@
+/**
+ * Generated Class Analyzer
+ *
+ * Finds runtime-generated classes - lambdas, JDK dynamic proxies, CGLIB and
+ * ByteBuddy subclasses, Groovy scripts and reflection accessors - and groups
+ * them by naming pattern and by defining loader. Each generated class lives
+ * in metaspace, so code that generates a new class per call (a proxy per
+ * request, a GroovyShell per script evaluation, ...) grows metaspace until
+ * the JVM fails with "OutOfMemoryError: Metaspace", while the Java heap
+ * itself looks healthy.
+ *
+ * Heap dumps carry no metaspace data, so the footprint is estimated from a
+ * typical metadata size per kind of generated class.
+ */
+
+import { getFieldValue } from '../fieldDecoder.js';
+import { getStringValue } from '../stringDecoder.js';
+
+// Kinds of generated classes: pattern on the class name, typical metadata
+// bytes per class, and the class count above which the number is abnormal
+export const GENERATED_CLASS_PATTERNS = [
+  {
+    id: 'lambda',
+    name: 'Lambdas',
+    pattern: /\$\$Lambda(\W|$)/,
+    metadataSize: 1536,
+    threshold: 10000,
+    description: 'Lambda and method reference classes spun by LambdaMetafactory. Counts keep growing when lambdas are created inside classes that are themselves generated or reloaded.'
+  },
+  {
+    id: 'proxy',
+    name: 'JDK Proxies',
+    pattern: /(^|\.)\$Proxy\d+$/,
+    metadataSize: 4096,
+    threshold: 2000,
+    description: 'java.lang.reflect.Proxy classes. One class per interface combination and loader; growth means proxies are built for ever new loaders or interface lists.'
+  },
+  {
+    id: 'cglib',
+    name: 'CGLIB',
+    pattern: /\$\$(EnhancerBy|FastClassBy)(Spring)?CGLIB\$\$|\$\$SpringCGLIB\$\$/,
+    metadataSize: 8192,
+    threshold: 2000,
+    description: 'CGLIB subclasses, e.g. Spring configuration and AOP proxies. Enhancers created without caching generate a class per call.'
+  },
+  {
+    id: 'bytebuddy',
+    name: 'ByteBuddy',
+    pattern: /\$ByteBuddy\$|\$MockitoMock\$|\$HibernateProxy\$|\$auxiliary\$/,
+    metadataSize: 4096,
+    threshold: 2000,
+    description: 'ByteBuddy subclasses (Hibernate proxies, Mockito mocks, agents). A TypeCache or fixed naming strategy avoids one class per call.'
+  },
+  {
+    id: 'groovy',
+    name: 'Groovy Scripts',
+    pattern: /^Script\d+(\$|$)|^Script_[0-9a-f]{32}(\$|$)/,
+    metadataSize: 8192,
+    threshold: 500,
+    description: 'Classes compiled from Groovy scripts and their closures. Every GroovyShell.evaluate/parse compiles a new class; cache the parsed Script instead.'
+  },
+  {
+    id: 'reflection',
+    name: 'Reflection Accessors',
+    pattern: /\.reflect\.Generated\w*Accessor\d+$/,
+    metadataSize: 1024,
+    threshold: 2000,
+    description: 'Bytecode accessors generated after repeated reflective calls (before JDK 18). One per reflected method, multiplied by redeployed loaders.'
+  }
+];
+
+// Class names kept per pattern
+const MAX_SAMPLE_CLASSES = 10;
+
+// Pattern-loader groups reported, most classes first
+const MAX_LOADER_GROUPS = 200;
+
+// heapData -> analysis result
+const generatedClassCache = new WeakMap();
+
+/**
+ * Group generated classes by pattern and by defining loader
+ * @param {Object} heapData - Parsed heap dump data
+ * @returns {Object} { classCount, estimatedMetadataSize, byPattern, byLoader }
+ *   where byPattern entries are { id, name, description, classCount,
+ *   instanceCount, instanceSize, loaderCount, estimatedMetadataSize, threshold, isAbnormal,
+ *   sampleClassNames } and byLoader entries are { patternName, loaderObjectId,
+ *   loaderClass, loaderName, classCount, estimatedMetadataSize }; the bootstrap
+ *   loader has loaderObjectId null
+ */
+export function analyzeGeneratedClasses(heapData) {
+  let result = generatedClassCache.get(heapData);
+  if (result) return result;
+
+  const byPattern = new Map(GENERATED_CLASS_PATTERNS.map(kind => [kind.id, {
+    kind,
+    classCount: 0,
+    instanceCount: 0,
+    instanceSize: 0,
+    loaderIds: new Set(),
+    sampleClassNames: []
+  }]));
+  const byLoader = new Map();
+
+  for (const classInfo of heapData.classes.values()) {
+    const kind = GENERATED_CLASS_PATTERNS.find(({ pattern }) => pattern.test(classInfo.name));
+    if (!kind) continue;
+
+    const loaderId = classInfo.classLoaderObjectId || 0;
+    const group = byPattern.get(kind.id);
+    group.classCount++;
+    for (const objectId of classInfo.instances || []) {
+      group.instanceCount++;
+      group.instanceSize += heapData.instances.get(objectId)?.size || 0;
+    }
+    group.loaderIds.add(loaderId);
+    if (group.sampleClassNames.length < MAX_SAMPLE_CLASSES) {
+      group.sampleClassNames.push(classInfo.name);
+    }
+
+    const loaderKey = `${kind.id}\u0000${loaderId}`;
+    let loaderGroup = byLoader.get(loaderKey);
+    if (!loaderGroup) {
+      loaderGroup = {
+        patternName: kind.name,
+        ...describeLoader(heapData, loaderId),
+        classCount: 0,
+        estimatedMetadataSize: 0
+      };
+      byLoader.set(loaderKey, loaderGroup);
+    }
+    loaderGroup.classCount++;
+    loaderGroup.estimatedMetadataSize += kind.metadataSize;
+  }
+
+  const patterns = Array.from(byPattern.values(), ({ kind, loaderIds, ...group }) => ({
+    id: kind.id,
+    name: kind.name,
+    description: kind.description,
+    ...group,
+    loaderCount: loaderIds.size,
+    estimatedMetadataSize: group.classCount * kind.metadataSize,
+    threshold: kind.threshold,
+    isAbnormal: group.classCount > kind.threshold
+  })).filter(group => group.classCount > 0);
+  patterns.sort((a, b) => b.estimatedMetadataSize - a.estimatedMetadataSize);
+
+  const loaders = Array.from(byLoader.values());
+  loaders.sort((a, b) => b.classCount - a.classCount);
+
+  result = {
+    classCount: patterns.reduce((sum, group) => sum + group.classCount, 0),
+    estimatedMetadataSize: patterns.reduce((sum, group) => sum + group.estimatedMetadataSize, 0),
+    byPattern: patterns,
+    byLoader: loaders.slice(0, MAX_LOADER_GROUPS)
+  };
+  generatedClassCache.set(heapData, result);
+  return result;
+}
+
+/**
+ * Describe a defining loader
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number|bigint} loaderId - Loader object ID, 0 for the bootstrap loader
+ * @returns {Object} { loaderObjectId, loaderClass, loaderName }
+ */
+function describeLoader(heapData, loaderId) {
+  if (!loaderId) {
+    return { loaderObjectId: null, loaderClass: '<bootstrap>', loaderName: null };
+  }
+
+  const instance = heapData.instances.get(loaderId);
+  const nameId = instance ? getFieldValue(heapData, instance, 'name') : null;
+  const nameInstance = nameId ? heapData.instances.get(nameId) : null;
+  return {
+    loaderObjectId: loaderId,
+    loaderClass: instance ? heapData.classes.get(instance.classObjectId)?.name || 'Unknown' : 'Unknown',
+    loaderName: nameInstance ? getStringValue(heapData, nameInstance)?.value ?? null : null
+  };
+}
+
+export default analyzeGeneratedClasses;
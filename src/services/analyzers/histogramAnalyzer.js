@@ -2,20 +2,31 @@
  * Histogram Analyzer
  * 
  * Generates a histogram of heap objects grouped by class.
- * Shows instance count and total memory usage per class.
+ * Shows instance count and total memory usage per class, split into live
+ * objects and unreachable garbage.
  */
 
+import { getObjectGraph } from './objectGraph.js';
+import { markReachableObjects } from './reachabilityAnalyzer.js';
+import { createProgressReporter } from '../progress.js';
+
 /**
  * Generate histogram from parsed heap data
  * @param {Object} heapData - Parsed heap dump data
+ * @param {Function} onProgress - Called with (instances counted, instance count)
  * @returns {Array} Array of histogram entries sorted by total size
  */
-export function generateHistogram(heapData) {
+export function generateHistogram(heapData, onProgress = () => {}) {
   const { classes, instances } = heapData;
+  const { indexById } = getObjectGraph(heapData);
+  const reachable = markReachableObjects(heapData);
   const histogram = new Map();
+  const reportProgress = createProgressReporter(onProgress, instances.size);
+  let counted = 0;
 
   // Iterate through all instances
   for (const [objectId, instance] of instances) {
+    reportProgress(++counted);
     const classId = instance.classObjectId;
     const classInfo = classes.get(classId);
     const className = classInfo?.name || `Unknown#${classId}`;
@@ -26,14 +37,24 @@ export function generateHistogram(heapData) {
         classId,
         instanceCount: 0,
         totalSize: 0,
-        instances: []
+        liveCount: 0,
+        liveSize: 0,
+        unreachableCount: 0,
+        unreachableSize: 0
       });
     }
 
     const entry = histogram.get(className);
+    const size = instance.size || 0;
     entry.instanceCount++;
-    entry.totalSize += instance.size || 0;
-    entry.instances.push(objectId);
+    entry.totalSize += size;
+    if (reachable[indexById.get(objectId)]) {
+      entry.liveCount++;
+      entry.liveSize += size;
+    } else {
+      entry.unreachableCount++;
+      entry.unreachableSize += size;
+    }
   }
 
   // Convert to array and sort by total size
@@ -43,6 +64,22 @@ export function generateHistogram(heapData) {
   return result;
 }
 
+/**
+ * Find every instance of a class, across all classes loaded with that name
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {string} className - Class name as shown in the histogram
+ * @returns {Array} Object IDs of the instances (including arrays)
+ */
+export function findInstancesOfClass(heapData, className) {
+  const objectIds = [];
+  for (const classInfo of heapData.classes.values()) {
+    if (classInfo.name !== className) continue;
+    // Spreading into push() overflows the stack for large instance lists
+    for (const objectId of classInfo.instances || []) objectIds.push(objectId);
+  }
+  return objectIds;
+}
+
 /**
  * Format byte size for display
  * @param {number} bytes - Size in bytes
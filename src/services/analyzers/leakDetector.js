@@ -5,11 +5,16 @@
  * - Classes with unusually high retained sizes
  * - Common leak patterns (collections, strings, listeners, classloaders)
  * - Classes with abnormally high instance counts
+ * - Abnormal numbers of generated classes (lambdas, proxies, ...) that fill
+ *   metaspace rather than the heap
  * 
  * This analyzer is particularly tuned for observability pipeline workloads.
  */
 
 import { getTotalHeapSize } from './dominatorTreeAnalyzer.js';
+import { isSubclassOf } from './classLoaderAnalyzer.js';
+import { analyzeGeneratedClasses } from './generatedClassAnalyzer.js';
+import { formatSize } from './histogramAnalyzer.js';
 
 // Threshold: classes using more than this % of heap are suspicious
 const HIGH_RETENTION_THRESHOLD = 0.1; // 10%
@@ -17,7 +22,8 @@ const HIGH_RETENTION_THRESHOLD = 0.1; // 10%
 // Threshold: classes with more than this many instances are suspicious
 const HIGH_INSTANCE_COUNT_THRESHOLD = 10000;
 
-// Common leak pattern signatures
+// Common leak pattern signatures; a pattern with a superclass also matches
+// every class extending it, whatever its name
 const LEAK_PATTERNS = {
   STRING: {
     pattern: /java\.lang\.String|char\[\]/i,
@@ -42,6 +48,7 @@ const LEAK_PATTERNS = {
   },
   CLASSLOADER: {
     pattern: /ClassLoader$/i,
+    superclass: 'java.lang.ClassLoader',
     name: 'Classloader Leak',
     description: 'Retained classloaders prevent entire class graphs from being unloaded.',
     severity: 'critical',
@@ -91,6 +98,16 @@ const LEAK_PATTERNS = {
   }
 };
 
+// Pattern attached to generated-class suspects (see generatedClassAnalyzer.js)
+const GENERATED_CLASS_PATTERN = {
+  name: 'Generated Class Explosion',
+  description: 'Far more runtime-generated classes than usual. They fill metaspace rather than the heap.',
+  severity: 'high'
+};
+
+// Loaders named in the reasons of a generated-class suspect
+const MAX_SUSPECT_LOADERS = 3;
+
 /**
  * Detect memory leak suspects
  * @param {Object} heapData - Parsed heap dump data
@@ -119,7 +136,8 @@ export function detectLeakSuspects(heapData, histogram) {
     
     // Check for leak patterns
     for (const pattern of Object.values(LEAK_PATTERNS)) {
-      if (pattern.pattern.test(entry.className)) {
+      if (pattern.pattern.test(entry.className) ||
+          (pattern.superclass && isSubclassOf(heapData, entry.classId, pattern.superclass))) {
         patterns.push({
           name: pattern.name,
           description: pattern.description,
@@ -142,6 +160,8 @@ export function detectLeakSuspects(heapData, histogram) {
     }
   }
 
+  suspects.push(...detectGeneratedClassSuspects(heapData, totalHeapSize));
+
   // Sort by severity and then by size
   suspects.sort((a, b) => {
     const severityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
@@ -153,6 +173,51 @@ export function detectLeakSuspects(heapData, histogram) {
   return suspects;
 }
 
+/**
+ * Raise a suspect for every kind of generated class with an abnormal count
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number} totalHeapSize - Total heap size in bytes
+ * @returns {Array} Suspects in the form of detectLeakSuspects, with a
+ *   generatedClasses entry { classCount, loaderCount, estimatedMetadataSize };
+ *   className names the kind of class rather than a single class
+ */
+function detectGeneratedClassSuspects(heapData, totalHeapSize) {
+  const { byPattern, byLoader } = analyzeGeneratedClasses(heapData);
+  const suspects = [];
+
+  for (const group of byPattern) {
+    if (!group.isAbnormal) continue;
+
+    const reasons = [
+      `${group.classCount.toLocaleString()} generated classes (more than ${group.threshold.toLocaleString()} is unusual)`,
+      `About ${formatSize(group.estimatedMetadataSize)} of metaspace (estimated)`
+    ];
+    const topLoaders = byLoader.filter(loader => loader.patternName === group.name).slice(0, MAX_SUSPECT_LOADERS);
+    for (const loader of topLoaders) {
+      reasons.push(`${loader.classCount.toLocaleString()} defined by ${loader.loaderClass}${loader.loaderName ? ` "${loader.loaderName}"` : ''}`);
+    }
+
+    const retentionPct = totalHeapSize > 0 ? (group.instanceSize / totalHeapSize) * 100 : 0;
+    const patterns = [{ ...GENERATED_CLASS_PATTERN, description: `${GENERATED_CLASS_PATTERN.description} ${group.description}` }];
+    suspects.push({
+      className: `Generated classes: ${group.name}`,
+      instanceCount: group.instanceCount,
+      totalSize: group.instanceSize,
+      retentionPercentage: retentionPct,
+      reasons,
+      patterns,
+      severity: getSeverity(patterns, retentionPct, group.instanceCount),
+      generatedClasses: {
+        classCount: group.classCount,
+        loaderCount: group.loaderCount,
+        estimatedMetadataSize: group.estimatedMetadataSize
+      }
+    });
+  }
+
+  return suspects;
+}
+
 /**
  * Determine overall severity for a suspect
  * @param {Array} patterns - Matched patterns
@@ -259,6 +324,12 @@ export function generateLeakInsights(suspects) {
     );
   }
 
+  if (insights.topPatterns['Generated Class Explosion']?.count > 0) {
+    insights.recommendations.push(
+      '⚠️ Abnormal numbers of generated classes detected. Cache proxies, enhancers and parsed scripts instead of generating classes per call; raising MaxMetaspaceSize only delays the failure.'
+    );
+  }
+
   if (insights.high > 5) {
     insights.recommendations.push(
       '💡 Multiple high-severity issues found. Prioritize fixing critical and high-severity leaks first for maximum impact.'
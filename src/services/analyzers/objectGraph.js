@@ -0,0 +1,284 @@
+/**
+ * Object Graph
+ *
+ * A compact, index-based form of the heap's reference graph for the
+ * analyzers that walk the whole heap (dominator tree, reachability, paths
+ * to GC roots).
+ *
+ * Every object gets a node index: node 0 is a virtual root that points at
+ * each GC root, followed by the class objects and then the instances and
+ * arrays. Edges are stored in compressed sparse row form: the successors of
+ * node n are edgeTargets[edgeStart[n]] up to edgeTargets[edgeStart[n + 1] - 1].
+ *
+ * Edges follow every reference that keeps an object alive: instance fields,
+ * object array elements, an instance's class, and a class's static fields,
+ * superclass and class loader. Each edge has a name (the field name, "[index]"
+ * for array elements, "static NAME" for statics, "<class>", "<super>" or
+ * "<classloader>"; see getEdgeName) and flags, e.g. EDGE_FLAGS.WEAK for the
+ * referent of a weak, soft or phantom reference.
+ *
+ * Edges are kept in typed arrays, as a dump can have hundreds of millions of
+ * them. A name is stored as an index into a table of the distinct names, and
+ * an array element as its negated index, so elements need no string at all.
+ */
+
+import { forEachReference, getStaticFields } from '../fieldDecoder.js';
+import { BASIC_TYPE_CODES } from '../hprofTypes.js';
+import { createProgressReporter } from '../progress.js';
+
+// Index of the virtual root node
+export const ROOT_NODE = 0;
+
+// Bit flags stored per edge
+export const EDGE_FLAGS = {
+  WEAK: 1
+};
+
+// Reference classes whose referent does not keep an object alive
+const WEAK_REFERENCE_CLASSES = new Set([
+  'java.lang.ref.WeakReference',
+  'java.lang.ref.SoftReference',
+  'java.lang.ref.PhantomReference'
+]);
+
+// heapData -> object graph
+const graphCache = new WeakMap();
+
+// object graph -> incoming edges
+const incomingEdgesCache = new WeakMap();
+
+/**
+ * Get the object graph of a heap dump, building it on first use
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Function} onProgress - Called with (instances indexed, instance
+ *   count) while the graph is built
+ * @returns {Object} { nodeCount, objectIds, indexById, isClassNode, shallowSizes,
+ *   edgeStart, edgeTargets, edgeLabels, edgeFlags, labelNames } where
+ *   objectIds[ROOT_NODE] is null; read edge names with getEdgeName
+ */
+export function getObjectGraph(heapData, onProgress = () => {}) {
+  let graph = graphCache.get(heapData);
+  if (!graph) {
+    graph = buildObjectGraph(heapData, onProgress);
+    graphCache.set(heapData, graph);
+  }
+  return graph;
+}
+
+/**
+ * Get the name of an edge
+ * @param {Object} graph - Result of getObjectGraph
+ * @param {number} edge - Edge index
+ * @returns {string|null} Field name, "[index]" for array elements, "static NAME",
+ *   "<class>", "<super>" or "<classloader>"; null for the virtual root's edges
+ *   to the GC roots
+ */
+export function getEdgeName(graph, edge) {
+  const label = graph.edgeLabels[edge];
+  return label < 0 ? `[${-label - 1}]` : graph.labelNames[label];
+}
+
+/**
+ * Get the name of an edge with every array element named "[]", for grouping
+ * references by the field that holds them
+ * @param {Object} graph - Result of getObjectGraph
+ * @param {number} edge - Edge index
+ * @returns {string|null} See getEdgeName
+ */
+export function getEdgeFieldName(graph, edge) {
+  const label = graph.edgeLabels[edge];
+  return label < 0 ? '[]' : graph.labelNames[label];
+}
+
+/**
+ * Get the incoming edges of every node, in the same form as the outgoing edges
+ * @param {Object} graph - Result of getObjectGraph
+ * @returns {Object} { edgeStart, edgeSources, edgeIndexes } where edgeIndexes
+ *   holds the index of each edge in the outgoing arrays (for its label and flags)
+ */
+export function getIncomingEdges(graph) {
+  let incoming = incomingEdgesCache.get(graph);
+  if (incoming) return incoming;
+
+  const { nodeCount, edgeStart, edgeTargets } = graph;
+  const incomingStart = new Uint32Array(nodeCount + 1);
+  for (let i = 0; i < edgeTargets.length; i++) {
+    incomingStart[edgeTargets[i] + 1]++;
+  }
+  for (let node = 0; node < nodeCount; node++) {
+    incomingStart[node + 1] += incomingStart[node];
+  }
+
+  const edgeSources = new Uint32Array(edgeTargets.length);
+  const edgeIndexes = new Uint32Array(edgeTargets.length);
+  const fill = incomingStart.slice(0, nodeCount);
+  for (let node = 0; node < nodeCount; node++) {
+    for (let e = edgeStart[node]; e < edgeStart[node + 1]; e++) {
+      const position = fill[edgeTargets[e]]++;
+      edgeSources[position] = node;
+      edgeIndexes[position] = e;
+    }
+  }
+
+  incoming = { edgeStart: incomingStart, edgeSources, edgeIndexes };
+  incomingEdgesCache.set(graph, incoming);
+  return incoming;
+}
+
+/**
+ * Build the object graph
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Function} onProgress - See getObjectGraph
+ * @returns {Object} Object graph (see getObjectGraph)
+ */
+function buildObjectGraph(heapData, onProgress) {
+  const { classes, instances, roots } = heapData;
+
+  // Node order: root, classes, instances
+  const objectIds = [null];
+  const indexById = new Map();
+  for (const classObjectId of classes.keys()) {
+    indexById.set(classObjectId, objectIds.length);
+    objectIds.push(classObjectId);
+  }
+  const classNodeEnd = objectIds.length;
+  for (const objectId of instances.keys()) {
+    indexById.set(objectId, objectIds.length);
+    objectIds.push(objectId);
+  }
+
+  const nodeCount = objectIds.length;
+  const isClassNode = new Uint8Array(nodeCount);
+  isClassNode.fill(1, 1, classNodeEnd);
+  const shallowSizes = new Float64Array(nodeCount);
+  const edgeStart = new Uint32Array(nodeCount + 1);
+
+  // Grown by doubling, then trimmed to edgeCount
+  let capacity = Math.max(nodeCount * 2, 1024);
+  let edgeTargets = new Uint32Array(capacity);
+  let edgeLabels = new Int32Array(capacity);
+  let edgeFlags = new Uint8Array(capacity);
+  let edgeCount = 0;
+
+  // Label 0 names the virtual root's edges
+  const labelNames = [null];
+  const labelIndexes = new Map();
+  const getLabel = (name) => {
+    let label = labelIndexes.get(name);
+    if (label === undefined) {
+      label = labelNames.length;
+      labelNames.push(name);
+      labelIndexes.set(name, label);
+    }
+    return label;
+  };
+
+  // References to objects missing from the dump are dropped
+  const addEdge = (objectId, label, flags = 0) => {
+    const target = indexById.get(objectId);
+    if (target === undefined) return;
+    if (edgeCount === capacity) {
+      capacity *= 2;
+      edgeTargets = resize(edgeTargets, capacity);
+      edgeLabels = resize(edgeLabels, capacity);
+      edgeFlags = resize(edgeFlags, capacity);
+    }
+    edgeTargets[edgeCount] = target;
+    edgeLabels[edgeCount] = label;
+    edgeFlags[edgeCount] = flags;
+    edgeCount++;
+  };
+
+  let node = ROOT_NODE;
+  for (const root of roots) {
+    addEdge(root.objectId, 0);
+  }
+  edgeStart[++node] = edgeCount;
+
+  for (const classInfo of classes.values()) {
+    for (const field of getStaticFields(classInfo)) {
+      if (field.type === BASIC_TYPE_CODES.OBJECT && field.value !== null) {
+        addEdge(field.value, getLabel(`static ${field.name}`));
+      }
+    }
+    if (classInfo.superClassObjectId) addEdge(classInfo.superClassObjectId, getLabel('<super>'));
+    if (classInfo.classLoaderObjectId) addEdge(classInfo.classLoaderObjectId, getLabel('<classloader>'));
+    edgeStart[++node] = edgeCount;
+  }
+
+  const classLabel = getLabel('<class>');
+  const weakReferenceClasses = new Map();
+  const reportProgress = createProgressReporter(onProgress, instances.size);
+  let isWeakReference = false;
+  // Array elements are labelled with their negated index (-1 for [0])
+  const addReference = (objectId, fieldName, index) => {
+    if (fieldName === null) {
+      addEdge(objectId, -index - 1);
+    } else {
+      const flags = isWeakReference && fieldName === 'referent' ? EDGE_FLAGS.WEAK : 0;
+      addEdge(objectId, getLabel(fieldName), flags);
+    }
+  };
+  for (const instance of instances.values()) {
+    shallowSizes[node] = instance.size || 0;
+    addEdge(instance.classObjectId, classLabel);
+    isWeakReference = isWeakReferenceClass(heapData, instance.classObjectId, weakReferenceClasses);
+    forEachReference(heapData, instance, addReference);
+    edgeStart[++node] = edgeCount;
+    reportProgress(node - classNodeEnd);
+  }
+
+  return {
+    nodeCount,
+    objectIds,
+    indexById,
+    isClassNode,
+    shallowSizes,
+    edgeStart,
+    edgeTargets: edgeTargets.slice(0, edgeCount),
+    edgeLabels: edgeLabels.slice(0, edgeCount),
+    edgeFlags: edgeFlags.slice(0, edgeCount),
+    labelNames
+  };
+}
+
+/**
+ * Copy a typed array into a larger one of the same type
+ * @param {TypedArray} array - Array to copy
+ * @param {number} length - New length
+ * @returns {TypedArray} Resized array
+ */
+function resize(array, length) {
+  const resized = new array.constructor(length);
+  resized.set(array);
+  return resized;
+}
+
+/**
+ * Check whether a class is a weak, soft or phantom reference class
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number|bigint} classObjectId - Class object ID
+ * @param {Map} cache - classObjectId -> result, shared across calls
+ * @returns {boolean} True when the class extends one of WEAK_REFERENCE_CLASSES
+ */
+function isWeakReferenceClass(heapData, classObjectId, cache) {
+  let result = cache.get(classObjectId);
+  if (result !== undefined) return result;
+
+  result = false;
+  const visited = new Set();
+  let classInfo = heapData.classes.get(classObjectId);
+  while (classInfo && !visited.has(classInfo.classObjectId)) {
+    if (WEAK_REFERENCE_CLASSES.has(classInfo.name)) {
+      result = true;
+      break;
+    }
+    visited.add(classInfo.classObjectId);
+    classInfo = classInfo.superClassObjectId ? heapData.classes.get(classInfo.superClassObjectId) : null;
+  }
+
+  cache.set(classObjectId, result);
+  return result;
+}
+
+export default getObjectGraph;
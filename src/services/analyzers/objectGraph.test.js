@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getObjectGraph, getEdgeName, getEdgeFieldName, getIncomingEdges, EDGE_FLAGS, ROOT_NODE } from './objectGraph.js';
+import { BASIC_TYPE_CODES } from '../hprofTypes.js';
+
+const { OBJECT } = BASIC_TYPE_CODES;
+
+const LOADER_CLASS_ID = 0x100;
+const HOLDER_CLASS_ID = 0x101;
+const WEAK_REFERENCE_CLASS_ID = 0x102;
+
+/**
+ * Heap data with a holder whose `items` array holds many objects, a static
+ * field, a class loader and a weak reference
+ * @param {number} elementCount - Length of the array
+ * @returns {Object} Heap data with 4-byte object IDs
+ */
+function buildHeap(elementCount) {
+  const reference = (objectId) => {
+    const data = new Uint8Array(4);
+    new DataView(data.buffer).setUint32(0, objectId);
+    return data;
+  };
+  const elements = Array.from({ length: elementCount }, (_, index) => (index % 2 === 0 ? 0x10000 + index : 0));
+
+  const heapData = {
+    identifierSize: 4,
+    classes: new Map([
+      [LOADER_CLASS_ID, { classObjectId: LOADER_CLASS_ID, name: 'java.lang.ClassLoader', instanceFields: [] }],
+      [HOLDER_CLASS_ID, {
+        classObjectId: HOLDER_CLASS_ID,
+        name: 'com.example.Holder',
+        classLoaderObjectId: 0x400,
+        instanceFields: [{ name: 'items', type: OBJECT }],
+        staticFields: [{ name: 'INSTANCE', type: OBJECT, value: 0x200 }]
+      }],
+      [WEAK_REFERENCE_CLASS_ID, {
+        classObjectId: WEAK_REFERENCE_CLASS_ID,
+        name: 'java.lang.ref.WeakReference',
+        instanceFields: [{ name: 'referent', type: OBJECT }]
+      }]
+    ]),
+    instances: new Map([
+      [0x200, { classObjectId: HOLDER_CLASS_ID, size: 16, data: reference(0x300) }],
+      [0x300, { type: 'objectArray', classObjectId: 0, size: 16 + 4 * elementCount, elements }],
+      [0x400, { classObjectId: LOADER_CLASS_ID, size: 16, data: new Uint8Array(0) }],
+      [0x500, { classObjectId: WEAK_REFERENCE_CLASS_ID, size: 16, data: reference(0x200) }]
+    ]),
+    roots: [{ objectId: 0x500 }]
+  };
+  for (let index = 0; index < elementCount; index += 2) {
+    heapData.instances.set(0x10000 + index, { classObjectId: LOADER_CLASS_ID, size: 16, data: new Uint8Array(0) });
+  }
+  return heapData;
+}
+
+/**
+ * List a node's outgoing edges
+ * @returns {Array} [target object ID, name, field name, flags] per edge
+ */
+function outgoingEdges(graph, objectId) {
+  const node = objectId === null ? ROOT_NODE : graph.indexById.get(objectId);
+  const edges = [];
+  for (let e = graph.edgeStart[node]; e < graph.edgeStart[node + 1]; e++) {
+    edges.push([graph.objectIds[graph.edgeTargets[e]], getEdgeName(graph, e), getEdgeFieldName(graph, e), graph.edgeFlags[e]]);
+  }
+  return edges;
+}
+
+test('names field, static, class, loader and root edges', () => {
+  const graph = getObjectGraph(buildHeap(4));
+
+  assert.deepEqual(outgoingEdges(graph, null), [[0x500, null, null, 0]]);
+  assert.deepEqual(outgoingEdges(graph, HOLDER_CLASS_ID), [
+    [0x200, 'static INSTANCE', 'static INSTANCE', 0],
+    [0x400, '<classloader>', '<classloader>', 0]
+  ]);
+  assert.deepEqual(outgoingEdges(graph, 0x200), [
+    [HOLDER_CLASS_ID, '<class>', '<class>', 0],
+    [0x300, 'items', 'items', 0]
+  ]);
+  assert.deepEqual(outgoingEdges(graph, 0x500), [
+    [WEAK_REFERENCE_CLASS_ID, '<class>', '<class>', 0],
+    [0x200, 'referent', 'referent', EDGE_FLAGS.WEAK]
+  ]);
+});
+
+test('names array elements by index, skipping nulls', () => {
+  const graph = getObjectGraph(buildHeap(4));
+  assert.deepEqual(outgoingEdges(graph, 0x300), [
+    [0x10000, '[0]', '[]', 0],
+    [0x10002, '[2]', '[]', 0]
+  ]);
+});
+
+test('keeps every edge of a graph larger than the initial edge capacity', () => {
+  const elementCount = 10000;
+  const graph = getObjectGraph(buildHeap(elementCount));
+
+  const elements = outgoingEdges(graph, 0x300);
+  assert.equal(elements.length, elementCount / 2);
+  assert.deepEqual(elements.at(-1), [0x10000 + elementCount - 2, `[${elementCount - 2}]`, '[]', 0]);
+  assert.equal(graph.edgeTargets.length, graph.edgeStart[graph.nodeCount]);
+  assert.equal(graph.edgeLabels.length, graph.edgeTargets.length);
+
+  // Incoming edges point back at the same labels
+  const incoming = getIncomingEdges(graph);
+  const node = graph.indexById.get(0x10000 + 1234);
+  assert.equal(incoming.edgeStart[node + 1] - incoming.edgeStart[node], 1);
+  assert.equal(getEdgeName(graph, incoming.edgeIndexes[incoming.edgeStart[node]]), '[1234]');
+});
@@ -0,0 +1,262 @@
+/**
+ * Object Inspector
+ *
+ * Describes a single object for the object inspector: its class, shallow and
+ * retained size, field values, array elements and the objects that refer
+ * to it. References are described with describeObject so the inspector can
+ * show and follow them.
+ *
+ * Also lists the instances of a class with a short preview of each value,
+ * for the instance list opened from the histogram.
+ *
+ * Everything here reads the heap data, so it runs in the analysis worker
+ * (see analysis.worker.js) and returns only the page the view shows.
+ */
+
+import { getObjectGraph, getIncomingEdges, getEdgeName, ROOT_NODE } from './objectGraph.js';
+import { getRetainedSize } from './dominatorTreeAnalyzer.js';
+import { findInstancesOfClass } from './histogramAnalyzer.js';
+import { describeObject, getRootTypes } from './referenceChainAnalyzer.js';
+import { decodeInstanceFields, getStaticFields, getPrimitiveArrayElements } from '../fieldDecoder.js';
+import { getStringValue, formatStringValue } from '../stringDecoder.js';
+import { getCollectionSize } from '../collectionDecoder.js';
+import { BASIC_TYPE_CODES, BASIC_TYPE_NAMES } from '../hprofTypes.js';
+
+// Characters of a String's text shown by the inspector
+const MAX_STRING_LENGTH = 1000;
+
+// Characters of a String's text shown in a value preview
+const MAX_PREVIEW_LENGTH = 80;
+
+// Fields listInstances can sort by
+const INSTANCE_SORT_FIELDS = new Set(['objectId', 'shallowSize', 'retainedSize']);
+
+// heapData -> last sorted instance list, so paging does not sort again
+const instanceListCache = new WeakMap();
+
+/**
+ * Describe an object, array or class object
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number|bigint} objectId - Object ID (see objectId.js)
+ * @returns {Object|null} { objectId, kind, className, classObjectId, shallowSize,
+ *   retainedSize, rootTypes, stringValue, fields, length, elementTypeName } where
+ *   kind is 'instance', 'objectArray', 'primitiveArray' or 'class',
+ *   classObjectId is null unless the object's class is in the dump, and fields
+ *   are { name, typeName, value, declaringClass, reference } (reference
+ *   describes the object a non-null object field points at); null for unknown IDs
+ */
+export function inspectObject(heapData, objectId) {
+  const instance = heapData.instances.get(objectId);
+  const classInfo = heapData.classes.get(instance ? instance.classObjectId : objectId);
+  if (!instance && !classInfo) return null;
+
+  const result = {
+    objectId,
+    kind: instance ? instance.type || 'instance' : 'class',
+    className: instance ? classInfo?.name || 'Unknown' : `class ${classInfo.name}`,
+    classObjectId: instance && classInfo ? instance.classObjectId : null,
+    shallowSize: instance?.size || 0,
+    retainedSize: getRetainedSize(heapData, objectId),
+    rootTypes: getRootTypes(heapData, objectId),
+    stringValue: null,
+    fields: [],
+    length: null,
+    elementTypeName: null
+  };
+
+  if (!instance) {
+    result.fields = getClassFields(heapData, classInfo);
+  } else if (instance.type === 'objectArray') {
+    result.length = instance.elements.length;
+    result.elementTypeName = 'object';
+  } else if (instance.type === 'primitiveArray') {
+    result.length = instance.length;
+    result.elementTypeName = BASIC_TYPE_NAMES[instance.elementType];
+  } else {
+    const stringValue = getStringValue(heapData, instance, MAX_STRING_LENGTH);
+    result.stringValue = stringValue ? formatStringValue(stringValue) : null;
+    result.fields = decodeInstanceFields(heapData, instance).map(field => ({
+      name: field.name,
+      typeName: field.typeName,
+      value: field.value,
+      declaringClass: field.declaringClass,
+      reference: describeReference(heapData, field.type, field.value)
+    }));
+  }
+
+  return result;
+}
+
+/**
+ * Get a page of an array's elements
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number|bigint} objectId - Array object ID
+ * @param {number} start - Index of the first element
+ * @param {number} count - Maximum number of elements
+ * @returns {Object} { elements, availableLength } where elements are
+ *   { index, value, reference } and availableLength is the number of leading
+ *   elements whose values are in the dump data (the parser keeps only the
+ *   start of char[] and byte[] arrays and no other primitive array contents)
+ */
+export function getArrayElements(heapData, objectId, start, count) {
+  const instance = heapData.instances.get(objectId);
+
+  if (instance?.type === 'objectArray') {
+    const elements = instance.elements.slice(start, start + count).map((elementId, i) => {
+      const value = elementId === 0 ? null : elementId;
+      return {
+        index: start + i,
+        value,
+        reference: describeReference(heapData, BASIC_TYPE_CODES.OBJECT, value)
+      };
+    });
+    return { elements, availableLength: instance.elements.length };
+  }
+
+  if (instance?.type === 'primitiveArray') {
+    const { values, availableLength } = getPrimitiveArrayElements(instance, start, count);
+    const elements = values.map((value, i) => ({ index: start + i, value, reference: null }));
+    return { elements, availableLength };
+  }
+
+  return { elements: [], availableLength: 0 };
+}
+
+/**
+ * Get a page of the objects that refer to an object
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number|bigint} objectId - Object ID
+ * @param {number} start - Index of the first reference
+ * @param {number} count - Maximum number of references
+ * @returns {Object} { references, total } where references are describeObject
+ *   results plus name, the referring field, static field or array index; GC
+ *   roots are not listed (see inspectObject's rootTypes)
+ */
+export function getIncomingReferences(heapData, objectId, start, count) {
+  const graph = getObjectGraph(heapData);
+  const node = graph.indexById.get(objectId);
+  if (node === undefined) return { references: [], total: 0 };
+
+  const incoming = getIncomingEdges(graph);
+  const sources = [];
+  for (let i = incoming.edgeStart[node]; i < incoming.edgeStart[node + 1]; i++) {
+    if (incoming.edgeSources[i] !== ROOT_NODE) sources.push(i);
+  }
+
+  const references = sources.slice(start, start + count).map(i => ({
+    ...describeObject(heapData, graph.objectIds[incoming.edgeSources[i]]),
+    name: getEdgeName(graph, incoming.edgeIndexes[i])
+  }));
+  return { references, total: sources.length };
+}
+
+/**
+ * List a page of a class's instances with their sizes and a value preview
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {string} className - Class name as shown in the histogram
+ * @param {string} sortBy - 'objectId', 'shallowSize' or 'retainedSize'
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @param {number} start - Index of the first instance
+ * @param {number} count - Maximum number of instances
+ * @returns {Object} { instances, total } where instances are { objectId,
+ *   shallowSize, retainedSize, preview } (see getValuePreview)
+ */
+export function listInstances(heapData, className, sortBy, sortOrder, start, count) {
+  if (!INSTANCE_SORT_FIELDS.has(sortBy)) {
+    throw new Error(`Cannot sort instances by ${sortBy}`);
+  }
+
+  const key = `${sortBy} ${sortOrder} ${className}`;
+  let sorted = instanceListCache.get(heapData);
+  if (sorted?.key !== key) {
+    const rows = findInstancesOfClass(heapData, className).map(objectId => ({
+      objectId,
+      shallowSize: heapData.instances.get(objectId)?.size || 0,
+      retainedSize: getRetainedSize(heapData, objectId)
+    }));
+
+    // Object IDs may mix numbers and BigInts, which compare but do not subtract
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    rows.sort((a, b) => {
+      if (a[sortBy] === b[sortBy]) return 0;
+      return a[sortBy] > b[sortBy] ? direction : -direction;
+    });
+    sorted = { key, rows };
+    instanceListCache.set(heapData, sorted);
+  }
+
+  const instances = sorted.rows.slice(start, start + count).map(row => ({
+    ...row,
+    preview: getValuePreview(heapData, row.objectId)
+  }));
+  return { instances, total: sorted.rows.length };
+}
+
+/**
+ * Get a one-line preview of an object's value: a String's text, a
+ * collection's size or an array's length
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number|bigint} objectId - Object ID
+ * @returns {string|null} Preview, or null when there is nothing to preview
+ */
+export function getValuePreview(heapData, objectId) {
+  const instance = heapData.instances.get(objectId);
+  if (!instance) return null;
+
+  if (instance.type === 'objectArray') return `length ${instance.elements.length}`;
+  if (instance.type === 'primitiveArray') return `length ${instance.length}`;
+
+  const stringValue = getStringValue(heapData, instance, MAX_PREVIEW_LENGTH);
+  if (stringValue) return formatStringValue(stringValue);
+
+  const size = getCollectionSize(heapData, instance);
+  return size === null ? null : `size ${size}`;
+}
+
+/**
+ * List a class object's static fields, superclass and class loader
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} classInfo - Class from heapData.classes
+ * @returns {Array} Fields in the form returned by inspectObject
+ */
+function getClassFields(heapData, classInfo) {
+  const fields = getStaticFields(classInfo).map(field => ({
+    name: field.name,
+    typeName: field.typeName,
+    value: field.value,
+    declaringClass: classInfo.name,
+    reference: describeReference(heapData, field.type, field.value)
+  }));
+
+  for (const [name, value] of [
+    ['<super>', classInfo.superClassObjectId],
+    ['<classloader>', classInfo.classLoaderObjectId]
+  ]) {
+    if (value) {
+      fields.push({
+        name,
+        typeName: 'object',
+        value,
+        declaringClass: classInfo.name,
+        reference: describeReference(heapData, BASIC_TYPE_CODES.OBJECT, value)
+      });
+    }
+  }
+  return fields;
+}
+
+/**
+ * Describe the target of an object field, if it is in the dump
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number} type - Basic type code of the field
+ * @param {*} value - Field value
+ * @returns {Object|null} describeObject result, or null for primitives, null
+ *   references and objects missing from the dump
+ */
+function describeReference(heapData, type, value) {
+  if (type !== BASIC_TYPE_CODES.OBJECT || value === null) return null;
+  if (!heapData.instances.has(value) && !heapData.classes.has(value)) return null;
+  return describeObject(heapData, value);
+}
+
+export default inspectObject;
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  markReachableObjects,
+  markStronglyReachableObjects,
+  analyzeReachability
+} from './reachabilityAnalyzer.js';
+import { getObjectGraph } from './objectGraph.js';
+import { getFieldLayout } from '../fieldDecoder.js';
+import { BASIC_TYPE_CODES } from '../hprofTypes.js';
+
+const { OBJECT } = BASIC_TYPE_CODES;
+
+/**
+ * Build heap data from class declarations and instances
+ * @param {Array} classes - [name, superName, [fieldName, ...]]; all fields are references
+ * @param {Array} instances - [objectId, className, size, { fieldName: objectId }]
+ * @param {Array} rootIds - Objects held by GC roots
+ * @returns {Object} Heap data with 4-byte object IDs
+ */
+function buildHeap(classes, instances, rootIds) {
+  const heapData = {
+    identifierSize: 4,
+    classes: new Map(),
+    instances: new Map(),
+    roots: rootIds.map(objectId => ({ objectId }))
+  };
+  const classIds = new Map();
+  classes.forEach(([name, superName, fieldNames], index) => {
+    const classObjectId = 0x100 + index;
+    classIds.set(name, classObjectId);
+    heapData.classes.set(classObjectId, {
+      classObjectId,
+      name,
+      superClassObjectId: superName ? classIds.get(superName) : 0,
+      instanceFields: fieldNames.map(fieldName => ({ name: fieldName, type: OBJECT }))
+    });
+  });
+
+  for (const [objectId, className, size, values] of instances) {
+    const classObjectId = classIds.get(className);
+    const layout = getFieldLayout(heapData, classObjectId);
+    const data = new Uint8Array(layout.size);
+    for (const [fieldName, value] of Object.entries(values)) {
+      new DataView(data.buffer).setUint32(layout.byName.get(fieldName).offset, value);
+    }
+    heapData.instances.set(objectId, { classObjectId, size, data });
+  }
+  return heapData;
+}
+
+const CLASSES = [
+  ['java.lang.Object', null, []],
+  ['java.lang.ref.Reference', 'java.lang.Object', ['referent', 'queue']],
+  ['java.lang.ref.WeakReference', 'java.lang.ref.Reference', []],
+  ['java.lang.ref.SoftReference', 'java.lang.ref.Reference', []],
+  ['com.example.CacheEntry', 'java.lang.ref.WeakReference', ['value']],
+  ['com.example.Holder', 'java.lang.Object', ['first', 'second']]
+];
+
+/**
+ * Check marks by object ID
+ * @returns {Array} IDs of the given objects that are marked
+ */
+function markedIds(heapData, marks, objectIds) {
+  const { indexById } = getObjectGraph(heapData);
+  return objectIds.filter(objectId => marks[indexById.get(objectId)] === 1);
+}
+
+test('strong marking skips the referent of weak and soft references', () => {
+  const heapData = buildHeap(CLASSES, [
+    [1, 'com.example.Holder', 16, { first: 2, second: 3 }],
+    [2, 'com.example.CacheEntry', 24, { referent: 4, value: 5 }],
+    [3, 'java.lang.ref.SoftReference', 24, { referent: 6, queue: 7 }],
+    [4, 'java.lang.Object', 100, {}],
+    [5, 'java.lang.Object', 200, {}],
+    [6, 'java.lang.Object', 300, {}],
+    [7, 'java.lang.Object', 16, {}],
+    [8, 'java.lang.Object', 50, {}]
+  ], [1]);
+  const all = [1, 2, 3, 4, 5, 6, 7, 8];
+
+  assert.deepEqual(markedIds(heapData, markReachableObjects(heapData), all), [1, 2, 3, 4, 5, 6, 7]);
+  // The subclass's own field and the reference's other fields stay strong
+  assert.deepEqual(markedIds(heapData, markStronglyReachableObjects(heapData), all), [1, 2, 3, 5, 7]);
+});
+
+test('a weakly referenced object is strongly reachable through another path', () => {
+  const heapData = buildHeap(CLASSES, [
+    [1, 'com.example.Holder', 16, { first: 2, second: 3 }],
+    [2, 'java.lang.ref.WeakReference', 24, { referent: 3 }],
+    [3, 'java.lang.Object', 100, {}]
+  ], [1]);
+
+  assert.deepEqual(markedIds(heapData, markStronglyReachableObjects(heapData), [1, 2, 3]), [1, 2, 3]);
+});
+
+test('weakly reachable objects count as live in the garbage summary', () => {
+  const heapData = buildHeap(CLASSES, [
+    [1, 'java.lang.ref.WeakReference', 24, { referent: 2 }],
+    [2, 'java.lang.Object', 76, {}],
+    [3, 'java.lang.Object', 300, {}]
+  ], [1]);
+
+  const summary = analyzeReachability(heapData);
+  assert.equal(summary.liveCount, 2);
+  assert.equal(summary.liveSize, 100);
+  assert.equal(summary.unreachableCount, 1);
+  assert.equal(summary.unreachableSize, 300);
+  assert.equal(summary.unreachablePercentage, 75);
+});
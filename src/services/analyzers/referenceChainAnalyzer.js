@@ -3,111 +3,433 @@
  * 
  * Traces reference chains from GC roots to objects.
  * Helps understand why objects are being retained in memory.
+ * 
+ * Chains are found with a breadth-first search backwards over the incoming
+ * references of the object graph (see objectGraph.js), so every chain is a
+ * shortest path, and each hop names the field, static field or array index
+ * that holds the next object.
  */
 
+import {
+  getObjectGraph,
+  getIncomingEdges,
+  getEdgeName,
+  getEdgeFieldName,
+  EDGE_FLAGS,
+  ROOT_NODE
+} from './objectGraph.js';
+import { ROOT_TYPE_NAMES } from '../hprofTypes.js';
+import { getStringValue, formatStringValue } from '../stringDecoder.js';
+import { findInstancesOfClass } from './histogramAnalyzer.js';
+
+// Default limits for findReferenceChains
+const DEFAULT_MAX_DEPTH = 30;
+const DEFAULT_MAX_CHAINS = 10;
+
+// Instances sampled by findClassReferenceChains by default
+const DEFAULT_SAMPLE_SIZE = 5;
+
+// heapData -> Map of object ID -> GC root type names
+const rootTypesCache = new WeakMap();
+
+// heapData -> Map of graph node -> GC root type names
+const rootNodeTypesCache = new WeakMap();
+
+// heapData -> { all, strong } shortest path trees (strong excludes weak references)
+const pathTreeCache = new WeakMap();
+
+// Hops kept at the GC root end and the instance end of a merged path; the
+// hops in between are collapsed into one node
+const PATH_HEAD_HOPS = 20;
+const PATH_TAIL_HOPS = 5;
+
+// Merged path key of a collapsed node
+const COLLAPSED_KEY = '\u0001collapsed';
+
 /**
- * Find reference chains to an object
- * This is a simplified implementation that shows direct references
+ * Find the shortest reference chains from GC roots to an object
  * @param {Object} heapData - Parsed heap dump data
- * @param {number} targetObjectId - Object ID to find chains for
- * @param {number} maxDepth - Maximum chain depth to search
- * @returns {Array} Array of reference chains
+ * @param {number|bigint} targetObjectId - Object ID to find chains for (see objectId.js)
+ * @param {Object} options - Search options
+ * @param {number} options.maxDepth - Maximum chain length
+ * @param {number} options.maxChains - Maximum number of chains (each ends at a different root)
+ * @param {boolean} options.excludeWeakReferences - Ignore the referents of weak,
+ *   soft and phantom references, which do not keep objects alive
+ * @returns {Array} Chains as { chain, rootTypes, depth, totalSize } where chain
+ *   lists the hops from the GC root to the target
  */
-export function findReferenceChains(heapData, targetObjectId, maxDepth = 5) {
-  const { roots } = heapData;
+export function findReferenceChains(heapData, targetObjectId, {
+  maxDepth = DEFAULT_MAX_DEPTH,
+  maxChains = DEFAULT_MAX_CHAINS,
+  excludeWeakReferences = false
+} = {}) {
+  const graph = getObjectGraph(heapData);
+  const target = graph.indexById.get(targetObjectId);
+  if (target === undefined) return [];
+
+  const incoming = getIncomingEdges(graph);
+  const rootTypes = getRootTypesByNode(heapData);
   const chains = [];
-  
-  // Build reverse reference map (who references what)
-  const reverseRefs = buildReverseReferenceMap(heapData);
-  
-  // BFS from target to roots
-  const queue = [[targetObjectId]];
-  const visited = new Set();
-  
-  while (queue.length > 0 && chains.length < 10) {
-    const chain = queue.shift();
-    const currentId = chain[chain.length - 1];
-    
-    if (visited.has(currentId) || chain.length > maxDepth) {
-      continue;
-    }
-    visited.add(currentId);
-    
-    // Check if this is a root
-    const isRoot = roots.some(r => r.objectId === currentId);
-    if (isRoot) {
-      chains.push(chain);
-      continue;
-    }
-    
-    // Find references to this object
-    const referencers = reverseRefs.get(currentId) || [];
-    for (const refId of referencers) {
-      if (!chain.includes(refId)) {
-        queue.push([...chain, refId]);
+
+  // node -> { next, edge }: the next node towards the target and the edge leading to it
+  const steps = new Map([[target, null]]);
+  let frontier = [target];
+
+  for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+    const nextFrontier = [];
+
+    for (const node of frontier) {
+      if (rootTypes.has(node)) {
+        chains.push(formatChain(heapData, graph, node, steps, rootTypes.get(node)));
+        if (chains.length >= maxChains) return chains;
+        continue;
+      }
+
+      for (let i = incoming.edgeStart[node]; i < incoming.edgeStart[node + 1]; i++) {
+        const source = incoming.edgeSources[i];
+        const edge = incoming.edgeIndexes[i];
+        if (source === ROOT_NODE || steps.has(source)) continue;
+        if (excludeWeakReferences && (graph.edgeFlags[edge] & EDGE_FLAGS.WEAK)) continue;
+
+        steps.set(source, { next: node, edge });
+        nextFrontier.push(source);
       }
     }
+
+    frontier = nextFrontier;
   }
-  
-  // Format chains with class names
-  return chains.map(chain => formatChain(chain, heapData));
+
+  return chains;
 }
 
 /**
- * Build a map of reverse references (object -> objects that reference it)
+ * Find the shortest chain from a GC root to each of a sample of a class's
+ * instances (the largest ones)
  * @param {Object} heapData - Parsed heap dump data
- * @returns {Map} Map of objectId -> Set of referencing objectIds
+ * @param {string} className - Class name
+ * @param {Object} options - Search options
+ * @param {number} options.sampleSize - Number of instances to trace
+ * @param {boolean} options.excludeWeakReferences - See findReferenceChains
+ * @returns {Array} Samples as { objectId, size, chain } where chain is null when
+ *   the instance has no path to a GC root
  */
-function buildReverseReferenceMap(heapData) {
+export function findClassReferenceChains(heapData, className, {
+  sampleSize = DEFAULT_SAMPLE_SIZE,
+  excludeWeakReferences = false
+} = {}) {
   const { instances } = heapData;
-  const reverseRefs = new Map();
-  
-  for (const [objectId, instance] of instances) {
-    // For object arrays, add references
-    if (instance.type === 'objectArray' && instance.elements) {
-      for (const elementId of instance.elements) {
-        if (elementId && elementId !== 0) {
-          if (!reverseRefs.has(elementId)) {
-            reverseRefs.set(elementId, new Set());
-          }
-          reverseRefs.get(elementId).add(objectId);
+  const sample = findInstancesOfClass(heapData, className)
+    .map(objectId => ({ objectId, size: instances.get(objectId)?.size || 0 }))
+    .sort((a, b) => b.size - a.size)
+    .slice(0, sampleSize);
+
+  return sample.map(({ objectId, size }) => ({
+    objectId,
+    size,
+    chain: findReferenceChains(heapData, objectId, { maxChains: 1, excludeWeakReferences })[0] || null
+  }));
+}
+
+/**
+ * Merge the shortest GC root paths of every instance of a class into one tree
+ * grouped by class, like MAT's "Merge Shortest Paths to GC Roots"
+ * 
+ * The top level holds the classes of the GC roots; each level below groups
+ * the next hop by field name and class, down to the instances themselves.
+ * Paths longer than PATH_HEAD_HOPS + PATH_TAIL_HOPS hops keep only their
+ * ends, joined by a collapsed node, so instances deep in a linked list cost
+ * as little as the others.
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {string} className - Class name
+ * @param {Object} options - Search options
+ * @param {boolean} options.excludeWeakReferences - See findReferenceChains
+ * @returns {Object} { objectCount, unreachableCount, roots } where roots are tree
+ *   nodes { className, fieldName, objectCount, totalSize, rootTypes,
+ *   skippedHops, children }; objectCount and totalSize cover the instances
+ *   whose path runs through the node. Collapsed nodes have className null and
+ *   skippedHops { min, max }, the hops left out of their paths; other nodes
+ *   have skippedHops null.
+ */
+export function mergeShortestPaths(heapData, className, { excludeWeakReferences = false } = {}) {
+  const graph = getObjectGraph(heapData);
+  const { parents, parentEdges, depths, pathHeads } = getShortestPathTree(heapData, excludeWeakReferences);
+  const rootTypes = getRootTypesByNode(heapData);
+  const labels = new Map();
+  const topLevel = new Map();
+  let objectCount = 0;
+  let unreachableCount = 0;
+
+  for (const objectId of findInstancesOfClass(heapData, className)) {
+    const target = graph.indexById.get(objectId);
+    if (target === undefined || parents[target] === -1) {
+      unreachableCount++;
+      continue;
+    }
+    objectCount++;
+    const size = graph.shallowSizes[target];
+
+    // Path from the GC root down to the target, with null for the collapsed hops
+    const depth = depths[target];
+    const skippedHops = depth - PATH_HEAD_HOPS - PATH_TAIL_HOPS;
+    const path = skippedHops > 1
+      ? [...getPathEnd(parents, pathHeads[target], PATH_HEAD_HOPS), null, ...getPathEnd(parents, target, PATH_TAIL_HOPS)]
+      : getPathEnd(parents, target, depth);
+
+    let level = topLevel;
+    for (let i = 0; i < path.length; i++) {
+      const node = path[i];
+      const label = node === null ? null : getNodeLabel(heapData, graph, node, labels);
+      // Field of the previous object; elements of one array merge regardless of their index
+      const fieldName = i === 0 || node === null
+        ? null
+        : getEdgeFieldName(graph, parentEdges[node]);
+      const key = node === null ? COLLAPSED_KEY : `${fieldName}\u0000${label}`;
+
+      let merged = level.get(key);
+      if (!merged) {
+        merged = { className: label, fieldName, objectCount: 0, totalSize: 0, rootTypes: [], skippedHops: null, children: new Map() };
+        level.set(key, merged);
+      }
+      merged.objectCount++;
+      merged.totalSize += size;
+      if (node === null) {
+        merged.skippedHops = merged.skippedHops
+          ? { min: Math.min(merged.skippedHops.min, skippedHops), max: Math.max(merged.skippedHops.max, skippedHops) }
+          : { min: skippedHops, max: skippedHops };
+      } else if (i === 0) {
+        for (const rootType of rootTypes.get(node) || []) {
+          if (!merged.rootTypes.includes(rootType)) merged.rootTypes.push(rootType);
         }
       }
+      level = merged.children;
     }
   }
-  
-  return reverseRefs;
+
+  return { objectCount, unreachableCount, roots: toSortedTree(topLevel) };
+}
+
+/**
+ * Get the GC root types of an object
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number|bigint} objectId - Object ID
+ * @returns {Array<string>} Root type names, e.g. ["JNI Global"]; empty when the
+ *   object is not a GC root
+ */
+export function getRootTypes(heapData, objectId) {
+  return getRootTypesById(heapData).get(objectId) || [];
+}
+
+/**
+ * Map each GC root's object ID to its root type names, without the object graph
+ * @param {Object} heapData - Parsed heap dump data
+ * @returns {Map} Object ID -> Array of root type names
+ */
+function getRootTypesById(heapData) {
+  let rootTypes = rootTypesCache.get(heapData);
+  if (rootTypes) return rootTypes;
+
+  rootTypes = new Map();
+  for (const root of heapData.roots) {
+    const typeName = ROOT_TYPE_NAMES[root.type] || 'Unknown';
+    const types = rootTypes.get(root.objectId);
+    if (!types) {
+      rootTypes.set(root.objectId, [typeName]);
+    } else if (!types.includes(typeName)) {
+      types.push(typeName);
+    }
+  }
+
+  rootTypesCache.set(heapData, rootTypes);
+  return rootTypes;
+}
+
+/**
+ * Map each GC root's graph node to its root type names
+ * @param {Object} heapData - Parsed heap dump data
+ * @returns {Map} node -> Array of root type names
+ */
+function getRootTypesByNode(heapData) {
+  let rootTypes = rootNodeTypesCache.get(heapData);
+  if (rootTypes) return rootTypes;
+
+  const { indexById } = getObjectGraph(heapData);
+  rootTypes = new Map();
+  for (const [objectId, types] of getRootTypesById(heapData)) {
+    const node = indexById.get(objectId);
+    if (node !== undefined) rootTypes.set(node, types);
+  }
+
+  rootNodeTypesCache.set(heapData, rootTypes);
+  return rootTypes;
 }
 
 /**
- * Format a reference chain with class names
- * @param {Array} chain - Array of object IDs
+ * Get the shortest path from the GC roots to every object: a breadth-first
+ * search forward from the roots, recording how each object was first reached
  * @param {Object} heapData - Parsed heap dump data
+ * @param {boolean} excludeWeakReferences - Skip weak, soft and phantom referents
+ * @returns {Object} { parents, parentEdges, depths, pathHeads } indexed by
+ *   graph node; parents is ROOT_NODE for GC roots and -1 for unreachable
+ *   objects, depths counts the objects on the path (1 for GC roots) and
+ *   pathHeads is the object at depth PATH_HEAD_HOPS on the path, or -1 for
+ *   shallower objects
+ */
+function getShortestPathTree(heapData, excludeWeakReferences) {
+  let trees = pathTreeCache.get(heapData);
+  if (!trees) {
+    trees = {};
+    pathTreeCache.set(heapData, trees);
+  }
+  const key = excludeWeakReferences ? 'strong' : 'all';
+  if (trees[key]) return trees[key];
+
+  const { nodeCount, edgeStart, edgeTargets, edgeFlags } = getObjectGraph(heapData);
+  const parents = new Int32Array(nodeCount).fill(-1);
+  const parentEdges = new Int32Array(nodeCount).fill(-1);
+  const depths = new Int32Array(nodeCount);
+  const pathHeads = new Int32Array(nodeCount).fill(-1);
+  const queue = new Uint32Array(nodeCount);
+  let head = 0;
+  let tail = 0;
+
+  parents[ROOT_NODE] = ROOT_NODE;
+  queue[tail++] = ROOT_NODE;
+  while (head < tail) {
+    const node = queue[head++];
+    for (let e = edgeStart[node]; e < edgeStart[node + 1]; e++) {
+      const target = edgeTargets[e];
+      if (parents[target] !== -1) continue;
+      if (excludeWeakReferences && (edgeFlags[e] & EDGE_FLAGS.WEAK)) continue;
+
+      parents[target] = node;
+      parentEdges[target] = e;
+      depths[target] = depths[node] + 1;
+      pathHeads[target] = depths[target] === PATH_HEAD_HOPS ? target : pathHeads[node];
+      queue[tail++] = target;
+    }
+  }
+
+  trees[key] = { parents, parentEdges, depths, pathHeads };
+  return trees[key];
+}
+
+/**
+ * Get the class label of a graph node ("class X" for class objects)
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} graph - Object graph
+ * @param {number} node - Node index
+ * @param {Map} cache - classObjectId -> label, shared across calls
+ * @returns {string} Label
+ */
+function getNodeLabel(heapData, graph, node, cache) {
+  const objectId = graph.objectIds[node];
+  if (graph.isClassNode[node]) {
+    return `class ${heapData.classes.get(objectId).name}`;
+  }
+
+  const classId = heapData.instances.get(objectId).classObjectId;
+  let label = cache.get(classId);
+  if (label === undefined) {
+    label = heapData.classes.get(classId)?.name || 'Unknown';
+    cache.set(classId, label);
+  }
+  return label;
+}
+
+/**
+ * Get the last objects of a shortest path
+ * @param {Int32Array} parents - Parents from getShortestPathTree
+ * @param {number} node - Graph node the path ends at
+ * @param {number} count - Objects to return, at most the node's depth
+ * @returns {Array<number>} Graph nodes, the one nearest the GC root first
+ */
+function getPathEnd(parents, node, count) {
+  const path = new Array(count);
+  for (let i = count - 1; i >= 0; i--) {
+    path[i] = node;
+    node = parents[node];
+  }
+  return path;
+}
+
+/**
+ * Convert merged path nodes to arrays, most objects first
+ * @param {Map} topLevel - Merged nodes of the top level, with children as Maps
+ * @returns {Array} Tree nodes with children as arrays
+ */
+function toSortedTree(topLevel) {
+  const roots = [];
+  // Levels still to convert, each with the array receiving its nodes
+  const stack = [[topLevel, roots]];
+
+  while (stack.length > 0) {
+    const [level, nodes] = stack.pop();
+    for (const merged of level.values()) {
+      const node = { ...merged, children: [] };
+      nodes.push(node);
+      if (merged.children.size > 0) stack.push([merged.children, node.children]);
+    }
+    nodes.sort((a, b) => b.objectCount - a.objectCount);
+  }
+
+  return roots;
+}
+
+/**
+ * Format a reference chain with class names and field names
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} graph - Object graph
+ * @param {number} rootNode - Graph node of the GC root the chain starts at
+ * @param {Map} steps - Search steps from findReferenceChains
+ * @param {Array<string>} rootTypes - Root type names of the GC root
  * @returns {Object} Formatted chain
  */
-function formatChain(chain, heapData) {
+function formatChain(heapData, graph, rootNode, steps, rootTypes) {
+  const chain = [];
+  let node = rootNode;
+  let fieldName = null;
+
+  while (node !== undefined) {
+    chain.push({ ...describeObject(heapData, graph.objectIds[node]), fieldName });
+    const step = steps.get(node);
+    if (!step) break;
+    fieldName = getEdgeName(graph, step.edge);
+    node = step.next;
+  }
+
+  return {
+    chain,
+    rootTypes,
+    depth: chain.length,
+    totalSize: chain.reduce((sum, item) => sum + item.size, 0)
+  };
+}
+
+/**
+ * Describe an object or class for display in a chain or reference list
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number|bigint} objectId - Object ID
+ * @returns {Object} { objectId, className, size, isClass, stringValue }
+ */
+export function describeObject(heapData, objectId) {
   const { instances, classes } = heapData;
-  
-  const formatted = chain.map(objectId => {
-    const instance = instances.get(objectId);
-    if (!instance) {
-      return { objectId, className: 'Unknown' };
-    }
-    
-    const classInfo = classes.get(instance.classObjectId);
-    const className = classInfo?.name || 'Unknown';
-    
+  const instance = instances.get(objectId);
+  if (!instance) {
+    const classInfo = classes.get(objectId);
     return {
       objectId,
-      className,
-      size: instance.size || 0
+      className: classInfo ? `class ${classInfo.name}` : 'Unknown',
+      size: 0,
+      isClass: Boolean(classInfo)
     };
-  });
-  
+  }
+
   return {
-    chain: formatted,
-    depth: chain.length,
-    totalSize: formatted.reduce((sum, item) => sum + item.size, 0)
+    objectId,
+    className: classes.get(instance.classObjectId)?.name || 'Unknown',
+    size: instance.size || 0,
+    isClass: false,
+    stringValue: describeString(heapData, instance)
   };
 }
 
@@ -127,7 +449,8 @@ export function getTopObjectsBySize(heapData, limit = 20) {
       objectId,
       className: classInfo?.name || 'Unknown',
       size: instance.size || 0,
-      type: instance.type || 'instance'
+      type: instance.type || 'instance',
+      stringValue: describeString(heapData, instance)
     });
   }
   
@@ -135,4 +458,15 @@ export function getTopObjectsBySize(heapData, limit = 20) {
   return objects.slice(0, limit);
 }
 
+/**
+ * Get the display text of a String instance
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} instance - Instance from heapData.instances
+ * @returns {string|undefined} Quoted, truncated text; undefined for other objects
+ */
+function describeString(heapData, instance) {
+  const stringValue = getStringValue(heapData, instance);
+  return stringValue ? formatStringValue(stringValue) : undefined;
+}
+
 export default findReferenceChains;
@@ -0,0 +1,215 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findReferenceChains, mergeShortestPaths } from './referenceChainAnalyzer.js';
+import { getFieldLayout } from '../fieldDecoder.js';
+import { BASIC_TYPE_CODES, ROOT_TYPES } from '../hprofTypes.js';
+
+const { OBJECT } = BASIC_TYPE_CODES;
+
+const CLASSES = [
+  ['java.lang.Object', null, []],
+  ['java.lang.ref.Reference', 'java.lang.Object', ['referent']],
+  ['java.lang.ref.WeakReference', 'java.lang.ref.Reference', []],
+  ['java.lang.Object[]', 'java.lang.Object', []],
+  ['com.example.Registry', 'java.lang.Object', [], ['CACHE']],
+  ['com.example.Holder', 'java.lang.Object', ['items', 'next']],
+  ['com.example.Node', 'java.lang.Object', ['next']]
+];
+
+/**
+ * Build heap data from class declarations and objects
+ * @param {Object} objects - { instances, arrays, statics, roots }: instances are
+ *   [objectId, className, { fieldName: objectId }], arrays are
+ *   [objectId, [elementId, ...]] of java.lang.Object[], statics map a
+ *   "Class.FIELD" name to an object ID and roots are [rootType, objectId]
+ *   where a class name stands for its class object
+ * @returns {Object} Heap data with 4-byte object IDs; every object is 16 bytes
+ */
+function buildHeap({ instances = [], arrays = [], statics = {}, roots = [] }) {
+  const heapData = { identifierSize: 4, classes: new Map(), instances: new Map(), roots: [] };
+  const classIds = new Map();
+  CLASSES.forEach(([name, superName, fieldNames, staticNames = []], index) => {
+    const classObjectId = 0x100 + index;
+    classIds.set(name, classObjectId);
+    heapData.classes.set(classObjectId, {
+      classObjectId,
+      name,
+      superClassObjectId: superName ? classIds.get(superName) : 0,
+      instanceFields: fieldNames.map(fieldName => ({ name: fieldName, type: OBJECT })),
+      staticFields: staticNames.map(fieldName => ({
+        name: fieldName,
+        type: OBJECT,
+        value: statics[`${name}.${fieldName}`] || 0
+      })),
+      instances: []
+    });
+  });
+
+  const add = (objectId, classObjectId, instance) => {
+    heapData.instances.set(objectId, { classObjectId, size: 16, ...instance });
+    heapData.classes.get(classObjectId).instances.push(objectId);
+  };
+  for (const [objectId, className, values] of instances) {
+    const classObjectId = classIds.get(className);
+    const layout = getFieldLayout(heapData, classObjectId);
+    const data = new Uint8Array(layout.size);
+    for (const [fieldName, value] of Object.entries(values)) {
+      new DataView(data.buffer).setUint32(layout.byName.get(fieldName).offset, value);
+    }
+    add(objectId, classObjectId, { data });
+  }
+  for (const [objectId, elements] of arrays) {
+    add(objectId, classIds.get('java.lang.Object[]'), { type: 'objectArray', elements });
+  }
+  for (const [type, object] of roots) {
+    heapData.roots.push({ type, objectId: classIds.get(object) ?? object });
+  }
+  return heapData;
+}
+
+/**
+ * Summarize a chain as "Class.field -> Class" hops
+ * @param {Object} result - Chain from findReferenceChains
+ * @returns {string} Summary
+ */
+function describeChain({ chain }) {
+  return chain.map(item => (item.fieldName ? `.${item.fieldName} -> ${item.className}` : item.className)).join(' ');
+}
+
+test('finds the shortest chain from each GC root, naming fields, statics and array indexes', () => {
+  const heapData = buildHeap({
+    instances: [
+      [1, 'com.example.Holder', { items: 2 }],
+      [4, 'com.example.Node', {}]
+    ],
+    arrays: [[2, [0, 0, 4]]],
+    statics: { 'com.example.Registry.CACHE': 4 },
+    roots: [[ROOT_TYPES.THREAD_OBJ, 1], [ROOT_TYPES.STICKY_CLASS, 'com.example.Registry']]
+  });
+
+  // Shortest first
+  const chains = findReferenceChains(heapData, 4);
+  assert.deepEqual(chains.map(describeChain), [
+    'class com.example.Registry .static CACHE -> com.example.Node',
+    'com.example.Holder .items -> java.lang.Object[] .[2] -> com.example.Node'
+  ]);
+  assert.deepEqual(chains.map(chain => chain.rootTypes), [['Sticky Class'], ['Thread Object']]);
+  assert.deepEqual(chains.map(chain => chain.depth), [2, 3]);
+  assert.equal(chains[1].totalSize, 48);
+
+  assert.deepEqual(findReferenceChains(heapData, 4, { maxChains: 1 }).map(describeChain), [
+    'class com.example.Registry .static CACHE -> com.example.Node'
+  ]);
+  assert.equal(findReferenceChains(heapData, 4, { maxDepth: 2 }).length, 1);
+  assert.deepEqual(findReferenceChains(heapData, 4, { maxDepth: 1 }), []);
+  assert.deepEqual(findReferenceChains(heapData, 0x999), []);
+});
+
+test('skips the referents of weak references when asked', () => {
+  const heapData = buildHeap({
+    instances: [
+      [1, 'java.lang.ref.WeakReference', { referent: 3 }],
+      [2, 'com.example.Holder', { next: 4 }],
+      [4, 'com.example.Holder', { next: 3 }],
+      [3, 'com.example.Node', {}]
+    ],
+    roots: [[ROOT_TYPES.JNI_GLOBAL, 1], [ROOT_TYPES.JNI_GLOBAL, 2]]
+  });
+
+  assert.deepEqual(findReferenceChains(heapData, 3).map(describeChain), [
+    'java.lang.ref.WeakReference .referent -> com.example.Node',
+    'com.example.Holder .next -> com.example.Holder .next -> com.example.Node'
+  ]);
+  assert.deepEqual(findReferenceChains(heapData, 3, { excludeWeakReferences: true }).map(describeChain), [
+    'com.example.Holder .next -> com.example.Holder .next -> com.example.Node'
+  ]);
+});
+
+test('merges the shortest paths of a class, joining array elements', () => {
+  const heapData = buildHeap({
+    instances: [
+      [1, 'com.example.Holder', { items: 2 }],
+      [3, 'com.example.Node', {}],
+      [4, 'com.example.Node', {}],
+      [5, 'com.example.Node', {}],
+      [6, 'com.example.Node', {}]
+    ],
+    arrays: [[2, [3, 0, 4]]],
+    statics: { 'com.example.Registry.CACHE': 5 },
+    roots: [[ROOT_TYPES.JNI_GLOBAL, 1], [ROOT_TYPES.STICKY_CLASS, 'com.example.Registry']]
+  });
+
+  const merged = mergeShortestPaths(heapData, 'com.example.Node');
+  assert.equal(merged.objectCount, 3);
+  assert.equal(merged.unreachableCount, 1);
+
+  const summarize = node => ({
+    className: node.className,
+    fieldName: node.fieldName,
+    objectCount: node.objectCount,
+    totalSize: node.totalSize,
+    rootTypes: node.rootTypes,
+    children: node.children.map(summarize)
+  });
+  assert.deepEqual(merged.roots.map(summarize), [
+    {
+      className: 'com.example.Holder',
+      fieldName: null,
+      objectCount: 2,
+      totalSize: 32,
+      rootTypes: ['JNI Global'],
+      children: [{
+        className: 'java.lang.Object[]',
+        fieldName: 'items',
+        objectCount: 2,
+        totalSize: 32,
+        rootTypes: [],
+        children: [{
+          className: 'com.example.Node',
+          fieldName: '[]',
+          objectCount: 2,
+          totalSize: 32,
+          rootTypes: [],
+          children: []
+        }]
+      }]
+    },
+    {
+      className: 'class com.example.Registry',
+      fieldName: null,
+      objectCount: 1,
+      totalSize: 16,
+      rootTypes: ['Sticky Class'],
+      children: [{
+        className: 'com.example.Node',
+        fieldName: 'static CACHE',
+        objectCount: 1,
+        totalSize: 16,
+        rootTypes: [],
+        children: []
+      }]
+    }
+  ]);
+});
+
+test('collapses the middle of long merged paths', () => {
+  // A linked list of 40 nodes hanging off one root
+  const instances = [];
+  for (let i = 1; i <= 40; i++) {
+    instances.push([i, 'com.example.Node', i < 40 ? { next: i + 1 } : {}]);
+  }
+  const heapData = buildHeap({ instances, roots: [[ROOT_TYPES.JNI_GLOBAL, 1]] });
+
+  const merged = mergeShortestPaths(heapData, 'com.example.Node');
+  assert.equal(merged.objectCount, 40);
+
+  // The deepest path keeps 20 hops at the root end and 5 at the node's end
+  let node = merged.roots[0];
+  let hops = 1;
+  while (node.className !== null) {
+    node = node.children.find(child => child.children.length > 0 || child.className === null);
+    hops++;
+  }
+  assert.equal(hops, 21);
+  assert.deepEqual(node.skippedHops, { min: 2, max: 15 });
+});
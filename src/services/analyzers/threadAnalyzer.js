@@ -0,0 +1,223 @@
+/**
+ * Thread Analyzer
+ *
+ * Lists the java.lang.Thread objects in the dump with their name, state and
+ * retained size, the memory held by their thread-local maps, and the objects
+ * each stack frame keeps alive as local variables.
+ *
+ * Threads are tied to their stacks by serial number: the ROOT_THREAD_OBJ
+ * sub-record (or a START_THREAD record) gives a thread object's serial and
+ * stack trace, and every ROOT_JAVA_FRAME / ROOT_JNI_LOCAL names the thread
+ * serial and frame depth that holds the object.
+ */
+
+import { ROOT_TYPES, ROOT_TYPE_NAMES } from '../hprofTypes.js';
+import { computeDominators } from './dominatorTreeAnalyzer.js';
+import { isSubclassOf } from './classLoaderAnalyzer.js';
+import { resolveStackTrace, getClassNamesBySerial } from './allocationSiteAnalyzer.js';
+import { describeObject } from './referenceChainAnalyzer.js';
+import { getFieldValue } from '../fieldDecoder.js';
+import { getStringValue } from '../stringDecoder.js';
+
+// Base class of every thread
+export const THREAD_CLASS = 'java.lang.Thread';
+
+// JVMTI thread state bits stored in Thread.threadStatus
+const JVMTI_THREAD_STATE = {
+  ALIVE: 0x0001,
+  TERMINATED: 0x0002,
+  RUNNABLE: 0x0004,
+  WAITING_INDEFINITELY: 0x0010,
+  WAITING_WITH_TIMEOUT: 0x0020,
+  BLOCKED_ON_MONITOR_ENTER: 0x0400
+};
+
+// Roots that belong to a stack frame of a thread
+const FRAME_ROOT_TYPES = new Set([ROOT_TYPES.JAVA_FRAME, ROOT_TYPES.JNI_LOCAL]);
+
+// Fields holding a thread's ThreadLocal values
+export const THREAD_LOCAL_FIELDS = ['threadLocals', 'inheritableThreadLocals'];
+
+// Longest thread name kept
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Map a Thread.threadStatus value to a Thread.State name, the way
+ * jdk.internal.misc.VM.toThreadState does
+ * @param {number} threadStatus - JVMTI thread state bits
+ * @returns {string} NEW, RUNNABLE, BLOCKED, WAITING, TIMED_WAITING or TERMINATED
+ */
+export function getThreadState(threadStatus) {
+  if (threadStatus & JVMTI_THREAD_STATE.RUNNABLE) return 'RUNNABLE';
+  if (threadStatus & JVMTI_THREAD_STATE.BLOCKED_ON_MONITOR_ENTER) return 'BLOCKED';
+  if (threadStatus & JVMTI_THREAD_STATE.WAITING_INDEFINITELY) return 'WAITING';
+  if (threadStatus & JVMTI_THREAD_STATE.WAITING_WITH_TIMEOUT) return 'TIMED_WAITING';
+  if (threadStatus & JVMTI_THREAD_STATE.TERMINATED) return 'TERMINATED';
+  if ((threadStatus & JVMTI_THREAD_STATE.ALIVE) === 0) return 'NEW';
+  return 'RUNNABLE';
+}
+
+/**
+ * List thread objects with their state, thread-local memory and stack locals
+ * @param {Object} heapData - Parsed heap dump data
+ * @returns {Object} { threadCount, localCount, threads } where threads are
+ *   { objectId, className, name, state, daemon, priority, threadSerial,
+ *   retainedSize, threadLocalsSize, localCount, frames }, largest retained
+ *   size first. state, daemon and priority are null when the Thread fields
+ *   are missing; threadSerial is null for threads without a stack in the
+ *   dump. frames are { depth, frame, locals } innermost first, where frame is
+ *   a resolved stack frame (null when the trace does not cover that depth)
+ *   and locals are { objectId, className, size, stringValue, rootType,
+ *   retainedSize }
+ */
+export function analyzeThreads(heapData) {
+  const { graph, retainedSizes } = computeDominators(heapData);
+  const getRetainedSize = (objectId) => {
+    const node = graph.indexById.get(objectId);
+    return node === undefined ? 0 : retainedSizes[node];
+  };
+
+  // Thread object ID -> { threadSerial, stackTraceSerial, name }
+  const stacksByObjectId = new Map();
+  for (const thread of heapData.threads?.values() || []) {
+    stacksByObjectId.set(thread.threadObjectId, {
+      threadSerial: thread.threadSerial,
+      stackTraceSerial: thread.stackTraceSerial,
+      name: thread.name
+    });
+  }
+
+  // Thread serial -> frame depth -> local roots
+  const localsBySerial = new Map();
+  for (const root of heapData.roots) {
+    if (root.type === ROOT_TYPES.THREAD_OBJ) {
+      const known = stacksByObjectId.get(root.objectId);
+      stacksByObjectId.set(root.objectId, {
+        threadSerial: root.threadSerial,
+        stackTraceSerial: root.stackTraceSerial,
+        name: known?.name ?? null
+      });
+    } else if (FRAME_ROOT_TYPES.has(root.type)) {
+      let byDepth = localsBySerial.get(root.threadSerial);
+      if (!byDepth) {
+        byDepth = new Map();
+        localsBySerial.set(root.threadSerial, byDepth);
+      }
+      const locals = byDepth.get(root.frameNum) || [];
+      locals.push(root);
+      byDepth.set(root.frameNum, locals);
+    }
+  }
+
+  const threadIds = new Set(stacksByObjectId.keys());
+  for (const classInfo of heapData.classes.values()) {
+    if (classInfo.instances?.length && isSubclassOf(heapData, classInfo.classObjectId, THREAD_CLASS)) {
+      for (const objectId of classInfo.instances) threadIds.add(objectId);
+    }
+  }
+
+  const classNamesBySerial = getClassNamesBySerial(heapData);
+  const threads = [];
+  for (const objectId of threadIds) {
+    const instance = heapData.instances.get(objectId);
+    if (!instance) continue;
+
+    const stack = stacksByObjectId.get(objectId);
+    const threadSerial = stack?.threadSerial ?? null;
+    const frames = stack
+      ? describeFrames(heapData, stack, localsBySerial.get(threadSerial), classNamesBySerial, getRetainedSize)
+      : [];
+
+    let threadLocalsSize = 0;
+    for (const fieldName of THREAD_LOCAL_FIELDS) {
+      const mapId = getFieldValue(heapData, instance, fieldName);
+      if (mapId) threadLocalsSize += getRetainedSize(mapId);
+    }
+
+    threads.push({
+      objectId,
+      className: heapData.classes.get(instance.classObjectId)?.name || 'Unknown',
+      name: getThreadName(heapData, instance) ?? stack?.name ?? null,
+      ...getThreadStatus(heapData, instance),
+      threadSerial,
+      retainedSize: getRetainedSize(objectId),
+      threadLocalsSize,
+      localCount: frames.reduce((sum, frame) => sum + frame.locals.length, 0),
+      frames
+    });
+  }
+
+  threads.sort((a, b) => b.retainedSize - a.retainedSize);
+
+  return {
+    threadCount: threads.length,
+    localCount: threads.reduce((sum, thread) => sum + thread.localCount, 0),
+    threads
+  };
+}
+
+/**
+ * Read a thread's name field
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} instance - Thread instance
+ * @returns {string|null} The name, or null when it is not a readable String
+ */
+export function getThreadName(heapData, instance) {
+  const nameId = getFieldValue(heapData, instance, 'name');
+  const nameInstance = nameId ? heapData.instances.get(nameId) : null;
+  return nameInstance ? getStringValue(heapData, nameInstance, MAX_NAME_LENGTH)?.value ?? null : null;
+}
+
+/**
+ * Read a thread's state, daemon flag and priority. JDK 19 and later keep
+ * them in a Thread$FieldHolder referenced by the holder field.
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} instance - Thread instance
+ * @returns {Object} { state, daemon, priority }, each null when missing
+ */
+function getThreadStatus(heapData, instance) {
+  const holderId = getFieldValue(heapData, instance, 'holder');
+  const source = (holderId && heapData.instances.get(holderId)) || instance;
+  const threadStatus = getFieldValue(heapData, source, 'threadStatus');
+  const daemon = getFieldValue(heapData, source, 'daemon');
+  const priority = getFieldValue(heapData, source, 'priority');
+
+  return {
+    state: typeof threadStatus === 'number' ? getThreadState(threadStatus) : null,
+    daemon: typeof daemon === 'boolean' ? daemon : null,
+    priority: typeof priority === 'number' ? priority : null
+  };
+}
+
+/**
+ * Pair a thread's stack frames with the objects they hold as locals
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} stack - { threadSerial, stackTraceSerial }
+ * @param {Map} localsByDepth - Frame depth -> frame roots, or undefined
+ * @param {Map} classNamesBySerial - Result of getClassNamesBySerial
+ * @param {Function} getRetainedSize - Object ID -> retained size
+ * @returns {Array} { depth, frame, locals }, innermost first
+ */
+function describeFrames(heapData, stack, localsByDepth, classNamesBySerial, getRetainedSize) {
+  const trace = resolveStackTrace(heapData, stack.stackTraceSerial, classNamesBySerial);
+  const frames = trace.map((frame, depth) => ({ depth, frame, locals: [] }));
+
+  for (const [depth, roots] of localsByDepth || []) {
+    const locals = roots.map(root => ({
+      ...describeObject(heapData, root.objectId),
+      rootType: ROOT_TYPE_NAMES[root.type],
+      retainedSize: getRetainedSize(root.objectId)
+    }));
+    locals.sort((a, b) => b.retainedSize - a.retainedSize);
+
+    if (depth >= 0 && depth < frames.length) {
+      frames[depth].locals = locals;
+    } else {
+      frames.push({ depth, frame: null, locals });
+    }
+  }
+
+  return frames;
+}
+
+export default analyzeThreads;
@@ -0,0 +1,216 @@
+/**
+ * ThreadLocal Analyzer
+ *
+ * Walks the threadLocals and inheritableThreadLocals map of every thread and
+ * lists which ThreadLocal holds which value in which thread, with the memory
+ * each value retains.
+ *
+ * A ThreadLocalMap entry is a weak reference to its ThreadLocal with a strong
+ * reference to the value. Once the ThreadLocal itself is garbage collected
+ * the entry's referent is cleared but the value stays in the map until the
+ * thread happens to expunge it or ends. In a thread pool the threads never
+ * end, so a ThreadLocal created per request or per redeploy and never
+ * removed leaves such stale values behind in every pooled thread. An entry
+ * is already stale when its ThreadLocal is only reachable through weak
+ * references such as the entries themselves, since the next GC clears it.
+ */
+
+import { getObjectGraph, getIncomingEdges, getEdgeName, EDGE_FLAGS } from './objectGraph.js';
+import { computeDominators } from './dominatorTreeAnalyzer.js';
+import { markStronglyReachableObjects } from './reachabilityAnalyzer.js';
+import { isSubclassOf } from './classLoaderAnalyzer.js';
+import { describeOwnerClass } from './collectionAnalyzer.js';
+import { describeObject } from './referenceChainAnalyzer.js';
+import { THREAD_CLASS, THREAD_LOCAL_FIELDS, getThreadName } from './threadAnalyzer.js';
+import { getFieldValue } from '../fieldDecoder.js';
+
+// Value classes listed per ThreadLocal, largest first
+const MAX_VALUE_CLASSES = 5;
+
+// Entries listed per thread, largest value first
+const MAX_ENTRIES_PER_THREAD = 100;
+
+// ThreadLocals reported, largest total value size first
+const MAX_THREAD_LOCALS = 500;
+
+/**
+ * List the ThreadLocal values of every thread, grouped by thread and by
+ * ThreadLocal
+ * @param {Object} heapData - Parsed heap dump data
+ * @returns {Object} { entryCount, valueSize, staleEntryCount, staleValueSize,
+ *   byThread, byThreadLocal } where byThread entries are { objectId, name,
+ *   className, entryCount, valueSize, staleEntryCount, staleValueSize,
+ *   entries } for threads with at least one value, and entries are
+ *   { mapField, threadLocalObjectId, threadLocalClass, valueObjectId,
+ *   valueClass, stringValue, retainedSize, stale }. byThreadLocal entries are
+ *   { threadLocalObjectId, threadLocalClass, stale, owner, threadCount,
+ *   entryCount, valueSize, valueClasses }, where owner is { objectId, className,
+ *   fieldName } or null and valueClasses are { className, count,
+ *   retainedSize }. Entries are stale when their ThreadLocal was collected
+ *   or is not strongly reachable; those whose ThreadLocal was collected have
+ *   threadLocalObjectId null and are grouped under one byThreadLocal entry.
+ */
+export function analyzeThreadLocals(heapData) {
+  const graph = getObjectGraph(heapData);
+  const { retainedSizes } = computeDominators(heapData);
+  const getRetainedSize = (objectId) => {
+    const node = graph.indexById.get(objectId);
+    return node === undefined ? 0 : retainedSizes[node];
+  };
+  const stronglyReachable = markStronglyReachableObjects(heapData);
+  const isStronglyReachable = (objectId) => {
+    const node = graph.indexById.get(objectId);
+    return node !== undefined && stronglyReachable[node] === 1;
+  };
+
+  const byThread = [];
+  const byThreadLocal = new Map(); // ThreadLocal object ID (0 when collected) -> group
+
+  for (const classInfo of heapData.classes.values()) {
+    if (!classInfo.instances?.length || !isSubclassOf(heapData, classInfo.classObjectId, THREAD_CLASS)) continue;
+
+    for (const objectId of classInfo.instances) {
+      const instance = heapData.instances.get(objectId);
+      if (!instance) continue;
+
+      const entries = [];
+      for (const mapField of THREAD_LOCAL_FIELDS) {
+        const mapId = getFieldValue(heapData, instance, mapField);
+        const map = mapId ? heapData.instances.get(mapId) : null;
+        if (map) entries.push(...readThreadLocalMap(heapData, map, mapField, getRetainedSize, isStronglyReachable));
+      }
+      if (entries.length === 0) continue;
+
+      for (const entry of entries) {
+        const key = entry.threadLocalObjectId || 0;
+        let group = byThreadLocal.get(key);
+        if (!group) {
+          group = {
+            threadLocalObjectId: entry.threadLocalObjectId,
+            stale: entry.stale,
+            threadIds: new Set(),
+            entryCount: 0,
+            valueSize: 0,
+            valueClasses: new Map()
+          };
+          byThreadLocal.set(key, group);
+        }
+        group.threadIds.add(objectId);
+        group.entryCount++;
+        group.valueSize += entry.retainedSize;
+        const valueClass = group.valueClasses.get(entry.valueClass) || { className: entry.valueClass, count: 0, retainedSize: 0 };
+        valueClass.count++;
+        valueClass.retainedSize += entry.retainedSize;
+        group.valueClasses.set(entry.valueClass, valueClass);
+      }
+
+      const staleEntries = entries.filter(entry => entry.stale);
+      entries.sort((a, b) => b.stale - a.stale || b.retainedSize - a.retainedSize);
+      byThread.push({
+        objectId,
+        name: getThreadName(heapData, instance),
+        className: classInfo.name,
+        entryCount: entries.length,
+        valueSize: entries.reduce((sum, entry) => sum + entry.retainedSize, 0),
+        staleEntryCount: staleEntries.length,
+        staleValueSize: staleEntries.reduce((sum, entry) => sum + entry.retainedSize, 0),
+        entries: entries.slice(0, MAX_ENTRIES_PER_THREAD)
+      });
+    }
+  }
+
+  byThread.sort((a, b) => b.valueSize - a.valueSize);
+
+  const incoming = getIncomingEdges(graph);
+  const threadLocals = Array.from(byThreadLocal.values(), ({ threadIds, valueClasses, ...group }) => ({
+    ...group,
+    threadLocalClass: group.threadLocalObjectId
+      ? describeObject(heapData, group.threadLocalObjectId).className
+      : null,
+    owner: group.threadLocalObjectId
+      ? findThreadLocalOwner(heapData, graph, incoming, group.threadLocalObjectId)
+      : null,
+    threadCount: threadIds.size,
+    valueClasses: Array.from(valueClasses.values())
+      .sort((a, b) => b.retainedSize - a.retainedSize)
+      .slice(0, MAX_VALUE_CLASSES)
+  }));
+  threadLocals.sort((a, b) => b.valueSize - a.valueSize);
+
+  return {
+    entryCount: byThread.reduce((sum, thread) => sum + thread.entryCount, 0),
+    valueSize: byThread.reduce((sum, thread) => sum + thread.valueSize, 0),
+    staleEntryCount: byThread.reduce((sum, thread) => sum + thread.staleEntryCount, 0),
+    staleValueSize: byThread.reduce((sum, thread) => sum + thread.staleValueSize, 0),
+    byThread,
+    byThreadLocal: threadLocals.slice(0, MAX_THREAD_LOCALS)
+  };
+}
+
+/**
+ * Read the entries of a ThreadLocal.ThreadLocalMap that hold a value
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} map - ThreadLocalMap instance
+ * @param {string} mapField - Thread field holding the map
+ * @param {Function} getRetainedSize - Object ID -> retained size
+ * @param {Function} isStronglyReachable - Object ID -> whether it survives the next GC
+ * @returns {Array} Entries, see analyzeThreadLocals
+ */
+function readThreadLocalMap(heapData, map, mapField, getRetainedSize, isStronglyReachable) {
+  const tableId = getFieldValue(heapData, map, 'table');
+  const table = tableId ? heapData.instances.get(tableId) : null;
+  if (table?.type !== 'objectArray') return [];
+
+  const entries = [];
+  for (const entryId of table.elements) {
+    const entry = entryId ? heapData.instances.get(entryId) : null;
+    const valueId = entry ? getFieldValue(heapData, entry, 'value') : null;
+    if (!valueId) continue;
+
+    // The entry's referent is its ThreadLocal, cleared once that is collected
+    const referentId = getFieldValue(heapData, entry, 'referent');
+    const threadLocalId = referentId || null;
+    const value = describeObject(heapData, valueId);
+    entries.push({
+      mapField,
+      threadLocalObjectId: threadLocalId,
+      threadLocalClass: threadLocalId ? describeObject(heapData, threadLocalId).className : null,
+      valueObjectId: valueId,
+      valueClass: value.className,
+      stringValue: value.stringValue,
+      retainedSize: getRetainedSize(valueId),
+      stale: threadLocalId === null || !isStronglyReachable(threadLocalId)
+    });
+  }
+  return entries;
+}
+
+/**
+ * Find the field that holds a ThreadLocal, usually a static field
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} graph - Object graph
+ * @param {Object} incoming - Result of getIncomingEdges
+ * @param {number|bigint} threadLocalId - ThreadLocal object ID
+ * @returns {Object|null} { objectId, className, fieldName } of the first
+ *   strong referrer, or null when only map entries refer to it
+ */
+function findThreadLocalOwner(heapData, graph, incoming, threadLocalId) {
+  const node = graph.indexById.get(threadLocalId);
+  if (node === undefined) return null;
+
+  for (let i = incoming.edgeStart[node]; i < incoming.edgeStart[node + 1]; i++) {
+    const edge = incoming.edgeIndexes[i];
+    const fieldName = getEdgeName(graph, edge);
+    if (fieldName === null || (graph.edgeFlags[edge] & EDGE_FLAGS.WEAK) !== 0) continue;
+
+    const source = incoming.edgeSources[i];
+    return {
+      objectId: graph.objectIds[source],
+      className: describeOwnerClass(heapData, graph, source),
+      fieldName
+    };
+  }
+  return null;
+}
+
+export default analyzeThreadLocals;
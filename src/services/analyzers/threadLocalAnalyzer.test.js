@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeThreadLocals } from './threadLocalAnalyzer.js';
+import { getFieldLayout } from '../fieldDecoder.js';
+import { BASIC_TYPE_CODES, ROOT_TYPES } from '../hprofTypes.js';
+
+const { OBJECT } = BASIC_TYPE_CODES;
+
+const CLASSES = [
+  ['java.lang.Object', null, []],
+  ['java.lang.Thread', 'java.lang.Object', ['name', 'threadLocals', 'inheritableThreadLocals']],
+  ['java.lang.ThreadLocal', 'java.lang.Object', []],
+  ['java.lang.ThreadLocal$ThreadLocalMap', 'java.lang.Object', ['table']],
+  ['java.lang.ref.Reference', 'java.lang.Object', ['referent']],
+  ['java.lang.ref.WeakReference', 'java.lang.ref.Reference', []],
+  ['java.lang.ThreadLocal$ThreadLocalMap$Entry', 'java.lang.ref.WeakReference', ['value']],
+  ['java.lang.Object[]', 'java.lang.Object', []],
+  ['com.example.Context', 'java.lang.Object', [], ['CURRENT']]
+];
+
+/**
+ * Build heap data from class declarations and objects
+ * @param {Object} objects - { instances, arrays, statics, roots }: instances are
+ *   [objectId, className, { fieldName: objectId }], arrays are
+ *   [objectId, [elementId, ...]] of java.lang.Object[], statics map a
+ *   "Class.FIELD" name to an object ID and roots are object IDs or class names
+ * @returns {Object} Heap data with 4-byte object IDs; every object is 16 bytes
+ */
+function buildHeap({ instances = [], arrays = [], statics = {}, roots = [] }) {
+  const heapData = { identifierSize: 4, classes: new Map(), instances: new Map(), roots: [] };
+  const classIds = new Map();
+  CLASSES.forEach(([name, superName, fieldNames, staticNames = []], index) => {
+    const classObjectId = 0x100 + index;
+    classIds.set(name, classObjectId);
+    heapData.classes.set(classObjectId, {
+      classObjectId,
+      name,
+      superClassObjectId: superName ? classIds.get(superName) : 0,
+      instanceFields: fieldNames.map(fieldName => ({ name: fieldName, type: OBJECT })),
+      staticFields: staticNames.map(fieldName => ({
+        name: fieldName,
+        type: OBJECT,
+        value: statics[`${name}.${fieldName}`] || 0
+      })),
+      instances: []
+    });
+  });
+
+  const add = (objectId, classObjectId, instance) => {
+    heapData.instances.set(objectId, { classObjectId, size: 16, ...instance });
+    heapData.classes.get(classObjectId).instances.push(objectId);
+  };
+  for (const [objectId, className, values] of instances) {
+    const classObjectId = classIds.get(className);
+    const layout = getFieldLayout(heapData, classObjectId);
+    const data = new Uint8Array(layout.size);
+    for (const [fieldName, value] of Object.entries(values)) {
+      new DataView(data.buffer).setUint32(layout.byName.get(fieldName).offset, value);
+    }
+    add(objectId, classObjectId, { data });
+  }
+  for (const [objectId, elements] of arrays) {
+    add(objectId, classIds.get('java.lang.Object[]'), { type: 'objectArray', elements });
+  }
+  for (const object of roots) {
+    heapData.roots.push({ type: ROOT_TYPES.STICKY_CLASS, objectId: classIds.get(object) ?? object });
+  }
+  return heapData;
+}
+
+test('marks entries stale when their ThreadLocal is collected or only weakly reachable', () => {
+  const heapData = buildHeap({
+    instances: [
+      [1, 'java.lang.Thread', { threadLocals: 2 }],
+      [2, 'java.lang.ThreadLocal$ThreadLocalMap', { table: 3 }],
+      // Held by a static field
+      [10, 'java.lang.ThreadLocal', {}],
+      [20, 'java.lang.ThreadLocal$ThreadLocalMap$Entry', { referent: 10, value: 30 }],
+      [30, 'java.lang.Object', {}],
+      // Only held by its entry
+      [11, 'java.lang.ThreadLocal', {}],
+      [21, 'java.lang.ThreadLocal$ThreadLocalMap$Entry', { referent: 11, value: 31 }],
+      [31, 'java.lang.Object', {}],
+      // Already collected
+      [22, 'java.lang.ThreadLocal$ThreadLocalMap$Entry', { value: 32 }],
+      [32, 'java.lang.Object', {}]
+    ],
+    arrays: [[3, [20, 0, 21, 22]]],
+    statics: { 'com.example.Context.CURRENT': 10 },
+    roots: [1, 'com.example.Context']
+  });
+
+  const result = analyzeThreadLocals(heapData);
+  assert.equal(result.entryCount, 3);
+  assert.equal(result.staleEntryCount, 2);
+  assert.equal(result.staleValueSize, 32);
+
+  const [thread] = result.byThread;
+  const entries = new Map(thread.entries.map(entry => [entry.valueObjectId, entry]));
+  assert.deepEqual(
+    [30, 31, 32].map(valueId => [entries.get(valueId).threadLocalObjectId, entries.get(valueId).stale]),
+    [[10, false], [11, true], [null, true]]
+  );
+  // Stale entries come first
+  assert.equal(thread.entries[2].valueObjectId, 30);
+
+  const owners = new Map(result.byThreadLocal.map(group => [group.threadLocalObjectId, group.owner]));
+  assert.deepEqual(owners.get(10), { objectId: 0x108, className: 'class com.example.Context', fieldName: 'static CURRENT' });
+  assert.equal(owners.get(11), null);
+  assert.equal(owners.get(null), null);
+  assert.deepEqual(result.byThreadLocal.map(group => group.stale).sort(), [false, true, true]);
+});
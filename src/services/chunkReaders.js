@@ -0,0 +1,142 @@
+/**
+ * Chunk Readers
+ *
+ * Supply HprofParser with the bytes of a heap dump one chunk at a time,
+ * so the whole (possibly multi-gigabyte) dump never has to be in memory.
+ *
+ * Every reader implements:
+ * - read(offset, length): resolves to { buffer, isLast } where buffer holds up
+ *   to `length` bytes starting at `offset` and isLast is true when the buffer
+ *   reaches the end of the dump
+ * - bytesRead / totalBytes: progress in bytes of the underlying file
+ */
+
+/**
+ * Reads an uncompressed dump through Blob.slice (random access)
+ */
+export class BlobChunkReader {
+  constructor(blob) {
+    this.blob = blob;
+    this.bytesRead = 0;
+    this.totalBytes = blob.size;
+  }
+
+  async read(offset, length) {
+    const end = Math.min(this.blob.size, offset + length);
+    const buffer = await this.blob.slice(offset, end).arrayBuffer();
+    this.bytesRead = end;
+    return { buffer, isLast: end === this.blob.size };
+  }
+}
+
+/**
+ * Decompresses a gzip or raw-deflate blob on the fly with DecompressionStream,
+ * through several formats in turn for a gzip dump deflated into a zip archive.
+ *
+ * The stream can only move forward: a read may start anywhere from the start
+ * of the previously returned chunk onwards (the parser re-reads a record that
+ * crossed a chunk boundary from its start), and bytes before that are dropped.
+ * Progress is reported in compressed bytes since the uncompressed size is unknown.
+ * Concatenated gzip members decompress as one dump. A stream that ends before
+ * its compressed data is complete fails with the parser's end-of-file error.
+ */
+export class DecompressingChunkReader {
+  /**
+   * @param {Blob} blob - The compressed data
+   * @param {Array<string>} formats - DecompressionStream formats ('gzip' or
+   *   'deflate-raw'), outermost first
+   */
+  constructor(blob, formats) {
+    this.bytesRead = 0;
+    this.totalBytes = blob.size;
+
+    const countCompressedBytes = new TransformStream({
+      transform: (chunk, controller) => {
+        this.bytesRead += chunk.byteLength;
+        controller.enqueue(chunk);
+      }
+    });
+
+    let stream = blob.stream().pipeThrough(countCompressedBytes);
+    for (const format of formats) {
+      stream = stream.pipeThrough(new DecompressionStream(format));
+    }
+    this.reader = stream.getReader();
+
+    // Decompressed bytes that have been pulled from the stream but not yet dropped
+    this.buffered = new Uint8Array(0);
+    this.bufferedOffset = 0;
+    this.decompressedBytes = 0;
+    this.done = false;
+  }
+
+  async read(offset, length) {
+    if (offset < this.bufferedOffset) {
+      throw new Error(`Cannot seek backwards in a compressed dump (offset ${offset})`);
+    }
+
+    // Drop everything before offset, discarding stream data if offset is further ahead
+    let toSkip = offset - this.bufferedOffset;
+    while (toSkip > this.buffered.length && !this.done) {
+      toSkip -= this.buffered.length;
+      this.buffered = await this.pull();
+    }
+    this.buffered = this.buffered.subarray(Math.min(toSkip, this.buffered.length));
+    this.bufferedOffset = offset;
+
+    // Pull until the requested length is available or the stream ends
+    const parts = [this.buffered];
+    let available = this.buffered.length;
+    while (available < length && !this.done) {
+      const part = await this.pull();
+      parts.push(part);
+      available += part.length;
+    }
+    if (parts.length > 1) {
+      this.buffered = concatBytes(parts, available);
+    }
+
+    const end = Math.min(length, this.buffered.length);
+    return {
+      buffer: this.buffered.slice(0, end).buffer,
+      isLast: this.done && end === this.buffered.length
+    };
+  }
+
+  /**
+   * Read the next piece of decompressed data
+   * @returns {Promise<Uint8Array>} Decompressed bytes (empty at end of stream)
+   */
+  async pull() {
+    let result;
+    try {
+      result = await this.reader.read();
+    } catch (error) {
+      // DecompressionStream rejects compressed data that stops mid-stream
+      throw new Error(`Unexpected end of file at offset ${this.decompressedBytes} (${error.message})`, { cause: error });
+    }
+
+    if (result.done) {
+      this.done = true;
+      return new Uint8Array(0);
+    }
+    this.decompressedBytes += result.value.length;
+    return result.value;
+  }
+}
+
+/**
+ * Join byte arrays into one
+ * @param {Array<Uint8Array>} parts - Arrays to join
+ * @param {number} totalLength - Sum of their lengths
+ * @returns {Uint8Array} Joined bytes
+ */
+function concatBytes(parts, totalLength) {
+  const result = new Uint8Array(totalLength);
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DecompressingChunkReader } from './chunkReaders.js';
+
+/**
+ * Compress bytes into one gzip member
+ * @param {Uint8Array} bytes - Data to compress
+ * @returns {Promise<Uint8Array>} gzip member
+ */
+async function gzip(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Bytes that do not compress to nothing
+ * @param {number} length - Number of bytes
+ * @param {number} seed - Varies the content
+ * @returns {Uint8Array} Bytes
+ */
+function sampleBytes(length, seed) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) bytes[i] = (i * seed + (i >> 7)) % 251;
+  return bytes;
+}
+
+/**
+ * Read a whole dump in chunks, the way HprofParser does
+ * @param {Object} reader - Chunk reader
+ * @param {number} chunkSize - Bytes requested per read
+ * @returns {Promise<Uint8Array>} All bytes read
+ */
+async function readAll(reader, chunkSize) {
+  const parts = [];
+  let offset = 0;
+  for (;;) {
+    const { buffer, isLast } = await reader.read(offset, chunkSize);
+    parts.push(new Uint8Array(buffer));
+    offset += buffer.byteLength;
+    if (isLast) break;
+  }
+  return new Uint8Array(await new Blob(parts).arrayBuffer());
+}
+
+test('concatenated gzip members decompress to their concatenation', async () => {
+  const first = sampleBytes(70000, 7);
+  const second = sampleBytes(50000, 13);
+  const blob = new Blob([await gzip(first), await gzip(second)]);
+
+  const result = await readAll(new DecompressingChunkReader(blob, ['gzip']), 4096);
+
+  const expected = new Uint8Array(first.length + second.length);
+  expected.set(first);
+  expected.set(second, first.length);
+  assert.deepEqual(result, expected);
+});
+
+test('a truncated gzip dump fails with an end-of-file error', async () => {
+  const compressed = await gzip(sampleBytes(100000, 7));
+  const blob = new Blob([compressed.subarray(0, compressed.length - 20)]);
+
+  await assert.rejects(
+    readAll(new DecompressingChunkReader(blob, ['gzip']), 4096),
+    /^Error: Unexpected end of file at offset \d+/
+  );
+});
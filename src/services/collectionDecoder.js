@@ -0,0 +1,462 @@
+/**
+ * Collection Decoder
+ *
+ * Reads the number of elements of common java.util and java.util.concurrent
+ * collections and maps from their fields, and the capacity of the arrays
+ * that back them.
+ *
+ * Most collections keep their size in an int field; sets and wrappers
+ * delegate to a backing collection (HashSet -> HashMap, TreeSet -> TreeMap,
+ * Collections$Unmodifiable* -> the wrapped collection), and
+ * CopyOnWriteArrayList is exactly as long as its array. ArrayDeque's size
+ * follows from its head and tail indexes, and ConcurrentHashMap adds its
+ * counter cells to baseCount. ConcurrentSkipListMap sums its LongAdder
+ * (JDK 14 and later) or else counts its base-level nodes. Subclasses, e.g. LinkedHashMap or application
+ * classes extending ArrayList, are resolved through their superclasses.
+ *
+ * Samples of elements (or map keys) are read by walking the backing arrays,
+ * hash bucket chains, linked nodes and tree entries.
+ */
+
+import { getFieldValue } from './fieldDecoder.js';
+
+// Collection class -> int field holding its size
+const SIZE_FIELDS = {
+  'java.util.ArrayList': 'size',
+  'java.util.LinkedList': 'size',
+  'java.util.HashMap': 'size',
+  'java.util.TreeMap': 'size',
+  'java.util.IdentityHashMap': 'size',
+  'java.util.WeakHashMap': 'size',
+  'java.util.PriorityQueue': 'size',
+  'java.util.Vector': 'elementCount',
+  'java.util.Hashtable': 'count',
+  'java.util.concurrent.ConcurrentHashMap': 'baseCount',
+  'java.util.concurrent.ArrayBlockingQueue': 'count'
+};
+
+// Collections without a size field, whose size is summed or counted
+const COUNTED_COLLECTIONS = new Set([
+  'java.util.concurrent.ConcurrentSkipListMap'
+]);
+
+// Wrapper class -> field holding the collection it delegates to
+const DELEGATE_FIELDS = {
+  'java.util.HashSet': 'map',
+  'java.util.TreeSet': 'm',
+  'java.util.concurrent.ConcurrentSkipListSet': 'm',
+  'java.util.concurrent.CopyOnWriteArraySet': 'al',
+  'java.util.Collections$UnmodifiableCollection': 'c',
+  'java.util.Collections$UnmodifiableMap': 'm',
+  'java.util.Collections$SynchronizedCollection': 'c',
+  'java.util.Collections$SynchronizedMap': 'm'
+};
+
+// Collection class -> object array field whose length is its size
+const ARRAY_FIELDS = {
+  'java.util.concurrent.CopyOnWriteArrayList': 'array'
+};
+
+// Collection class -> object array holding its elements or hash buckets
+const STORAGE_FIELDS = {
+  'java.util.ArrayList': 'elementData',
+  'java.util.Vector': 'elementData',
+  'java.util.ArrayDeque': 'elements',
+  'java.util.PriorityQueue': 'queue',
+  'java.util.HashMap': 'table',
+  'java.util.Hashtable': 'table',
+  'java.util.WeakHashMap': 'table',
+  'java.util.IdentityHashMap': 'table',
+  'java.util.concurrent.ConcurrentHashMap': 'table',
+  'java.util.concurrent.ArrayBlockingQueue': 'items',
+  'java.util.concurrent.CopyOnWriteArrayList': 'array'
+};
+
+// IdentityHashMap keeps keys and values in alternate slots of its table
+const SLOTS_PER_ENTRY = {
+  'java.util.IdentityHashMap': 2
+};
+
+// Delegation depth limit, against corrupt cycles
+const MAX_DELEGATION_DEPTH = 8;
+
+// Maps whose hash buckets hold chains of entries with key and next fields
+const CHAINED_MAPS = new Set([
+  'java.util.HashMap',
+  'java.util.Hashtable',
+  'java.util.WeakHashMap',
+  'java.util.concurrent.ConcurrentHashMap'
+]);
+
+// Collections whose sample is taken from the non-null slots of their array
+const ARRAY_COLLECTIONS = new Set([
+  'java.util.ArrayList',
+  'java.util.Vector',
+  'java.util.ArrayDeque',
+  'java.util.PriorityQueue',
+  'java.util.concurrent.ArrayBlockingQueue',
+  'java.util.concurrent.CopyOnWriteArrayList'
+]);
+
+// Nodes visited per sample, against corrupt chains and huge trees
+const MAX_SAMPLE_STEPS = 10000;
+
+/**
+ * Find the collection class an instance's class is or extends
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number|bigint} classObjectId - Class object ID
+ * @returns {string|null} Name of the known collection class, or null
+ */
+export function getCollectionClassName(heapData, classObjectId) {
+  const visited = new Set();
+  let classInfo = heapData.classes.get(classObjectId);
+  while (classInfo && !visited.has(classInfo.classObjectId)) {
+    const name = classInfo.name;
+    if (SIZE_FIELDS[name] || COUNTED_COLLECTIONS.has(name) || DELEGATE_FIELDS[name] || STORAGE_FIELDS[name]) {
+      return name;
+    }
+    visited.add(classInfo.classObjectId);
+    classInfo = classInfo.superClassObjectId ? heapData.classes.get(classInfo.superClassObjectId) : null;
+  }
+  return null;
+}
+
+/**
+ * Get the number of elements (or map entries) of a collection
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} instance - Instance from heapData.instances
+ * @param {number} depth - Delegations followed so far
+ * @returns {number|null} Size, or null when the instance is not a known collection
+ *   or its size cannot be read
+ */
+export function getCollectionSize(heapData, instance, depth = 0) {
+  if (instance.type || depth > MAX_DELEGATION_DEPTH) return null;
+
+  const collectionClass = getCollectionClassName(heapData, instance.classObjectId);
+  if (!collectionClass) return null;
+
+  if (collectionClass === 'java.util.ArrayDeque') {
+    return getArrayDequeSize(heapData, instance);
+  }
+  if (collectionClass === 'java.util.concurrent.ConcurrentHashMap') {
+    return getConcurrentHashMapSize(heapData, instance);
+  }
+  if (collectionClass === 'java.util.concurrent.ConcurrentSkipListMap') {
+    return getConcurrentSkipListMapSize(heapData, instance);
+  }
+
+  if (SIZE_FIELDS[collectionClass]) {
+    const size = getFieldValue(heapData, instance, SIZE_FIELDS[collectionClass]);
+    return typeof size === 'number' ? size : null;
+  }
+
+  const fieldName = DELEGATE_FIELDS[collectionClass] || ARRAY_FIELDS[collectionClass];
+  const targetId = getFieldValue(heapData, instance, fieldName);
+  const target = targetId ? heapData.instances.get(targetId) : null;
+  if (!target) return null;
+
+  if (ARRAY_FIELDS[collectionClass]) {
+    return target.type === 'objectArray' ? target.elements.length : null;
+  }
+  return getCollectionSize(heapData, target, depth + 1);
+}
+
+/**
+ * Check whether a class wraps another collection rather than storing elements
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number|bigint} classObjectId - Class object ID
+ * @returns {boolean} True for HashSet, TreeSet, Collections wrappers and the like
+ */
+export function isWrapperCollection(heapData, classObjectId) {
+  const collectionClass = getCollectionClassName(heapData, classObjectId);
+  return Boolean(collectionClass && DELEGATE_FIELDS[collectionClass]);
+}
+
+/**
+ * Get the size and capacity of an array-backed collection
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} instance - Instance from heapData.instances
+ * @returns {Object|null} { collectionClass, size, capacity, slotsPerEntry, storageId }
+ *   where capacity is in entries and storageId is the backing array (null while
+ *   a lazily allocated table is missing, with capacity 0); null for instances that
+ *   are not array-backed collections
+ */
+export function getCollectionStorage(heapData, instance) {
+  if (instance.type) return null;
+
+  const collectionClass = getCollectionClassName(heapData, instance.classObjectId);
+  if (!collectionClass || !STORAGE_FIELDS[collectionClass]) return null;
+
+  const size = getCollectionSize(heapData, instance);
+  if (size === null) return null;
+
+  const slotsPerEntry = SLOTS_PER_ENTRY[collectionClass] || 1;
+  const storageId = getFieldValue(heapData, instance, STORAGE_FIELDS[collectionClass]) ?? null;
+  const storage = storageId === null ? null : heapData.instances.get(storageId);
+  const capacity = storage?.type === 'objectArray'
+    ? Math.floor(storage.elements.length / slotsPerEntry)
+    : 0;
+
+  return { collectionClass, size, capacity, slotsPerEntry, storageId: storage ? storageId : null };
+}
+
+/**
+ * Check whether a collection is a map, whose samples are keys
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} instance - Instance from heapData.instances
+ * @returns {boolean} True for known maps and wrappers of maps
+ */
+export function isMapCollection(heapData, instance) {
+  const collectionClass = getCollectionClassName(heapData, instance.classObjectId);
+  return Boolean(collectionClass) && (collectionClass.endsWith('Map') ||
+    collectionClass === 'java.util.Hashtable');
+}
+
+/**
+ * Read the first elements of a collection, or the first keys of a map
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} instance - Collection instance or object array
+ * @param {number} limit - Maximum number of object IDs
+ * @returns {Array} Object IDs of elements or keys, in storage order
+ */
+export function getCollectionSample(heapData, instance, limit, depth = 0) {
+  if (instance.type === 'objectArray') {
+    return sampleArray(instance, limit);
+  }
+  if (instance.type || depth > MAX_DELEGATION_DEPTH) return [];
+
+  const collectionClass = getCollectionClassName(heapData, instance.classObjectId);
+  if (!collectionClass) return [];
+
+  const field = (name) => {
+    const objectId = getFieldValue(heapData, instance, name);
+    return objectId ? heapData.instances.get(objectId) : null;
+  };
+
+  if (DELEGATE_FIELDS[collectionClass]) {
+    const target = field(DELEGATE_FIELDS[collectionClass]);
+    return target ? getCollectionSample(heapData, target, limit, depth + 1) : [];
+  }
+  if (ARRAY_COLLECTIONS.has(collectionClass)) {
+    const array = field(STORAGE_FIELDS[collectionClass]);
+    return array?.type === 'objectArray' ? sampleArray(array, limit) : [];
+  }
+  if (collectionClass === 'java.util.IdentityHashMap') {
+    // Keys sit in the even slots, values in the odd ones
+    const table = field('table');
+    if (table?.type !== 'objectArray') return [];
+    const keys = [];
+    for (let i = 0; i < table.elements.length && keys.length < limit; i += 2) {
+      if (table.elements[i] !== 0) keys.push(table.elements[i]);
+    }
+    return keys;
+  }
+  if (CHAINED_MAPS.has(collectionClass)) {
+    return sampleHashTable(heapData, field('table'), limit);
+  }
+  if (collectionClass === 'java.util.LinkedList') {
+    return sampleLinkedNodes(heapData, field('first'), 'item', limit);
+  }
+  if (collectionClass === 'java.util.TreeMap') {
+    return sampleTree(heapData, field('root'), limit);
+  }
+  if (collectionClass === 'java.util.concurrent.ConcurrentSkipListMap') {
+    // The head index points at the base-level node list, led by a marker without key
+    const head = field('head');
+    const nodeId = head ? getFieldValue(heapData, head, 'node') : null;
+    const node = nodeId ? heapData.instances.get(nodeId) : null;
+    return sampleLinkedNodes(heapData, node, 'key', limit);
+  }
+  return [];
+}
+
+/**
+ * Non-null elements of an object array
+ * @param {Object} array - Object array instance
+ * @param {number} limit - Maximum number of object IDs
+ * @returns {Array} Object IDs
+ */
+function sampleArray(array, limit) {
+  const result = [];
+  for (const elementId of array.elements) {
+    if (result.length >= limit) break;
+    if (elementId !== 0) result.push(elementId);
+  }
+  return result;
+}
+
+/**
+ * Keys of a hash table whose buckets chain entries through their next field
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object|null} table - Bucket array
+ * @param {number} limit - Maximum number of keys
+ * @returns {Array} Key object IDs (null keys are skipped)
+ */
+function sampleHashTable(heapData, table, limit) {
+  if (table?.type !== 'objectArray') return [];
+
+  const keys = [];
+  let steps = 0;
+  for (const bucketId of table.elements) {
+    let entry = bucketId ? heapData.instances.get(bucketId) : null;
+    // A ConcurrentHashMap TreeBin lists its entries from first
+    if (entry && getFieldValue(heapData, entry, 'first') !== undefined) {
+      const firstId = getFieldValue(heapData, entry, 'first');
+      entry = firstId ? heapData.instances.get(firstId) : null;
+    }
+    while (entry && keys.length < limit && steps++ < MAX_SAMPLE_STEPS) {
+      // WeakHashMap entries are weak references to their keys
+      const keyId = getFieldValue(heapData, entry, 'key') ?? getFieldValue(heapData, entry, 'referent');
+      if (keyId) keys.push(keyId);
+      const nextId = getFieldValue(heapData, entry, 'next');
+      entry = nextId ? heapData.instances.get(nextId) : null;
+    }
+    if (keys.length >= limit || steps >= MAX_SAMPLE_STEPS) break;
+  }
+  return keys;
+}
+
+/**
+ * Items of a linked list
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object|null} node - First node
+ * @param {string} itemField - Field holding each node's item
+ * @param {number} limit - Maximum number of items
+ * @returns {Array} Item object IDs
+ */
+function sampleLinkedNodes(heapData, node, itemField, limit) {
+  const items = [];
+  for (let steps = 0; node && items.length < limit && steps < MAX_SAMPLE_STEPS; steps++) {
+    const itemId = getFieldValue(heapData, node, itemField);
+    if (itemId) items.push(itemId);
+    const nextId = getFieldValue(heapData, node, 'next');
+    node = nextId ? heapData.instances.get(nextId) : null;
+  }
+  return items;
+}
+
+/**
+ * Keys of a TreeMap in ascending order (an in-order walk of its entries)
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object|null} root - Root entry
+ * @param {number} limit - Maximum number of keys
+ * @returns {Array} Key object IDs
+ */
+function sampleTree(heapData, root, limit) {
+  const keys = [];
+  const stack = [];
+  let entry = root;
+  let steps = 0;
+  const child = (node, name) => {
+    const objectId = getFieldValue(heapData, node, name);
+    return objectId ? heapData.instances.get(objectId) : null;
+  };
+
+  while ((entry || stack.length > 0) && keys.length < limit && steps++ < MAX_SAMPLE_STEPS) {
+    if (entry) {
+      stack.push(entry);
+      entry = child(entry, 'left');
+    } else {
+      entry = stack.pop();
+      const keyId = getFieldValue(heapData, entry, 'key');
+      if (keyId) keys.push(keyId);
+      entry = child(entry, 'right');
+    }
+  }
+  return keys;
+}
+
+/**
+ * Size of an ArrayDeque: the distance from head to tail around its circular array
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} instance - ArrayDeque instance
+ * @returns {number|null} Size
+ */
+function getArrayDequeSize(heapData, instance) {
+  const head = getFieldValue(heapData, instance, 'head');
+  const tail = getFieldValue(heapData, instance, 'tail');
+  const elementsId = getFieldValue(heapData, instance, 'elements');
+  const elements = elementsId ? heapData.instances.get(elementsId) : null;
+  if (typeof head !== 'number' || typeof tail !== 'number' || elements?.type !== 'objectArray') {
+    return null;
+  }
+
+  // Deques grow before their array fills, so head === tail means empty
+  const length = elements.elements.length;
+  return length === 0 ? 0 : ((tail - head) % length + length) % length;
+}
+
+/**
+ * Size of a ConcurrentHashMap: baseCount plus the counter cells that take
+ * increments under contention
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} instance - ConcurrentHashMap instance
+ * @returns {number|null} Size
+ */
+function getConcurrentHashMapSize(heapData, instance) {
+  const baseCount = getFieldValue(heapData, instance, 'baseCount');
+  if (baseCount === undefined) {
+    // Java 7 and earlier keep counts in segments
+    return null;
+  }
+
+  return Number(baseCount) + sumCounterCells(heapData, getFieldValue(heapData, instance, 'counterCells'));
+}
+
+/**
+ * Size of a ConcurrentSkipListMap. JDK 14 and later count entries in a
+ * LongAdder, created on the first insertion; older JDKs have no counter, so
+ * the entries are counted along the base-level node list.
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} instance - ConcurrentSkipListMap instance
+ * @returns {number|null} Size
+ */
+function getConcurrentSkipListMapSize(heapData, instance) {
+  const adderId = getFieldValue(heapData, instance, 'adder');
+  const adder = adderId ? heapData.instances.get(adderId) : null;
+  if (adder) {
+    const base = getFieldValue(heapData, adder, 'base');
+    if (base === undefined) return null;
+    return Number(base) + sumCounterCells(heapData, getFieldValue(heapData, adder, 'cells'));
+  }
+
+  // The head index points at the base-level list, led by a marker without key
+  const headId = getFieldValue(heapData, instance, 'head');
+  const head = headId ? heapData.instances.get(headId) : null;
+  if (!head) return adderId === null ? 0 : null;
+
+  let nodeId = getFieldValue(heapData, head, 'node');
+  let size = 0;
+  // Bounded by the object count, against corrupt cycles
+  for (let steps = 0; nodeId && steps < heapData.instances.size; steps++) {
+    const node = heapData.instances.get(nodeId);
+    if (!node) break;
+    // Deleted nodes have a null value; JDK 8 marks them with nodes whose value is themselves
+    const key = getFieldValue(heapData, node, 'key');
+    const value = getFieldValue(heapData, node, 'val') ?? getFieldValue(heapData, node, 'value');
+    if (key && value && value !== nodeId) size++;
+    nodeId = getFieldValue(heapData, node, 'next');
+  }
+  return size;
+}
+
+/**
+ * Sum the value fields of a ConcurrentHashMap or Striped64 counter cell array
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number|bigint|null|undefined} cellsId - Cell array object ID
+ * @returns {number} Sum, 0 without cells
+ */
+function sumCounterCells(heapData, cellsId) {
+  const cells = cellsId ? heapData.instances.get(cellsId) : null;
+  if (cells?.type !== 'objectArray') return 0;
+
+  let sum = 0;
+  for (const cellId of cells.elements) {
+    const cell = cellId ? heapData.instances.get(cellId) : null;
+    const value = cell ? getFieldValue(heapData, cell, 'value') : undefined;
+    if (value !== undefined) sum += Number(value);
+  }
+  return sum;
+}
+
+export default getCollectionSize;
@@ -0,0 +1,272 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getCollectionSize,
+  getCollectionStorage,
+  getCollectionSample,
+  isMapCollection
+} from './collectionDecoder.js';
+import { getFieldLayout } from './fieldDecoder.js';
+import { BASIC_TYPE_CODES } from './hprofTypes.js';
+
+const { OBJECT, INT, LONG } = BASIC_TYPE_CODES;
+
+/**
+ * Build heap data from class declarations and instances, encoding field
+ * values the way INSTANCE_DUMP records lay them out
+ * @param {Array} classes - [name, superName, [[fieldName, type], ...]]
+ * @param {Function} build - Called with { instance, array, setField } to add objects
+ * @returns {Object} Heap data with 4-byte object IDs
+ */
+function buildHeap(classes, build) {
+  const heapData = { identifierSize: 4, classes: new Map(), instances: new Map() };
+  const classIds = new Map();
+  classes.forEach(([name, superName, fields], index) => {
+    const classObjectId = 0x100 + index;
+    classIds.set(name, classObjectId);
+    heapData.classes.set(classObjectId, {
+      classObjectId,
+      name,
+      superClassObjectId: superName ? classIds.get(superName) : 0,
+      instanceFields: fields.map(([fieldName, type]) => ({ name: fieldName, type }))
+    });
+  });
+
+  const setField = (objectId, fieldName, value) => {
+    const { classObjectId, data } = heapData.instances.get(objectId);
+    const field = getFieldLayout(heapData, classObjectId).byName.get(fieldName);
+    const view = new DataView(data.buffer);
+    if (field.type === LONG) view.setBigInt64(field.offset, BigInt(value));
+    else view.setUint32(field.offset, value);
+  };
+
+  let nextId = 0x1000;
+  const instance = (className, values = {}) => {
+    const objectId = nextId++;
+    const classObjectId = classIds.get(className);
+    const { size } = getFieldLayout(heapData, classObjectId);
+    heapData.instances.set(objectId, { classObjectId, size, data: new Uint8Array(size) });
+    for (const [fieldName, value] of Object.entries(values)) {
+      setField(objectId, fieldName, value);
+    }
+    return objectId;
+  };
+  const array = (elements) => {
+    const objectId = nextId++;
+    heapData.instances.set(objectId, { type: 'objectArray', classObjectId: 0, elements, size: 0 });
+    return objectId;
+  };
+
+  build({ instance, array, setField });
+  return heapData;
+}
+
+// Classes shared by the JDK layouts below
+const COMMON_CLASSES = [
+  ['java.lang.Object', null, []],
+  ['java.util.AbstractMap', 'java.lang.Object', [['keySet', OBJECT], ['values', OBJECT]]]
+];
+
+// JDK 17: entries are counted by a LongAdder (Striped64 base plus cells)
+const JDK17_CLASSES = [
+  ...COMMON_CLASSES,
+  ['java.lang.Number', 'java.lang.Object', []],
+  ['java.util.concurrent.atomic.Striped64', 'java.lang.Number', [['cells', OBJECT], ['base', LONG], ['cellsBusy', INT]]],
+  ['java.util.concurrent.atomic.LongAdder', 'java.util.concurrent.atomic.Striped64', []],
+  ['java.util.concurrent.atomic.Striped64$Cell', 'java.lang.Object', [['value', LONG]]],
+  ['java.util.concurrent.ConcurrentSkipListMap$Index', 'java.lang.Object', [['node', OBJECT], ['down', OBJECT], ['right', OBJECT]]],
+  ['java.util.concurrent.ConcurrentSkipListMap$Node', 'java.lang.Object', [['key', OBJECT], ['val', OBJECT], ['next', OBJECT]]],
+  ['java.util.concurrent.ConcurrentSkipListMap', 'java.util.AbstractMap', [
+    ['comparator', OBJECT], ['head', OBJECT], ['adder', OBJECT], ['keySet', OBJECT],
+    ['values', OBJECT], ['entrySet', OBJECT], ['descendingMap', OBJECT]
+  ]],
+  ['java.util.AbstractCollection', 'java.lang.Object', []],
+  ['java.util.AbstractSet', 'java.util.AbstractCollection', []],
+  ['java.util.concurrent.ConcurrentSkipListSet', 'java.util.AbstractSet', [['m', OBJECT]]]
+];
+
+// JDK 8: no counter; HeadIndex leads the index levels
+const JDK8_CLASSES = [
+  ...COMMON_CLASSES,
+  ['java.util.concurrent.ConcurrentSkipListMap$Index', 'java.lang.Object', [['node', OBJECT], ['down', OBJECT], ['right', OBJECT]]],
+  ['java.util.concurrent.ConcurrentSkipListMap$HeadIndex', 'java.util.concurrent.ConcurrentSkipListMap$Index', [['level', INT]]],
+  ['java.util.concurrent.ConcurrentSkipListMap$Node', 'java.lang.Object', [['key', OBJECT], ['value', OBJECT], ['next', OBJECT]]],
+  ['java.util.concurrent.ConcurrentSkipListMap', 'java.util.AbstractMap', [
+    ['head', OBJECT], ['comparator', OBJECT], ['keySet', OBJECT],
+    ['entrySet', OBJECT], ['values', OBJECT], ['descendingMap', OBJECT]
+  ]]
+];
+
+test('ConcurrentSkipListMap size sums the LongAdder base and cells on JDK 14+', () => {
+  let mapId;
+  let setId;
+  const heapData = buildHeap(JDK17_CLASSES, ({ instance, array }) => {
+    const cells = array([
+      instance('java.util.concurrent.atomic.Striped64$Cell', { value: 2 }),
+      0,
+      instance('java.util.concurrent.atomic.Striped64$Cell', { value: 1 })
+    ]);
+    const adder = instance('java.util.concurrent.atomic.LongAdder', { base: 3, cells });
+    const node = instance('java.util.concurrent.ConcurrentSkipListMap$Node');
+    const head = instance('java.util.concurrent.ConcurrentSkipListMap$Index', { node });
+    mapId = instance('java.util.concurrent.ConcurrentSkipListMap', { head, adder });
+    setId = instance('java.util.concurrent.ConcurrentSkipListSet', { m: mapId });
+  });
+
+  assert.equal(getCollectionSize(heapData, heapData.instances.get(mapId)), 6);
+  assert.equal(getCollectionSize(heapData, heapData.instances.get(setId)), 6);
+});
+
+test('ConcurrentSkipListMap without an adder yet is empty on JDK 14+', () => {
+  let mapId;
+  const heapData = buildHeap(JDK17_CLASSES, ({ instance }) => {
+    mapId = instance('java.util.concurrent.ConcurrentSkipListMap');
+  });
+
+  assert.equal(getCollectionSize(heapData, heapData.instances.get(mapId)), 0);
+});
+
+test('ConcurrentSkipListMap size counts live base-level nodes on JDK 8', () => {
+  let mapId;
+  const heapData = buildHeap(JDK8_CLASSES, ({ instance, setField }) => {
+    const Node = 'java.util.concurrent.ConcurrentSkipListMap$Node';
+    const key = () => instance('java.lang.Object');
+    const last = instance(Node, { key: key(), value: key() });
+    // A removed node is followed by a marker node whose value is itself
+    const marker = instance(Node, { next: last });
+    setField(marker, 'value', marker);
+    const removed = instance(Node, { key: key(), next: marker });
+    const first = instance(Node, { key: key(), value: key(), next: removed });
+    const header = instance(Node, { value: key(), next: first });
+    const head = instance('java.util.concurrent.ConcurrentSkipListMap$HeadIndex', { node: header, level: 1 });
+    mapId = instance('java.util.concurrent.ConcurrentSkipListMap', { head });
+  });
+
+  assert.equal(getCollectionSize(heapData, heapData.instances.get(mapId)), 2);
+});
+
+// JDK 17 layouts of the array-backed collections
+const COLLECTION_CLASSES = [
+  ...COMMON_CLASSES,
+  ['java.util.AbstractCollection', 'java.lang.Object', []],
+  ['java.util.AbstractList', 'java.util.AbstractCollection', [['modCount', INT]]],
+  ['java.util.ArrayList', 'java.util.AbstractList', [['size', INT], ['elementData', OBJECT]]],
+  ['com.example.UserList', 'java.util.ArrayList', [['owner', OBJECT]]],
+  ['java.util.HashMap', 'java.util.AbstractMap', [
+    ['entrySet', OBJECT], ['loadFactor', INT], ['modCount', INT], ['size', INT], ['table', OBJECT], ['threshold', INT]
+  ]],
+  ['java.util.LinkedHashMap', 'java.util.HashMap', [['accessOrder', INT], ['head', OBJECT], ['tail', OBJECT]]],
+  ['java.util.HashMap$Node', 'java.lang.Object', [['hash', INT], ['key', OBJECT], ['next', OBJECT], ['value', OBJECT]]],
+  ['java.util.AbstractSet', 'java.util.AbstractCollection', []],
+  ['java.util.HashSet', 'java.util.AbstractSet', [['map', OBJECT]]],
+  ['java.util.Collections$UnmodifiableMap', 'java.lang.Object', [['m', OBJECT]]],
+  ['java.util.IdentityHashMap', 'java.util.AbstractMap', [['table', OBJECT], ['size', INT], ['modCount', INT]]],
+  ['java.util.ArrayDeque', 'java.util.AbstractCollection', [['elements', OBJECT], ['head', INT], ['tail', INT]]],
+  ['java.util.concurrent.CopyOnWriteArrayList', 'java.lang.Object', [['lock', OBJECT], ['array', OBJECT]]],
+  ['java.util.concurrent.ConcurrentHashMap', 'java.util.AbstractMap', [
+    ['table', OBJECT], ['nextTable', OBJECT], ['baseCount', LONG], ['sizeCtl', INT], ['counterCells', OBJECT]
+  ]],
+  ['java.util.concurrent.ConcurrentHashMap$CounterCell', 'java.lang.Object', [['value', LONG]]]
+];
+
+const sizeOf = (heapData, objectId) => getCollectionSize(heapData, heapData.instances.get(objectId));
+
+test('sizes follow size fields, subclasses, sets and wrappers', () => {
+  const ids = {};
+  const heapData = buildHeap(COLLECTION_CLASSES, ({ instance, array }) => {
+    const element = instance('java.lang.Object');
+    ids.list = instance('java.util.ArrayList', { size: 2, elementData: array([element, element, 0, 0]) });
+    ids.userList = instance('com.example.UserList', { size: 1 });
+    ids.map = instance('java.util.LinkedHashMap', { size: 7 });
+    ids.set = instance('java.util.HashSet', { map: ids.map });
+    ids.unmodifiable = instance('java.util.Collections$UnmodifiableMap', { m: ids.map });
+    ids.copyOnWrite = instance('java.util.concurrent.CopyOnWriteArrayList', { array: array([element, element, element]) });
+    ids.emptySet = instance('java.util.HashSet');
+    ids.object = element;
+  });
+
+  assert.deepEqual(
+    ['list', 'userList', 'map', 'set', 'unmodifiable', 'copyOnWrite'].map(name => sizeOf(heapData, ids[name])),
+    [2, 1, 7, 7, 7, 3]
+  );
+  assert.equal(sizeOf(heapData, ids.emptySet), null);
+  assert.equal(sizeOf(heapData, ids.object), null);
+  assert.equal(isMapCollection(heapData, heapData.instances.get(ids.unmodifiable)), true);
+  assert.equal(isMapCollection(heapData, heapData.instances.get(ids.set)), false);
+});
+
+test('ArrayDeque size is the distance from head to tail around its array', () => {
+  const ids = [];
+  const heapData = buildHeap(COLLECTION_CLASSES, ({ instance, array }) => {
+    const elements = array(new Array(8).fill(0));
+    for (const [head, tail] of [[6, 2], [1, 4], [5, 5]]) {
+      ids.push(instance('java.util.ArrayDeque', { elements, head, tail }));
+    }
+    ids.push(instance('java.util.ArrayDeque'));
+  });
+
+  assert.deepEqual(ids.map(objectId => sizeOf(heapData, objectId)), [4, 3, 0, null]);
+});
+
+test('ConcurrentHashMap size adds its counter cells to baseCount', () => {
+  let mapId;
+  const heapData = buildHeap(COLLECTION_CLASSES, ({ instance, array }) => {
+    const counterCells = array([
+      instance('java.util.concurrent.ConcurrentHashMap$CounterCell', { value: 2 }),
+      0,
+      instance('java.util.concurrent.ConcurrentHashMap$CounterCell', { value: 3 })
+    ]);
+    mapId = instance('java.util.concurrent.ConcurrentHashMap', { baseCount: 5, counterCells });
+  });
+
+  assert.equal(sizeOf(heapData, mapId), 10);
+});
+
+test('storage capacity counts entries, and a lazily allocated table has none', () => {
+  const ids = {};
+  const heapData = buildHeap(COLLECTION_CLASSES, ({ instance, array }) => {
+    const key = instance('java.lang.Object');
+    ids.table = array([key, key, 0, 0, 0, 0, 0, 0]);
+    ids.identityMap = instance('java.util.IdentityHashMap', { table: ids.table, size: 1 });
+    ids.map = instance('java.util.HashMap');
+    ids.set = instance('java.util.HashSet', { map: ids.map });
+  });
+  const storageOf = objectId => getCollectionStorage(heapData, heapData.instances.get(objectId));
+
+  // IdentityHashMap keeps keys and values in alternate slots
+  assert.deepEqual(storageOf(ids.identityMap), {
+    collectionClass: 'java.util.IdentityHashMap',
+    size: 1,
+    capacity: 4,
+    slotsPerEntry: 2,
+    storageId: ids.table
+  });
+  assert.deepEqual(storageOf(ids.map), {
+    collectionClass: 'java.util.HashMap',
+    size: 0,
+    capacity: 0,
+    slotsPerEntry: 1,
+    storageId: null
+  });
+  // Sets are measured through their map
+  assert.equal(storageOf(ids.set), null);
+});
+
+test('samples skip empty slots and walk hash bucket chains', () => {
+  const ids = {};
+  const keys = [];
+  const heapData = buildHeap(COLLECTION_CLASSES, ({ instance, array }) => {
+    for (let i = 0; i < 3; i++) keys.push(instance('java.lang.Object'));
+    ids.list = instance('java.util.ArrayList', { size: 3, elementData: array([keys[0], 0, keys[1], keys[2]]) });
+
+    const Node = 'java.util.HashMap$Node';
+    const chain = instance(Node, { key: keys[0], next: instance(Node, { key: keys[1] }) });
+    const table = array([0, chain, 0, instance(Node, { key: keys[2] })]);
+    ids.set = instance('java.util.HashSet', { map: instance('java.util.HashMap', { size: 3, table }) });
+  });
+  const sampleOf = (objectId, limit) => getCollectionSample(heapData, heapData.instances.get(objectId), limit);
+
+  assert.deepEqual(sampleOf(ids.list, 5), keys);
+  assert.deepEqual(sampleOf(ids.list, 2), keys.slice(0, 2));
+  assert.deepEqual(sampleOf(ids.set, 5), keys);
+});
@@ -0,0 +1,246 @@
+/**
+ * Field Decoder
+ *
+ * Decodes the raw field bytes of an INSTANCE_DUMP into named, typed values.
+ *
+ * An instance's data holds the values of its class's own instance fields,
+ * followed by those of its superclass, and so on up to java.lang.Object.
+ * The layout is built by walking superClassObjectId and cached per class.
+ *
+ * Object references are returned as canonical object IDs (see objectId.js),
+ * with null for null references.
+ */
+
+import { combineIdWords } from './objectId.js';
+import { BASIC_TYPE_CODES, BASIC_TYPE_NAMES, BASIC_TYPE_SIZES, getLong } from './hprofTypes.js';
+
+// heapData -> Map of classObjectId -> field layout
+const layoutCache = new WeakMap();
+
+/**
+ * Get the field layout of a class, including inherited fields
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {number|bigint} classObjectId - Class object ID
+ * @returns {Object} { fields, byName, size } where fields are
+ *   { name, type, offset, declaringClassId } in data order and byName maps a
+ *   name to the most-derived field with that name
+ */
+export function getFieldLayout(heapData, classObjectId) {
+  let layouts = layoutCache.get(heapData);
+  if (!layouts) {
+    layouts = new Map();
+    layoutCache.set(heapData, layouts);
+  }
+
+  let layout = layouts.get(classObjectId);
+  if (layout) return layout;
+
+  const fields = [];
+  const byName = new Map();
+  const visited = new Set();
+  let offset = 0;
+  let classInfo = heapData.classes.get(classObjectId);
+
+  // Subclass fields come first; `visited` guards against corrupt superclass cycles
+  while (classInfo && !visited.has(classInfo.classObjectId)) {
+    visited.add(classInfo.classObjectId);
+
+    for (const field of classInfo.instanceFields || []) {
+      const entry = {
+        name: field.name,
+        type: field.type,
+        offset,
+        declaringClassId: classInfo.classObjectId
+      };
+      fields.push(entry);
+      if (!byName.has(field.name)) {
+        byName.set(field.name, entry);
+      }
+      offset += getTypeSize(field.type, heapData.identifierSize);
+    }
+
+    classInfo = classInfo.superClassObjectId
+      ? heapData.classes.get(classInfo.superClassObjectId)
+      : null;
+  }
+
+  layout = { fields, byName, size: offset };
+  layouts.set(classObjectId, layout);
+  return layout;
+}
+
+/**
+ * Decode every field of an instance
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} instance - Instance from heapData.instances
+ * @returns {Array} Fields as { name, type, typeName, value, declaringClass };
+ *   empty for arrays
+ */
+export function decodeInstanceFields(heapData, instance) {
+  if (instance.type || !instance.data) return [];
+
+  const layout = getFieldLayout(heapData, instance.classObjectId);
+  const view = toDataView(instance.data);
+  const result = [];
+
+  for (const field of layout.fields) {
+    // Stop at truncated records rather than reading past the data
+    if (field.offset + getTypeSize(field.type, heapData.identifierSize) > view.byteLength) break;
+
+    result.push({
+      name: field.name,
+      type: field.type,
+      typeName: BASIC_TYPE_NAMES[field.type],
+      value: readFieldValue(view, field.offset, field.type, heapData.identifierSize),
+      declaringClass: heapData.classes.get(field.declaringClassId)?.name || 'Unknown'
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Read a single field of an instance by name
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} instance - Instance from heapData.instances
+ * @param {string} fieldName - Field name (the most-derived field wins when shadowed)
+ * @returns {*} The value, or undefined when the instance has no such field
+ */
+export function getFieldValue(heapData, instance, fieldName) {
+  if (instance.type || !instance.data) return undefined;
+
+  const field = getFieldLayout(heapData, instance.classObjectId).byName.get(fieldName);
+  if (!field) return undefined;
+
+  const view = toDataView(instance.data);
+  if (field.offset + getTypeSize(field.type, heapData.identifierSize) > view.byteLength) {
+    return undefined;
+  }
+  return readFieldValue(view, field.offset, field.type, heapData.identifierSize);
+}
+
+/**
+ * Visit the objects an instance or object array refers to. Nothing is
+ * allocated per reference, as the object graph visits every object in the dump.
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} instance - Instance from heapData.instances
+ * @param {Function} visit - Called with (objectId, fieldName, index) for each
+ *   non-null reference, in data order; fieldName is null for array elements
+ *   and index is -1 for fields
+ */
+export function forEachReference(heapData, instance, visit) {
+  if (instance.type === 'objectArray') {
+    const { elements } = instance;
+    for (let index = 0; index < elements.length; index++) {
+      if (elements[index] !== 0) visit(elements[index], null, index);
+    }
+    return;
+  }
+
+  if (instance.type || !instance.data) return;
+
+  const layout = getFieldLayout(heapData, instance.classObjectId);
+  const view = toDataView(instance.data);
+  for (const field of layout.fields) {
+    if (field.type !== BASIC_TYPE_CODES.OBJECT) continue;
+    if (field.offset + heapData.identifierSize > view.byteLength) break;
+
+    const objectId = readFieldValue(view, field.offset, field.type, heapData.identifierSize);
+    if (objectId !== null) visit(objectId, field.name, -1);
+  }
+}
+
+/**
+ * Decode elements of a primitive array from the bytes kept by the parser
+ * @param {Object} instance - Primitive array from heapData.instances
+ * @param {number} start - Index of the first element
+ * @param {number} count - Maximum number of elements
+ * @returns {Object} { values, availableLength } where availableLength is the
+ *   number of leading elements whose bytes were kept (0 when none were)
+ */
+export function getPrimitiveArrayElements(instance, start, count) {
+  const elementSize = BASIC_TYPE_SIZES[instance.elementType];
+  const availableLength = instance.data
+    ? Math.min(instance.length, Math.floor(instance.data.byteLength / elementSize))
+    : 0;
+
+  const values = [];
+  if (availableLength > 0) {
+    const view = toDataView(instance.data);
+    const end = Math.min(start + count, availableLength);
+    for (let index = start; index < end; index++) {
+      values.push(readFieldValue(view, index * elementSize, instance.elementType, 0));
+    }
+  }
+  return { values, availableLength };
+}
+
+/**
+ * Get the static fields of a class with their type names
+ * @param {Object} classInfo - Class from heapData.classes
+ * @returns {Array} Fields as { name, type, typeName, value }
+ */
+export function getStaticFields(classInfo) {
+  return (classInfo.staticFields || []).map(field => ({
+    name: field.name,
+    type: field.type,
+    typeName: BASIC_TYPE_NAMES[field.type],
+    value: field.type === BASIC_TYPE_CODES.OBJECT && field.value === 0 ? null : field.value
+  }));
+}
+
+/**
+ * Size in bytes of a value of a basic type
+ * @param {number} type - Basic type code
+ * @param {number} identifierSize - Size of object IDs in this dump
+ * @returns {number} Size in bytes
+ */
+export function getTypeSize(type, identifierSize) {
+  return type === BASIC_TYPE_CODES.OBJECT ? identifierSize : BASIC_TYPE_SIZES[type];
+}
+
+/**
+ * Read a value of a basic type from field data
+ * @param {DataView} view - Field data
+ * @param {number} offset - Byte offset of the value
+ * @param {number} type - Basic type code
+ * @param {number} identifierSize - Size of object IDs in this dump
+ * @returns {*} The decoded value
+ */
+function readFieldValue(view, offset, type, identifierSize) {
+  switch (type) {
+    case BASIC_TYPE_CODES.OBJECT: {
+      const id = identifierSize === 8
+        ? combineIdWords(view.getUint32(offset), view.getUint32(offset + 4))
+        : view.getUint32(offset);
+      return id === 0 ? null : id;
+    }
+    case BASIC_TYPE_CODES.BOOLEAN:
+      return view.getUint8(offset) !== 0;
+    case BASIC_TYPE_CODES.CHAR:
+      return String.fromCharCode(view.getUint16(offset));
+    case BASIC_TYPE_CODES.FLOAT:
+      return view.getFloat32(offset);
+    case BASIC_TYPE_CODES.DOUBLE:
+      return view.getFloat64(offset);
+    case BASIC_TYPE_CODES.BYTE:
+      return view.getInt8(offset);
+    case BASIC_TYPE_CODES.SHORT:
+      return view.getInt16(offset);
+    case BASIC_TYPE_CODES.INT:
+      return view.getInt32(offset);
+    case BASIC_TYPE_CODES.LONG:
+      return getLong(view, offset);
+    default:
+      throw new Error(`Unknown type: ${type}`);
+  }
+}
+
+/**
+ * Wrap instance field bytes in a DataView
+ * @param {Uint8Array} data - Instance data
+ * @returns {DataView} View over the same bytes
+ */
+function toDataView(data) {
+  return new DataView(data.buffer, data.byteOffset, data.byteLength);
+}
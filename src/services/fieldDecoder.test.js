@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getFieldLayout,
+  decodeInstanceFields,
+  getFieldValue,
+  forEachReference
+} from './fieldDecoder.js';
+import { BASIC_TYPE_CODES } from './hprofTypes.js';
+
+const { OBJECT, INT, LONG, BOOLEAN } = BASIC_TYPE_CODES;
+
+const OBJECT_CLASS_ID = 0x100;
+const BASE_CLASS_ID = 0x101;
+const DERIVED_CLASS_ID = 0x102;
+
+/**
+ * Heap data with com.example.Derived extending com.example.Base, where both
+ * declare a `name` field
+ * @param {number} identifierSize - 4 or 8
+ * @returns {Object} Heap data
+ */
+function buildHeap(identifierSize) {
+  const classInfo = (classObjectId, name, superClassObjectId, fields) => [classObjectId, {
+    classObjectId,
+    name,
+    superClassObjectId,
+    instanceFields: fields.map(([fieldName, type]) => ({ name: fieldName, type }))
+  }];
+  return {
+    identifierSize,
+    classes: new Map([
+      classInfo(OBJECT_CLASS_ID, 'java.lang.Object', 0, []),
+      classInfo(BASE_CLASS_ID, 'com.example.Base', OBJECT_CLASS_ID, [['id', LONG], ['name', OBJECT]]),
+      classInfo(DERIVED_CLASS_ID, 'com.example.Derived', BASE_CLASS_ID, [
+        ['count', INT], ['name', OBJECT], ['enabled', BOOLEAN]
+      ])
+    ]),
+    instances: new Map()
+  };
+}
+
+/**
+ * A Derived instance with 4-byte IDs: count, Derived.name, enabled, then the
+ * inherited id and Base.name
+ * @returns {Object} Instance
+ */
+function derivedInstance() {
+  const data = new Uint8Array(21);
+  const view = new DataView(data.buffer);
+  view.setInt32(0, -5);
+  view.setUint32(4, 0x2000);
+  view.setUint8(8, 1);
+  view.setBigInt64(9, 1234567890123n);
+  view.setUint32(17, 0x3000);
+  return { classObjectId: DERIVED_CLASS_ID, size: data.length, data };
+}
+
+test('lays out own fields before inherited ones', () => {
+  const heapData = buildHeap(4);
+  const layout = getFieldLayout(heapData, DERIVED_CLASS_ID);
+
+  assert.deepEqual(
+    layout.fields.map(({ name, offset, declaringClassId }) => [name, offset, declaringClassId]),
+    [
+      ['count', 0, DERIVED_CLASS_ID],
+      ['name', 4, DERIVED_CLASS_ID],
+      ['enabled', 8, DERIVED_CLASS_ID],
+      ['id', 9, BASE_CLASS_ID],
+      ['name', 17, BASE_CLASS_ID]
+    ]
+  );
+  assert.equal(layout.size, 21);
+  assert.equal(layout.byName.get('name').declaringClassId, DERIVED_CLASS_ID);
+});
+
+test('object fields take the identifier size', () => {
+  const layout = getFieldLayout(buildHeap(8), DERIVED_CLASS_ID);
+  assert.deepEqual(layout.fields.map(field => field.offset), [0, 4, 12, 13, 21]);
+  assert.equal(layout.size, 29);
+});
+
+test('decodes fields in data order with their declaring class', () => {
+  const heapData = buildHeap(4);
+  const fields = decodeInstanceFields(heapData, derivedInstance());
+
+  assert.deepEqual(
+    fields.map(({ name, typeName, value, declaringClass }) => [name, typeName, value, declaringClass]),
+    [
+      ['count', 'int', -5, 'com.example.Derived'],
+      ['name', 'object', 0x2000, 'com.example.Derived'],
+      ['enabled', 'boolean', true, 'com.example.Derived'],
+      ['id', 'long', 1234567890123, 'com.example.Base'],
+      ['name', 'object', 0x3000, 'com.example.Base']
+    ]
+  );
+});
+
+test('reads the most-derived field when a name is shadowed', () => {
+  const heapData = buildHeap(4);
+  const instance = derivedInstance();
+
+  assert.equal(getFieldValue(heapData, instance, 'name'), 0x2000);
+  assert.equal(getFieldValue(heapData, instance, 'id'), 1234567890123);
+  assert.equal(getFieldValue(heapData, instance, 'missing'), undefined);
+});
+
+test('stops at truncated instance data', () => {
+  const heapData = buildHeap(4);
+  const instance = derivedInstance();
+  instance.data = instance.data.slice(0, 12);
+
+  assert.deepEqual(decodeInstanceFields(heapData, instance).map(field => field.name), ['count', 'name', 'enabled']);
+  assert.equal(getFieldValue(heapData, instance, 'id'), undefined);
+});
+
+/**
+ * Collect what forEachReference visits
+ * @returns {Array} [objectId, fieldName, index] per reference
+ */
+function collectReferences(heapData, instance) {
+  const references = [];
+  forEachReference(heapData, instance, (...reference) => references.push(reference));
+  return references;
+}
+
+test('visits references of inherited and shadowed fields', () => {
+  const heapData = buildHeap(4);
+  const instance = derivedInstance();
+
+  assert.deepEqual(collectReferences(heapData, instance), [[0x2000, 'name', -1], [0x3000, 'name', -1]]);
+
+  new DataView(instance.data.buffer).setUint32(4, 0);
+  assert.deepEqual(collectReferences(heapData, instance), [[0x3000, 'name', -1]]);
+});
+
+test('visits non-null array elements with their index', () => {
+  const array = { type: 'objectArray', classObjectId: 0, elements: [0, 0x2000, 0, 0x3000] };
+  assert.deepEqual(collectReferences(buildHeap(4), array), [[0x2000, null, 1], [0x3000, null, 3]]);
+});
@@ -0,0 +1,266 @@
+/**
+ * Heap Dump Files
+ *
+ * Turns the files a user selects into the list of heap dumps to analyze:
+ * - .hprof files are read as they are
+ * - .hprof.gz files (e.g. from -XX:HeapDumpGzipLevel) are decompressed on the fly
+ * - .zip archives are expanded into one heap dump per .hprof or .hprof.gz entry
+ *
+ * Each heap dump is described by a plain { name, blob, compression } object so it
+ * can be posted to the analysis worker, where openHeapDump turns it into a chunk
+ * reader for HprofParser. compression lists the DecompressionStream formats
+ * to undo, outermost first: a deflated .hprof.gz zip entry is inflated and
+ * then gunzipped. Nothing is extracted up front: zip entries are Blob slices
+ * of the archive.
+ */
+
+import { BlobChunkReader, DecompressingChunkReader } from './chunkReaders.js';
+
+// File names the uploader accepts
+const SUPPORTED_FILE_PATTERN = /\.(hprof|hprof\.gz|zip)$/i;
+
+// Zip entries that are loaded from an archive
+const ZIP_DUMP_ENTRY_PATTERN = /\.hprof(\.gz)?$/i;
+
+// Zip record signatures
+const ZIP_SIGNATURES = {
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+  ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR: 0x07064b50,
+  ZIP64_END_OF_CENTRAL_DIRECTORY: 0x06064b50,
+  CENTRAL_DIRECTORY_HEADER: 0x02014b50,
+  LOCAL_FILE_HEADER: 0x04034b50
+};
+
+// Zip compression methods
+const ZIP_METHODS = {
+  STORED: 0,
+  DEFLATED: 8
+};
+
+// End of central directory record: 22 bytes plus a comment of up to 65535 bytes
+const MAX_END_OF_CENTRAL_DIRECTORY_SIZE = 22 + 0xffff;
+
+/**
+ * Check whether a file name is one the analyser can load
+ * @param {string} fileName - File name
+ * @returns {boolean} True for .hprof, .hprof.gz and .zip files
+ */
+export function isSupportedHeapDumpFile(fileName) {
+  return SUPPORTED_FILE_PATTERN.test(fileName);
+}
+
+/**
+ * Expand selected files into heap dumps, opening zip archives
+ * @param {Array<File>} files - Files chosen by the user
+ * @returns {Promise<Array<Object>>} Heap dumps as { name, blob, compression }
+ */
+export async function expandHeapDumpFiles(files) {
+  const dumpFiles = [];
+
+  for (const file of files) {
+    const name = file.name.toLowerCase();
+
+    if (name.endsWith('.zip')) {
+      const entries = await readZipEntries(file);
+      // Skip macOS resource forks (__MACOSX/._heap.hprof)
+      const dumpEntries = entries.filter(entry =>
+        ZIP_DUMP_ENTRY_PATTERN.test(entry.name) && !entry.name.startsWith('__MACOSX/')
+      );
+      if (dumpEntries.length === 0) {
+        throw new Error(`${file.name} does not contain any .hprof or .hprof.gz files`);
+      }
+      for (const entry of dumpEntries) {
+        dumpFiles.push(await openZipEntry(file, entry));
+      }
+    } else if (name.endsWith('.gz')) {
+      dumpFiles.push({ name: file.name, blob: file, compression: ['gzip'] });
+    } else {
+      dumpFiles.push({ name: file.name, blob: file, compression: [] });
+    }
+  }
+
+  return dumpFiles;
+}
+
+/**
+ * Create the chunk reader HprofParser reads a heap dump through
+ * @param {Object} dumpFile - Heap dump from expandHeapDumpFiles
+ * @returns {BlobChunkReader|DecompressingChunkReader} Chunk reader
+ */
+export function openHeapDump(dumpFile) {
+  if (dumpFile.compression.length > 0) {
+    return new DecompressingChunkReader(dumpFile.blob, dumpFile.compression);
+  }
+  return new BlobChunkReader(dumpFile.blob);
+}
+
+/**
+ * Read the central directory of a zip archive
+ * @param {Blob} zip - The archive
+ * @returns {Promise<Array<Object>>} Entries as { name, method, compressedSize, localHeaderOffset, encrypted }
+ */
+async function readZipEntries(zip) {
+  const { entryCount, directoryOffset, directorySize } = await readEndOfCentralDirectory(zip);
+  const directory = await readView(zip, directoryOffset, directorySize);
+  const textDecoder = new TextDecoder('utf-8');
+  const entries = [];
+
+  let position = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.getUint32(position, true) !== ZIP_SIGNATURES.CENTRAL_DIRECTORY_HEADER) {
+      throw new Error(`${zip.name}: corrupt zip central directory`);
+    }
+
+    const flags = directory.getUint16(position + 8, true);
+    const method = directory.getUint16(position + 10, true);
+    let compressedSize = directory.getUint32(position + 20, true);
+    let uncompressedSize = directory.getUint32(position + 24, true);
+    const nameLength = directory.getUint16(position + 28, true);
+    const extraLength = directory.getUint16(position + 30, true);
+    const commentLength = directory.getUint16(position + 32, true);
+    let localHeaderOffset = directory.getUint32(position + 42, true);
+
+    const nameStart = position + 46;
+    const name = textDecoder.decode(
+      new Uint8Array(directory.buffer, directory.byteOffset + nameStart, nameLength)
+    );
+
+    // ZIP64 extended information holds the real values of any field set to 0xFFFFFFFF
+    let extraPosition = nameStart + nameLength;
+    const extraEnd = extraPosition + extraLength;
+    while (extraPosition + 4 <= extraEnd) {
+      const headerId = directory.getUint16(extraPosition, true);
+      const dataSize = directory.getUint16(extraPosition + 2, true);
+      if (headerId === 0x0001) {
+        let fieldPosition = extraPosition + 4;
+        if (uncompressedSize === 0xffffffff) {
+          uncompressedSize = getUint64(directory, fieldPosition);
+          fieldPosition += 8;
+        }
+        if (compressedSize === 0xffffffff) {
+          compressedSize = getUint64(directory, fieldPosition);
+          fieldPosition += 8;
+        }
+        if (localHeaderOffset === 0xffffffff) {
+          localHeaderOffset = getUint64(directory, fieldPosition);
+        }
+      }
+      extraPosition += 4 + dataSize;
+    }
+
+    entries.push({
+      name,
+      method,
+      compressedSize,
+      localHeaderOffset,
+      encrypted: (flags & 0x1) !== 0
+    });
+
+    position = extraEnd + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Locate the central directory through the (ZIP64) end of central directory record
+ * @param {Blob} zip - The archive
+ * @returns {Promise<Object>} { entryCount, directoryOffset, directorySize }
+ */
+async function readEndOfCentralDirectory(zip) {
+  const tailStart = Math.max(0, zip.size - MAX_END_OF_CENTRAL_DIRECTORY_SIZE);
+  const tail = await readView(zip, tailStart, zip.size - tailStart);
+
+  // The record sits at the end of the file, followed only by its comment
+  let recordPosition = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === ZIP_SIGNATURES.END_OF_CENTRAL_DIRECTORY) {
+      recordPosition = i;
+      break;
+    }
+  }
+  if (recordPosition < 0) {
+    throw new Error(`${zip.name} is not a valid zip archive`);
+  }
+
+  const entryCount = tail.getUint16(recordPosition + 10, true);
+  const directorySize = tail.getUint32(recordPosition + 12, true);
+  const directoryOffset = tail.getUint32(recordPosition + 16, true);
+
+  const locatorPosition = recordPosition - 20;
+  const isZip64 = locatorPosition >= 0 &&
+    tail.getUint32(locatorPosition, true) === ZIP_SIGNATURES.ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR;
+  if (!isZip64) {
+    return { entryCount, directoryOffset, directorySize };
+  }
+
+  const zip64RecordOffset = getUint64(tail, locatorPosition + 8);
+  const zip64Record = await readView(zip, zip64RecordOffset, 56);
+  if (zip64Record.getUint32(0, true) !== ZIP_SIGNATURES.ZIP64_END_OF_CENTRAL_DIRECTORY) {
+    throw new Error(`${zip.name}: corrupt ZIP64 end of central directory`);
+  }
+
+  return {
+    entryCount: getUint64(zip64Record, 32),
+    directorySize: getUint64(zip64Record, 40),
+    directoryOffset: getUint64(zip64Record, 48)
+  };
+}
+
+/**
+ * Describe a zip entry as a heap dump backed by a slice of the archive
+ * @param {Blob} zip - The archive
+ * @param {Object} entry - Entry from readZipEntries
+ * @returns {Promise<Object>} Heap dump as { name, blob, compression }
+ */
+async function openZipEntry(zip, entry) {
+  if (entry.encrypted) {
+    throw new Error(`${zip.name}: ${entry.name} is encrypted`);
+  }
+
+  const compression = [];
+  if (entry.method === ZIP_METHODS.DEFLATED) {
+    compression.push('deflate-raw');
+  } else if (entry.method !== ZIP_METHODS.STORED) {
+    throw new Error(`${zip.name}: ${entry.name} uses unsupported compression method ${entry.method}`);
+  }
+
+  // The local header's name and extra field lengths can differ from the central directory's
+  const localHeader = await readView(zip, entry.localHeaderOffset, 30);
+  if (localHeader.getUint32(0, true) !== ZIP_SIGNATURES.LOCAL_FILE_HEADER) {
+    throw new Error(`${zip.name}: corrupt local header for ${entry.name}`);
+  }
+  const dataOffset = entry.localHeaderOffset + 30 +
+    localHeader.getUint16(26, true) + localHeader.getUint16(28, true);
+
+  if (entry.name.toLowerCase().endsWith('.gz')) {
+    compression.push('gzip');
+  }
+
+  return {
+    name: `${zip.name}/${entry.name}`,
+    blob: zip.slice(dataOffset, dataOffset + entry.compressedSize),
+    compression
+  };
+}
+
+/**
+ * Read a range of a blob into a DataView
+ * @param {Blob} blob - Source blob
+ * @param {number} offset - Start offset
+ * @param {number} length - Number of bytes
+ * @returns {Promise<DataView>} View over the bytes
+ */
+async function readView(blob, offset, length) {
+  return new DataView(await blob.slice(offset, offset + length).arrayBuffer());
+}
+
+/**
+ * Read a little-endian unsigned 64-bit value (exact up to 2^53)
+ * @param {DataView} view - Source view
+ * @param {number} position - Byte position
+ * @returns {number} The value
+ */
+function getUint64(view, position) {
+  return view.getUint32(position + 4, true) * 0x100000000 + view.getUint32(position, true);
+}
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandHeapDumpFiles, openHeapDump } from './heapDumpFiles.js';
+
+/**
+ * Compress bytes with a CompressionStream format
+ * @param {Uint8Array} bytes - Data to compress
+ * @param {string} format - 'gzip' or 'deflate-raw'
+ * @returns {Promise<Uint8Array>} Compressed bytes
+ */
+async function compress(bytes, format) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Write a zip archive; CRCs are left 0 since the loader does not check them
+ * @param {string} name - Archive file name
+ * @param {Array} entries - [name, data, method] with method 0 (stored) or 8
+ *   (data already deflated)
+ * @returns {File} The archive
+ */
+function writeZip(name, entries) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const [entryName, data, method] of entries) {
+    const nameBytes = encoder.encode(entryName);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(8, method, true);
+    local.setUint32(18, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(local, nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(10, method, true);
+    central.setUint32(20, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    directory.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new File([...parts, ...directory, end], name);
+}
+
+/**
+ * Read a heap dump through the chunk reader the parser would use
+ * @param {Object} dumpFile - Heap dump from expandHeapDumpFiles
+ * @returns {Promise<string>} Its decompressed content
+ */
+async function readDump(dumpFile) {
+  const { buffer } = await openHeapDump(dumpFile).read(0, 1 << 20);
+  return new TextDecoder().decode(buffer);
+}
+
+test('expands .hprof and .hprof.gz zip entries, stored or deflated', async () => {
+  const encoder = new TextEncoder();
+  const dump = (label) => encoder.encode(`JAVA PROFILE 1.0.2 ${label}`);
+  const zip = writeZip('bundle.zip', [
+    ['readme.txt', encoder.encode('not a dump'), 0],
+    ['dumps/a.hprof', dump('a'), 0],
+    ['dumps/b.hprof', await compress(dump('b'), 'deflate-raw'), 8],
+    ['dumps/c.hprof.gz', await compress(dump('c'), 'gzip'), 0],
+    ['dumps/d.HPROF.GZ', await compress(await compress(dump('d'), 'gzip'), 'deflate-raw'), 8],
+    ['__MACOSX/dumps/._a.hprof', encoder.encode('resource fork'), 0]
+  ]);
+
+  const dumpFiles = await expandHeapDumpFiles([zip]);
+  assert.deepEqual(dumpFiles.map(({ name, compression }) => [name, compression]), [
+    ['bundle.zip/dumps/a.hprof', []],
+    ['bundle.zip/dumps/b.hprof', ['deflate-raw']],
+    ['bundle.zip/dumps/c.hprof.gz', ['gzip']],
+    ['bundle.zip/dumps/d.HPROF.GZ', ['deflate-raw', 'gzip']]
+  ]);
+  assert.deepEqual(await Promise.all(dumpFiles.map(readDump)), ['a', 'b', 'c', 'd'].map(label => `JAVA PROFILE 1.0.2 ${label}`));
+});
+
+test('loads .hprof.gz files and rejects archives without dumps', async () => {
+  const data = new TextEncoder().encode('JAVA PROFILE 1.0.2');
+  const [gzipped] = await expandHeapDumpFiles([new File([await compress(data, 'gzip')], 'heap.hprof.gz')]);
+  assert.deepEqual(gzipped.compression, ['gzip']);
+  assert.equal(await readDump(gzipped), 'JAVA PROFILE 1.0.2');
+
+  await assert.rejects(
+    expandHeapDumpFiles([writeZip('empty.zip', [['heap.txt', data, 0]])]),
+    { message: 'empty.zip does not contain any .hprof or .hprof.gz files' }
+  );
+});
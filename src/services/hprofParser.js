@@ -17,6 +17,16 @@
  * All parsing happens client-side - no data leaves the browser.
  */
 
+import { BlobChunkReader } from './chunkReaders.js';
+import { combineIdWords } from './objectId.js';
+import {
+  BASIC_TYPE_CODES,
+  BASIC_TYPE_SIZES,
+  getLong,
+  getPrimitiveArrayClassName,
+  toJavaClassName
+} from './hprofTypes.js';
+
 // HPROF record tags
 const TAGS = {
   STRING: 0x01,
@@ -52,18 +62,25 @@ const SUB_TAGS = {
   PRIMITIVE_ARRAY_DUMP: 0x23
 };
 
-// Basic type sizes
-const BASIC_TYPES = {
-  2: 1, // object
-  4: 1, // boolean
-  5: 2, // char
-  6: 4, // float
-  7: 8, // double
-  8: 1, // byte
-  9: 2, // short
-  10: 4, // int
-  11: 8  // long
-};
+// char[] and byte[] contents kept per array (enough to show String values;
+// longer arrays keep only their first bytes)
+const MAX_ARRAY_DATA_BYTES = 2048;
+
+// Bytes read from the file per Blob.slice call. Records and heap dump
+// sub-records that cross a chunk boundary are re-read from their start.
+const CHUNK_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Thrown when a read would run past the end of the loaded chunk.
+ * The parse loop catches it, loads a window starting at the interrupted
+ * record and parses that record again.
+ */
+class ChunkBoundaryError extends Error {
+  constructor(endOffset) {
+    super(`Read past end of chunk (needs bytes up to ${endOffset})`);
+    this.endOffset = endOffset;
+  }
+}
 
 /**
  * Main parser class for HPROF files
@@ -74,34 +91,71 @@ export class HprofParser {
     this.classes = new Map();
     this.instances = new Map();
     this.roots = [];
+    this.stackFrames = new Map();
+    this.stackTraces = new Map();
+    this.threads = new Map();
     this.identifierSize = 0;
     this.position = 0;
     this.data = null;
+    this.reader = null;
+    this.isLastChunk = false;
+    this.bufferOffset = 0;
+    this.segmentEnd = 0;
+    this.onProgress = null;
+    this.textDecoder = new TextDecoder('utf-8');
   }
 
   /**
-   * Parse a heap dump file from an ArrayBuffer
-   * @param {ArrayBuffer} buffer - The heap dump file contents
+   * Parse a heap dump file.
+   *
+   * The file is read in CHUNK_SIZE pieces through a chunk reader (see
+   * chunkReaders.js), so only one chunk of raw bytes is held in memory at a
+   * time regardless of dump size.
+   * @param {Blob|ArrayBuffer|Object} source - The heap dump file (a File from an input or drop)
+   *   or a chunk reader, e.g. one that decompresses a .hprof.gz file
+   * @param {Object} options - Parse options
+   * @param {Function} options.onProgress - Called with (bytesRead, totalBytes) as chunks are loaded
    * @returns {Object} Parsed heap data
    */
-  async parse(buffer) {
-    this.data = new DataView(buffer);
-    this.position = 0;
+  async parse(source, { onProgress } = {}) {
+    if (typeof source.read === 'function') {
+      this.reader = source;
+    } else {
+      this.reader = new BlobChunkReader(source instanceof Blob ? source : new Blob([source]));
+    }
+    this.segmentEnd = 0;
+    this.onProgress = onProgress;
 
     try {
+      await this.loadChunk(0);
+
       // Parse header
       this.parseHeader();
       
-      // Parse records
-      while (this.position < this.data.byteLength) {
-        this.parseRecord();
+      // Parse records and heap dump sub-records one at a time
+      while (this.position < this.data.byteLength || !this.isLastChunk) {
+        const recordStart = this.offset;
+        try {
+          this.parseNext();
+        } catch (error) {
+          if (!(error instanceof ChunkBoundaryError)) throw error;
+          await this.loadChunk(recordStart, error.endOffset - recordStart);
+        }
       }
 
+      this.data = null;
+      this.linkArrayClasses();
+      this.onProgress?.(this.reader.totalBytes, this.reader.totalBytes);
+      this.reader = null;
+
       return {
         strings: this.strings,
         classes: this.classes,
         instances: this.instances,
         roots: this.roots,
+        stackFrames: this.stackFrames,
+        stackTraces: this.stackTraces,
+        threads: this.threads,
         identifierSize: this.identifierSize
       };
     } catch (error) {
@@ -110,6 +164,99 @@ export class HprofParser {
     }
   }
 
+  /**
+   * Absolute file offset of the next byte to read
+   */
+  get offset() {
+    return this.bufferOffset + this.position;
+  }
+
+  /**
+   * Load a chunk of the file starting at an absolute offset
+   * @param {number} offset - Absolute file offset of the chunk start
+   * @param {number} minLength - Minimum number of bytes the chunk must hold
+   */
+  async loadChunk(offset, minLength = 0) {
+    this.onProgress?.(this.reader.bytesRead, this.reader.totalBytes);
+    const { buffer, isLast } = await this.reader.read(offset, Math.max(CHUNK_SIZE, minLength));
+    this.data = new DataView(buffer);
+    this.isLastChunk = isLast;
+    this.bufferOffset = offset;
+    this.position = 0;
+  }
+
+  /**
+   * Make sure the next `length` bytes are in the loaded chunk
+   * @param {number} length - Number of bytes about to be read
+   */
+  require(length) {
+    if (this.position + length <= this.data.byteLength) return;
+
+    if (this.isLastChunk) {
+      throw new Error(`Unexpected end of file at offset ${this.offset}`);
+    }
+    throw new ChunkBoundaryError(this.offset + length);
+  }
+
+  /**
+   * Move to an absolute file offset (which may lie beyond the loaded chunk)
+   * @param {number} offset - Absolute file offset
+   */
+  seek(offset) {
+    this.position = offset - this.bufferOffset;
+  }
+
+  /**
+   * Attribute arrays to their array classes once all records are read.
+   *
+   * PRIMITIVE_ARRAY_DUMP records only carry an element type, so each array is
+   * linked to the loaded class of the same name (e.g. byte[]), or to a
+   * placeholder class when the dump has none. Object and primitive arrays are
+   * also added to their class's instances list.
+   */
+  linkArrayClasses() {
+    const classIdsByName = new Map();
+    for (const [classObjectId, classInfo] of this.classes) {
+      classIdsByName.set(classInfo.name, classObjectId);
+    }
+
+    for (const [objectId, instance] of this.instances) {
+      if (instance.type === 'primitiveArray') {
+        const name = getPrimitiveArrayClassName(instance.elementType);
+        let classObjectId = classIdsByName.get(name);
+        if (classObjectId === undefined) {
+          // Negative IDs never collide with real object IDs
+          classObjectId = -instance.elementType;
+          this.classes.set(classObjectId, {
+            classObjectId,
+            name,
+            instances: [],
+            staticFields: [],
+            instanceFields: []
+          });
+          classIdsByName.set(name, classObjectId);
+        }
+        instance.classObjectId = classObjectId;
+      } else if (instance.type !== 'objectArray') {
+        continue;
+      }
+
+      this.classes.get(instance.classObjectId)?.instances.push(objectId);
+    }
+  }
+
+  /**
+   * Parse the next top-level record, or the next sub-record when inside
+   * a HEAP_DUMP/HEAP_DUMP_SEGMENT record
+   */
+  parseNext() {
+    if (this.offset < this.segmentEnd) {
+      this.parseHeapDumpSubRecord();
+    } else {
+      this.parseRecord();
+    }
+  }
+
   /**
    * Parse HPROF header
    */
@@ -117,6 +264,7 @@ export class HprofParser {
     // Read format name (null-terminated string)
     const formatBytes = [];
     while (true) {
+      this.require(1);
       const byte = this.data.getUint8(this.position++);
       if (byte === 0) break;
       formatBytes.push(byte);
@@ -127,6 +275,8 @@ export class HprofParser {
       throw new Error(`Unsupported format: ${format}`);
     }
 
+    this.require(12);
+
     // Read identifier size (4 bytes)
     this.identifierSize = this.data.getUint32(this.position);
     this.position += 4;
@@ -142,8 +292,7 @@ export class HprofParser {
    * Parse a single record
    */
   parseRecord() {
-    if (this.position >= this.data.byteLength) return;
-
+    this.require(9);
     const tag = this.data.getUint8(this.position++);
     
     // Read timestamp (4 bytes, microseconds)
@@ -153,25 +302,43 @@ export class HprofParser {
     const length = this.data.getUint32(this.position);
     this.position += 4;
 
+    // Heap dump records can be gigabytes long; their sub-records are
+    // parsed one at a time by parseHeapDumpSubRecord
+    if (tag === TAGS.HEAP_DUMP || tag === TAGS.HEAP_DUMP_SEGMENT) {
+      this.segmentEnd = this.offset + length;
+      return;
+    }
+
     const endPosition = this.position + length;
 
     try {
       switch (tag) {
         case TAGS.STRING:
+          this.require(length);
           this.parseString(endPosition);
           break;
         case TAGS.LOAD_CLASS:
+          this.require(length);
           this.parseLoadClass(endPosition);
           break;
-        case TAGS.HEAP_DUMP:
-        case TAGS.HEAP_DUMP_SEGMENT:
-          this.parseHeapDump(endPosition);
+        case TAGS.STACK_FRAME:
+          this.require(length);
+          this.parseStackFrame();
+          break;
+        case TAGS.STACK_TRACE:
+          this.require(length);
+          this.parseStackTrace();
+          break;
+        case TAGS.START_THREAD:
+          this.require(length);
+          this.parseStartThread();
           break;
         default:
           // Skip unknown records
           this.position = endPosition;
       }
     } catch (error) {
+      if (error instanceof ChunkBoundaryError) throw error;
       console.warn(`Error parsing record type ${tag}:`, error);
       this.position = endPosition;
     }
@@ -185,12 +352,9 @@ export class HprofParser {
    */
   parseString(endPosition) {
     const id = this.readId();
-    const bytes = [];
-    while (this.position < endPosition) {
-      bytes.push(this.data.getUint8(this.position++));
-    }
-    const str = new TextDecoder('utf-8').decode(new Uint8Array(bytes));
-    this.strings.set(id, str);
+    const bytes = new Uint8Array(this.data.buffer, this.position, endPosition - this.position);
+    this.position = endPosition;
+    this.strings.set(id, this.textDecoder.decode(bytes));
   }
 
   /**
@@ -209,57 +373,128 @@ export class HprofParser {
       classObjectId,
       stackTraceSerial,
       classNameId,
-      name: this.strings.get(classNameId) || `Class#${classNameId}`,
+      name: this.strings.has(classNameId)
+        ? toJavaClassName(this.strings.get(classNameId))
+        : `Class#${classNameId}`,
       instances: [],
-      staticFields: {},
+      staticFields: [],
       instanceFields: []
     });
   }
 
   /**
-   * Parse HEAP_DUMP or HEAP_DUMP_SEGMENT record
+   * Parse STACK_FRAME record
    */
-  parseHeapDump(endPosition) {
-    while (this.position < endPosition) {
-      const subTag = this.data.getUint8(this.position++);
-      
-      try {
-        switch (subTag) {
-          case SUB_TAGS.ROOT_UNKNOWN:
-          case SUB_TAGS.ROOT_STICKY_CLASS:
-          case SUB_TAGS.ROOT_MONITOR_USED:
-          case SUB_TAGS.ROOT_THREAD_OBJ:
-            this.parseRoot(subTag);
-            break;
-          case SUB_TAGS.ROOT_JNI_GLOBAL:
-            this.parseRootJniGlobal();
-            break;
-          case SUB_TAGS.ROOT_JNI_LOCAL:
-          case SUB_TAGS.ROOT_JAVA_FRAME:
-          case SUB_TAGS.ROOT_NATIVE_STACK:
-          case SUB_TAGS.ROOT_THREAD_BLOCK:
-            this.parseRootWithThread(subTag);
-            break;
-          case SUB_TAGS.CLASS_DUMP:
-            this.parseClassDump();
-            break;
-          case SUB_TAGS.INSTANCE_DUMP:
-            this.parseInstanceDump();
-            break;
-          case SUB_TAGS.OBJECT_ARRAY_DUMP:
-            this.parseObjectArrayDump();
-            break;
-          case SUB_TAGS.PRIMITIVE_ARRAY_DUMP:
-            this.parsePrimitiveArrayDump();
-            break;
-          default:
-            throw new Error(`Unknown sub-tag: 0x${subTag.toString(16)}`);
-        }
-      } catch (error) {
-        console.warn(`Error parsing heap dump sub-record 0x${subTag.toString(16)}:`, error);
-        // Try to continue - this is risky but might allow partial parsing
-        break;
+  parseStackFrame() {
+    const frameId = this.readId();
+    const methodNameId = this.readId();
+    const signatureId = this.readId();
+    const sourceFileId = this.readId();
+    const classSerial = this.data.getUint32(this.position);
+    this.position += 4;
+    // > 0: line number, 0: no line info, -1: unknown, -2: compiled method, -3: native method
+    const lineNumber = this.data.getInt32(this.position);
+    this.position += 4;
+
+    this.stackFrames.set(frameId, {
+      frameId,
+      methodName: this.strings.get(methodNameId) || '<unknown>',
+      signature: this.strings.get(signatureId) || '',
+      sourceFile: this.strings.get(sourceFileId) || null,
+      classSerial,
+      lineNumber
+    });
+  }
+
+  /**
+   * Parse STACK_TRACE record
+   */
+  parseStackTrace() {
+    const serialNum = this.data.getUint32(this.position);
+    this.position += 4;
+    const threadSerial = this.data.getUint32(this.position);
+    this.position += 4;
+    const numFrames = this.data.getUint32(this.position);
+    this.position += 4;
+
+    const frameIds = [];
+    for (let i = 0; i < numFrames; i++) {
+      frameIds.push(this.readId());
+    }
+
+    this.stackTraces.set(serialNum, { serialNum, threadSerial, frameIds });
+  }
+
+  /**
+   * Parse START_THREAD record
+   */
+  parseStartThread() {
+    const threadSerial = this.data.getUint32(this.position);
+    this.position += 4;
+    const threadObjectId = this.readId();
+    const stackTraceSerial = this.data.getUint32(this.position);
+    this.position += 4;
+    const nameId = this.readId();
+    const groupNameId = this.readId();
+    this.readId(); // parent group name
+
+    this.threads.set(threadSerial, {
+      threadSerial,
+      threadObjectId,
+      stackTraceSerial,
+      name: this.strings.get(nameId) ?? null,
+      groupName: this.strings.get(groupNameId) ?? null
+    });
+  }
+
+  /**
+   * Parse one sub-record of a HEAP_DUMP or HEAP_DUMP_SEGMENT record
+   */
+  parseHeapDumpSubRecord() {
+    this.require(1);
+    const subTag = this.data.getUint8(this.position++);
+
+    try {
+      switch (subTag) {
+        case SUB_TAGS.ROOT_UNKNOWN:
+        case SUB_TAGS.ROOT_STICKY_CLASS:
+        case SUB_TAGS.ROOT_MONITOR_USED:
+          this.parseRoot(subTag);
+          break;
+        case SUB_TAGS.ROOT_THREAD_OBJ:
+          this.parseRootThreadObject();
+          break;
+        case SUB_TAGS.ROOT_JNI_GLOBAL:
+          this.parseRootJniGlobal();
+          break;
+        case SUB_TAGS.ROOT_JNI_LOCAL:
+        case SUB_TAGS.ROOT_JAVA_FRAME:
+          this.parseRootWithFrame(subTag);
+          break;
+        case SUB_TAGS.ROOT_NATIVE_STACK:
+        case SUB_TAGS.ROOT_THREAD_BLOCK:
+          this.parseRootWithThread(subTag);
+          break;
+        case SUB_TAGS.CLASS_DUMP:
+          this.parseClassDump();
+          break;
+        case SUB_TAGS.INSTANCE_DUMP:
+          this.parseInstanceDump();
+          break;
+        case SUB_TAGS.OBJECT_ARRAY_DUMP:
+          this.parseObjectArrayDump();
+          break;
+        case SUB_TAGS.PRIMITIVE_ARRAY_DUMP:
+          this.parsePrimitiveArrayDump();
+          break;
+        default:
+          throw new Error(`Unknown sub-tag: 0x${subTag.toString(16)}`);
       }
+    } catch (error) {
+      if (error instanceof ChunkBoundaryError) throw error;
+      console.warn(`Error parsing heap dump sub-record 0x${subTag.toString(16)}:`, error);
+      // Skip the rest of this segment - this is risky but might allow partial parsing
+      this.seek(this.segmentEnd);
     }
   }
 
@@ -267,6 +502,7 @@ export class HprofParser {
    * Parse simple GC root
    */
   parseRoot(subTag) {
+    this.require(this.identifierSize);
     const objectId = this.readId();
     this.roots.push({ type: subTag, objectId });
   }
@@ -275,27 +511,55 @@ export class HprofParser {
    * Parse JNI global root
    */
   parseRootJniGlobal() {
+    this.require(this.identifierSize * 2);
     const objectId = this.readId();
     const jniGlobalRefId = this.readId();
     this.roots.push({ type: SUB_TAGS.ROOT_JNI_GLOBAL, objectId, jniGlobalRefId });
   }
 
   /**
-   * Parse root with thread information
+   * Parse thread object root
    */
-  parseRootWithThread(subTag) {
+  parseRootThreadObject() {
+    this.require(this.identifierSize + 8);
     const objectId = this.readId();
     const threadSerial = this.data.getUint32(this.position);
     this.position += 4;
-    const frameNum = this.data.getUint32(this.position);
+    const stackTraceSerial = this.data.getUint32(this.position);
+    this.position += 4;
+    this.roots.push({ type: SUB_TAGS.ROOT_THREAD_OBJ, objectId, threadSerial, stackTraceSerial });
+  }
+
+  /**
+   * Parse root held by a stack frame of a thread
+   */
+  parseRootWithFrame(subTag) {
+    this.require(this.identifierSize + 8);
+    const objectId = this.readId();
+    const threadSerial = this.data.getUint32(this.position);
+    this.position += 4;
+    // Index into the thread's stack trace, innermost first; -1 when unknown
+    const frameNum = this.data.getInt32(this.position);
     this.position += 4;
     this.roots.push({ type: subTag, objectId, threadSerial, frameNum });
   }
 
+  /**
+   * Parse root with thread information
+   */
+  parseRootWithThread(subTag) {
+    this.require(this.identifierSize + 4);
+    const objectId = this.readId();
+    const threadSerial = this.data.getUint32(this.position);
+    this.position += 4;
+    this.roots.push({ type: subTag, objectId, threadSerial });
+  }
+
   /**
    * Parse CLASS_DUMP sub-record
    */
   parseClassDump() {
+    this.require(this.identifierSize * 7 + 10);
     const classObjectId = this.readId();
     const stackTraceSerial = this.data.getUint32(this.position);
     this.position += 4;
@@ -314,32 +578,38 @@ export class HprofParser {
 
     // Skip constant pool entries
     for (let i = 0; i < constantPoolSize; i++) {
+      this.require(3);
       this.position += 2; // index
-      this.position += 1; // type
+      this.require(1 + this.getValueSize(this.data.getUint8(this.position)));
       this.skipValue();
     }
 
     // Static fields
+    this.require(2);
     const numStaticFields = this.data.getUint16(this.position);
     this.position += 2;
-    const staticFields = {};
+    const staticFields = [];
     
     for (let i = 0; i < numStaticFields; i++) {
+      this.require(this.identifierSize + 1);
       const nameId = this.readId();
       const type = this.data.getUint8(this.position++);
+      this.require(this.getValueSize(type));
       const value = this.readValue(type);
-      staticFields[nameId] = { type, value };
+      staticFields.push({ nameId, name: this.strings.get(nameId) || `Field#${nameId}`, type, value });
     }
 
     // Instance fields
+    this.require(2);
     const numInstanceFields = this.data.getUint16(this.position);
     this.position += 2;
+    this.require(numInstanceFields * (this.identifierSize + 1));
     const instanceFields = [];
     
     for (let i = 0; i < numInstanceFields; i++) {
       const nameId = this.readId();
       const type = this.data.getUint8(this.position++);
-      instanceFields.push({ nameId, type });
+      instanceFields.push({ nameId, name: this.strings.get(nameId) || `Field#${nameId}`, type });
     }
 
     // Update or create class info
@@ -367,6 +637,7 @@ export class HprofParser {
    * Parse INSTANCE_DUMP sub-record
    */
   parseInstanceDump() {
+    this.require(this.identifierSize * 2 + 8);
     const objectId = this.readId();
     const stackTraceSerial = this.data.getUint32(this.position);
     this.position += 4;
@@ -374,8 +645,9 @@ export class HprofParser {
     const numBytes = this.data.getUint32(this.position);
     this.position += 4;
 
-    // Store instance data (we'll skip reading the actual bytes for now)
-    const instanceData = new Uint8Array(this.data.buffer, this.position, numBytes);
+    // Copy the field bytes so the chunk buffer can be released
+    this.require(numBytes);
+    const instanceData = new Uint8Array(this.data.buffer, this.position, numBytes).slice();
     this.position += numBytes;
 
     const instance = {
@@ -399,6 +671,7 @@ export class HprofParser {
    * Parse OBJECT_ARRAY_DUMP sub-record
    */
   parseObjectArrayDump() {
+    this.require(this.identifierSize * 2 + 8);
     const arrayObjectId = this.readId();
     const stackTraceSerial = this.data.getUint32(this.position);
     this.position += 4;
@@ -406,6 +679,7 @@ export class HprofParser {
     this.position += 4;
     const arrayClassObjectId = this.readId();
 
+    this.require(numElements * this.identifierSize);
     const elements = [];
     for (let i = 0; i < numElements; i++) {
       elements.push(this.readId());
@@ -425,6 +699,7 @@ export class HprofParser {
    * Parse PRIMITIVE_ARRAY_DUMP sub-record
    */
   parsePrimitiveArrayDump() {
+    this.require(this.identifierSize + 9);
     const arrayObjectId = this.readId();
     const stackTraceSerial = this.data.getUint32(this.position);
     this.position += 4;
@@ -432,24 +707,38 @@ export class HprofParser {
     this.position += 4;
     const elementType = this.data.getUint8(this.position++);
 
-    const elementSize = BASIC_TYPES[elementType] || 1;
+    const elementSize = BASIC_TYPE_SIZES[elementType] || 1;
     const totalSize = numElements * elementSize;
 
-    // Skip the actual data
+    // Keep the start of char[] and byte[] arrays, which hold String contents
+    let data;
+    if (elementType === BASIC_TYPE_CODES.CHAR || elementType === BASIC_TYPE_CODES.BYTE) {
+      const dataSize = Math.min(totalSize, MAX_ARRAY_DATA_BYTES);
+      this.require(dataSize);
+      data = new Uint8Array(this.data.buffer, this.position, dataSize).slice();
+    }
+
+    // Skip the actual data (it may extend past the loaded chunk)
     this.position += totalSize;
 
-    this.instances.set(arrayObjectId, {
+    const instance = {
       objectId: arrayObjectId,
       stackTraceSerial,
       type: 'primitiveArray',
       elementType,
       size: totalSize,
       length: numElements
-    });
+    };
+    if (data) {
+      // Big-endian element bytes, truncated to MAX_ARRAY_DATA_BYTES
+      instance.data = data;
+    }
+    this.instances.set(arrayObjectId, instance);
   }
 
   /**
    * Read an ID (object reference) based on identifier size
+   * @returns {number|bigint} Canonical object ID (see objectId.js)
    */
   readId() {
     if (this.identifierSize === 4) {
@@ -457,12 +746,11 @@ export class HprofParser {
       this.position += 4;
       return id;
     } else if (this.identifierSize === 8) {
-      // Read 8-byte ID as two 4-byte values
+      // Read 8-byte ID as two 4-byte values; IDs beyond 2^53 become BigInts
       const high = this.data.getUint32(this.position);
       const low = this.data.getUint32(this.position + 4);
       this.position += 8;
-      // For JavaScript number safety, we combine them but may lose precision for very large IDs
-      return high * 0x100000000 + low;
+      return combineIdWords(high, low);
     }
     throw new Error(`Unsupported identifier size: ${this.identifierSize}`);
   }
@@ -481,7 +769,7 @@ export class HprofParser {
       case 5: { // char
         const charVal = this.data.getUint16(this.position);
         this.position += 2;
-        return charVal;
+        return String.fromCharCode(charVal);
       }
       case 6: { // float
         const floatVal = this.data.getFloat32(this.position);
@@ -507,10 +795,9 @@ export class HprofParser {
         return intVal;
       }
       case 11: { // long
-        const highWord = this.data.getInt32(this.position);
-        const lowWord = this.data.getUint32(this.position + 4);
+        const longVal = getLong(this.data, this.position);
         this.position += 8;
-        return highWord * 0x100000000 + lowWord;
+        return longVal;
       }
       default:
         throw new Error(`Unknown type: ${type}`);
@@ -522,8 +809,20 @@ export class HprofParser {
    */
   skipValue() {
     const type = this.data.getUint8(this.position++);
-    const size = BASIC_TYPES[type] || this.identifierSize;
-    this.position += size;
+    this.position += this.getValueSize(type);
+  }
+
+  /**
+   * Size in bytes of a typed value
+   * @param {number} type - Basic type code
+   * @returns {number} Size in bytes
+   */
+  getValueSize(type) {
+    const size = type === BASIC_TYPE_CODES.OBJECT ? this.identifierSize : BASIC_TYPE_SIZES[type];
+    if (size === undefined) {
+      throw new Error(`Unknown type: ${type}`);
+    }
+    return size;
   }
 }
 
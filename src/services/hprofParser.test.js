@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HprofParser from './hprofParser.js';
+import { BASIC_TYPE_CODES } from './hprofTypes.js';
+
+const { OBJECT, BYTE, INT } = BASIC_TYPE_CODES;
+
+// Bytes the parser reads per chunk (CHUNK_SIZE in hprofParser.js)
+const CHUNK_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Big-endian writer for dumps with 4-byte object IDs
+ */
+class DumpWriter {
+  constructor() {
+    this.parts = [];
+    this.length = 0;
+  }
+
+  bytes(part) {
+    this.parts.push(part);
+    this.length += part.length;
+    return this;
+  }
+
+  u1(value) {
+    return this.bytes(Uint8Array.of(value));
+  }
+
+  u2(value) {
+    return this.bytes(Uint8Array.of(value >> 8, value & 0xff));
+  }
+
+  u4(value) {
+    const part = new Uint8Array(4);
+    new DataView(part.buffer).setUint32(0, value);
+    return this.bytes(part);
+  }
+
+  id(value) {
+    return this.u4(value);
+  }
+
+  /**
+   * Append a top-level record
+   * @param {number} tag - Record tag
+   * @param {DumpWriter} body - Record body
+   */
+  record(tag, body) {
+    this.u1(tag).u4(0).u4(body.length);
+    for (const part of body.parts) this.bytes(part);
+    return this;
+  }
+
+  toArray() {
+    const array = new Uint8Array(this.length);
+    let offset = 0;
+    for (const part of this.parts) {
+      array.set(part, offset);
+      offset += part.length;
+    }
+    return array;
+  }
+}
+
+/**
+ * Start a dump with its header and the STRING and LOAD_CLASS records of one class
+ * @param {number} classObjectId - Class object ID
+ * @param {string} className - Class name in JVM form
+ * @param {Array} fieldNames - [nameId, name] pairs to add as STRING records
+ * @returns {DumpWriter} Dump so far
+ */
+function startDump(classObjectId, className, fieldNames = []) {
+  const dump = new DumpWriter();
+  dump.bytes(new TextEncoder().encode('JAVA PROFILE 1.0.2\0')).u4(4).u4(0).u4(0);
+  for (const [nameId, name] of [[1, className], ...fieldNames]) {
+    dump.record(0x01, new DumpWriter().id(nameId).bytes(new TextEncoder().encode(name)));
+  }
+  dump.record(0x02, new DumpWriter().u4(1).id(classObjectId).u4(0).id(1));
+  return dump;
+}
+
+/**
+ * Write a CLASS_DUMP sub-record
+ * @param {DumpWriter} segment - Heap dump segment body
+ * @param {number} classObjectId - Class object ID
+ * @param {Object} layout - { constants, statics, fields }: constant pool
+ *   entries [index, type, value], static fields [nameId, type, value] and
+ *   instance fields [nameId, type]; values are written as bytes, ints or IDs
+ */
+function writeClassDump(segment, classObjectId, { constants = [], statics = [], fields = [] }) {
+  const writeValue = (type, value) => (type === BYTE ? segment.u1(value) : segment.u4(value));
+  segment.u1(0x20).id(classObjectId).u4(0);
+  for (let i = 0; i < 6; i++) segment.id(0); // super, loader, signers, domain, reserved
+  segment.u4(4);
+  segment.u2(constants.length);
+  for (const [index, type, value] of constants) {
+    segment.u2(index).u1(type);
+    writeValue(type, value);
+  }
+  segment.u2(statics.length);
+  for (const [nameId, type, value] of statics) {
+    segment.id(nameId).u1(type);
+    writeValue(type, value);
+  }
+  segment.u2(fields.length);
+  for (const [nameId, type] of fields) segment.id(nameId).u1(type);
+}
+
+test('re-reads a record that crosses a chunk boundary', async () => {
+  for (const bytesBeforeBoundary of [1, 9, 17]) {
+    const dump = startDump(0x100, 'com/example/Node', [[2, 'next'], [3, 'value']]);
+    const segment = new DumpWriter();
+    writeClassDump(segment, 0x100, { fields: [[2, OBJECT], [3, INT]] });
+
+    // A byte[] sized so the INSTANCE_DUMP after it starts just before the boundary
+    const segmentStart = dump.length + 9;
+    const fillerLength = CHUNK_SIZE - bytesBeforeBoundary - (segmentStart + segment.length + 14);
+    segment.u1(0x23).id(0x200).u4(0).u4(fillerLength).u1(BYTE).bytes(new Uint8Array(fillerLength));
+    assert.equal(segmentStart + segment.length, CHUNK_SIZE - bytesBeforeBoundary);
+
+    segment.u1(0x21).id(0x300).u4(0).id(0x100).u4(8).id(0x300).u4(0x12345678);
+    dump.record(0x1c, segment).record(0x2c, new DumpWriter());
+
+    const heapData = await new HprofParser().parse(dump.toArray());
+    const node = heapData.instances.get(0x300);
+    assert.ok(node, `instance crossing the boundary ${bytesBeforeBoundary} bytes in is parsed`);
+    assert.equal(node.classObjectId, 0x100);
+    assert.deepEqual([...node.data], [0, 0, 3, 0, 0x12, 0x34, 0x56, 0x78]);
+    assert.equal(heapData.instances.get(0x200).length, fillerLength);
+    assert.deepEqual(heapData.classes.get(0x100).instances, [0x300]);
+  }
+});
+
+test('reads a class dump whose last values end the file', async () => {
+  // Byte-sized constant pool and static values leave fewer bytes than the
+  // largest value type after them
+  const dump = startDump(0x100, 'com/example/Flags', [[2, 'ENABLED']]);
+  const constantsOnly = new DumpWriter();
+  writeClassDump(constantsOnly, 0x100, { constants: [[1, BYTE, 7]] });
+  const staticsLast = new DumpWriter();
+  writeClassDump(staticsLast, 0x100, { statics: [[2, BYTE, 1]] });
+
+  const withConstants = await new HprofParser().parse(
+    new DumpWriter().bytes(dump.toArray()).record(0x1c, constantsOnly).toArray()
+  );
+  assert.deepEqual(withConstants.classes.get(0x100).staticFields, []);
+
+  const withStatics = await new HprofParser().parse(
+    new DumpWriter().bytes(dump.toArray()).record(0x1c, staticsLast).toArray()
+  );
+  const [field] = withStatics.classes.get(0x100).staticFields;
+  assert.equal(field.name, 'ENABLED');
+  assert.equal(field.value, 1);
+});
@@ -0,0 +1,131 @@
+/**
+ * HPROF Basic Types
+ * 
+ * Type codes, names and sizes of the values stored in class, instance and
+ * array records, shared by the parser and the field decoder, plus the tags
+ * and names of GC root kinds.
+ */
+
+// Basic type codes used by field, static and array records
+export const BASIC_TYPE_CODES = {
+  OBJECT: 2,
+  BOOLEAN: 4,
+  CHAR: 5,
+  FLOAT: 6,
+  DOUBLE: 7,
+  BYTE: 8,
+  SHORT: 9,
+  INT: 10,
+  LONG: 11
+};
+
+// Java names of the basic types
+export const BASIC_TYPE_NAMES = {
+  2: 'object',
+  4: 'boolean',
+  5: 'char',
+  6: 'float',
+  7: 'double',
+  8: 'byte',
+  9: 'short',
+  10: 'int',
+  11: 'long'
+};
+
+// Basic type sizes (objects are identifierSize bytes)
+export const BASIC_TYPE_SIZES = {
+  2: 1, // object
+  4: 1, // boolean
+  5: 2, // char
+  6: 4, // float
+  7: 8, // double
+  8: 1, // byte
+  9: 2, // short
+  10: 4, // int
+  11: 8  // long
+};
+
+// GC root kinds: heap dump sub-record tags stored as root.type
+export const ROOT_TYPES = {
+  UNKNOWN: 0xff,
+  JNI_GLOBAL: 0x01,
+  JNI_LOCAL: 0x02,
+  JAVA_FRAME: 0x03,
+  NATIVE_STACK: 0x04,
+  STICKY_CLASS: 0x05,
+  THREAD_BLOCK: 0x06,
+  MONITOR_USED: 0x07,
+  THREAD_OBJ: 0x08
+};
+
+// GC root kinds, by heap dump sub-record tag
+export const ROOT_TYPE_NAMES = {
+  0xff: 'Unknown',
+  0x01: 'JNI Global',
+  0x02: 'JNI Local',
+  0x03: 'Java Frame',
+  0x04: 'Native Stack',
+  0x05: 'Sticky Class',
+  0x06: 'Thread Block',
+  0x07: 'Monitor Used',
+  0x08: 'Thread Object'
+};
+
+// Element types of JVM array descriptors such as "[I" or "[[B"
+const DESCRIPTOR_TYPE_NAMES = {
+  Z: 'boolean',
+  C: 'char',
+  F: 'float',
+  D: 'double',
+  B: 'byte',
+  S: 'short',
+  I: 'int',
+  J: 'long'
+};
+
+/**
+ * Convert a class name as stored in the dump into its Java source form
+ * @param {string} name - Internal name, e.g. "java/util/HashMap", "[B" or "[Ljava/lang/String;"
+ * @returns {string} Java name, e.g. "java.util.HashMap", "byte[]" or "java.lang.String[]"
+ */
+export function toJavaClassName(name) {
+  let dimensions = 0;
+  while (name[dimensions] === '[') {
+    dimensions++;
+  }
+  if (dimensions === 0) {
+    return name.replace(/\//g, '.');
+  }
+
+  const descriptor = name.substring(dimensions);
+  let elementName;
+  if (descriptor.startsWith('L') && descriptor.endsWith(';')) {
+    elementName = descriptor.substring(1, descriptor.length - 1).replace(/\//g, '.');
+  } else {
+    elementName = DESCRIPTOR_TYPE_NAMES[descriptor] || descriptor;
+  }
+  return elementName + '[]'.repeat(dimensions);
+}
+
+/**
+ * Get the class name of a primitive array
+ * @param {number} elementType - Basic type code of the elements
+ * @returns {string} e.g. "byte[]"
+ */
+export function getPrimitiveArrayClassName(elementType) {
+  return `${BASIC_TYPE_NAMES[elementType] || 'unknown'}[]`;
+}
+
+/**
+ * Read a signed 64-bit Java long
+ * @param {DataView} view - Source view
+ * @param {number} position - Byte position
+ * @returns {number|bigint} The value; a BigInt when it is outside the safe integer range
+ */
+export function getLong(view, position) {
+  const highWord = view.getInt32(position);
+  if (highWord >= -0x200000 && highWord < 0x200000) {
+    return highWord * 0x100000000 + view.getUint32(position + 4);
+  }
+  return view.getBigInt64(position);
+}
@@ -0,0 +1,38 @@
+/**
+ * Object IDs
+ * 
+ * HPROF identifiers are 4 or 8 bytes. JavaScript numbers are only exact up
+ * to 2^53, so 8-byte IDs with high heap addresses would collapse into the
+ * same Map key. IDs are therefore represented canonically:
+ * - a number when the ID is below 2^53 (always the case for 4-byte IDs)
+ * - a BigInt otherwise
+ * 
+ * Because each ID value has exactly one representation, IDs can be used
+ * directly as Map/Set keys and compared with ===. Never convert an ID with
+ * Number(); use formatObjectId to display one.
+ */
+
+// Largest high word that still combines with any low word into a safe integer
+const MAX_SAFE_HIGH_WORD = 0x1fffff;
+
+/**
+ * Combine the two 32-bit halves of an 8-byte identifier
+ * @param {number} high - Unsigned high word
+ * @param {number} low - Unsigned low word
+ * @returns {number|bigint} Canonical object ID
+ */
+export function combineIdWords(high, low) {
+  if (high <= MAX_SAFE_HIGH_WORD) {
+    return high * 0x100000000 + low;
+  }
+  return (BigInt(high) << 32n) | BigInt(low);
+}
+
+/**
+ * Format an object ID for display
+ * @param {number|bigint} objectId - Object ID
+ * @returns {string} Hexadecimal ID, e.g. "0x7f3a2c018"
+ */
+export function formatObjectId(objectId) {
+  return `0x${objectId.toString(16)}`;
+}
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { combineIdWords, formatObjectId } from './objectId.js';
+
+test('IDs below 2^53 are numbers', () => {
+  assert.equal(combineIdWords(0, 0x1234), 0x1234);
+  assert.equal(combineIdWords(0x7f, 0xffffffff), 0x7fffffffff);
+  assert.equal(combineIdWords(0x1fffff, 0xffffffff), Number.MAX_SAFE_INTEGER);
+});
+
+test('IDs from 2^53 up are BigInts that stay distinct', () => {
+  const first = combineIdWords(0x200000, 0);
+  const second = combineIdWords(0x200000, 1);
+  assert.equal(first, 2n ** 53n);
+  assert.equal(second, 2n ** 53n + 1n);
+  assert.equal(combineIdWords(0xffffffff, 0xffffffff), 2n ** 64n - 1n);
+
+  // As numbers both would round to 2^53 and share a Map key
+  const ids = new Map([[first, 'first'], [second, 'second']]);
+  assert.equal(ids.size, 2);
+  assert.equal(ids.get(combineIdWords(0x200000, 1)), 'second');
+});
+
+test('formats IDs on both sides of 2^53 as hexadecimal', () => {
+  assert.equal(formatObjectId(combineIdWords(0x1fffff, 0xffffffff)), '0x1fffffffffffff');
+  assert.equal(formatObjectId(combineIdWords(0x200000, 0)), '0x20000000000000');
+  assert.equal(formatObjectId(combineIdWords(0x200000, 1)), '0x20000000000001');
+  assert.equal(formatObjectId(combineIdWords(0xffffffff, 0xfffffff0)), '0xfffffffffffffff0');
+});
@@ -0,0 +1,29 @@
+/**
+ * Progress Reporting
+ *
+ * The analyzers' long loops report how many items (instances or object
+ * graph nodes) they have handled through an onProgress(completed, total)
+ * callback, which the analysis pipeline turns into progress messages.
+ * Reports are throttled so posting them from the worker does not slow the
+ * loops down.
+ */
+
+// Items handled between two reports
+const PROGRESS_INTERVAL = 1 << 16;
+
+/**
+ * Create a reporter that a loop can call for every item it handles
+ * @param {Function} onProgress - Called with (completed, total)
+ * @param {number} total - Number of items the loop handles
+ * @returns {Function} Called with the number of items completed so far;
+ *   passes it on to onProgress once every PROGRESS_INTERVAL items
+ */
+export function createProgressReporter(onProgress, total) {
+  let nextReport = PROGRESS_INTERVAL;
+  return (completed) => {
+    if (completed >= nextReport) {
+      nextReport = completed + PROGRESS_INTERVAL;
+      onProgress(completed, total);
+    }
+  };
+}
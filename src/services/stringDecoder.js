@@ -0,0 +1,125 @@
+/**
+ * String Decoder
+ *
+ * Resolves java.lang.String instances to their text.
+ *
+ * - Java 8 and earlier: `char[] value` (plus `offset`/`count` on Java 6)
+ * - Java 9+ compact strings: `byte[] value` plus `coder`
+ *   (0 = Latin-1, 1 = UTF-16 in the JVM's native byte order, little-endian
+ *   on x86 and ARM)
+ *
+ * The parser only keeps the first bytes of each char[]/byte[] array, so very
+ * long strings are returned truncated.
+ */
+
+import { getFieldValue } from './fieldDecoder.js';
+import { BASIC_TYPE_CODES } from './hprofTypes.js';
+
+// Default number of characters returned
+const DEFAULT_MAX_LENGTH = 200;
+
+// java.lang.String coder values
+const CODER_LATIN1 = 0;
+
+const utf16Decoder = new TextDecoder('utf-16le');
+
+/**
+ * Check whether a class name is java.lang.String
+ * @param {string} className - Class name
+ * @returns {boolean} True for java.lang.String
+ */
+export function isStringClass(className) {
+  return className === 'java.lang.String';
+}
+
+/**
+ * Get the text of a String instance
+ * @param {Object} heapData - Parsed heap dump data
+ * @param {Object} instance - Instance from heapData.instances
+ * @param {number} maxLength - Maximum number of characters to return
+ * @returns {Object|null} { value, length, truncated } where length is the full
+ *   string length; null when the instance is not a String
+ */
+export function getStringValue(heapData, instance, maxLength = DEFAULT_MAX_LENGTH) {
+  const className = heapData.classes.get(instance.classObjectId)?.name;
+  if (!className || !isStringClass(className)) return null;
+
+  const valueId = getFieldValue(heapData, instance, 'value');
+  const array = valueId ? heapData.instances.get(valueId) : null;
+  if (!array || array.type !== 'primitiveArray') {
+    return { value: '', length: 0, truncated: false };
+  }
+
+  let text;
+  let length;
+
+  if (array.elementType === BASIC_TYPE_CODES.BYTE) {
+    // Java 9+ compact string
+    const coder = getFieldValue(heapData, instance, 'coder');
+    if (coder === undefined || coder === CODER_LATIN1) {
+      length = array.length;
+      text = decodeLatin1(array.data);
+    } else {
+      length = Math.floor(array.length / 2);
+      text = utf16Decoder.decode(evenLength(array.data));
+    }
+  } else if (array.elementType === BASIC_TYPE_CODES.CHAR) {
+    // Java 8 and earlier; Java 6 substrings share the array through offset/count
+    const offset = getFieldValue(heapData, instance, 'offset') || 0;
+    const count = getFieldValue(heapData, instance, 'count');
+    length = count ?? array.length - offset;
+    text = decodeCharArray(array.data).substring(offset, offset + length);
+  } else {
+    return { value: '', length: 0, truncated: false };
+  }
+
+  const truncated = text.length > maxLength || text.length < length;
+  return {
+    value: text.length > maxLength ? text.substring(0, maxLength) : text,
+    length,
+    truncated
+  };
+}
+
+/**
+ * Format a String value for display: quoted, with an ellipsis when truncated
+ * @param {Object} stringValue - Result of getStringValue
+ * @returns {string} Display text
+ */
+export function formatStringValue(stringValue) {
+  return `"${stringValue.value}${stringValue.truncated ? '…' : ''}"`;
+}
+
+/**
+ * Decode the bytes of a Latin-1 compact string. TextDecoder's 'latin1' is
+ * really windows-1252, which turns 0x80-0x9F into other characters, so each
+ * byte is taken as its own code point instead.
+ * @param {Uint8Array} data - Array bytes
+ * @returns {string} Decoded text
+ */
+function decodeLatin1(data) {
+  return String.fromCharCode(...data);
+}
+
+/**
+ * Decode the big-endian UTF-16 elements of a char[] array
+ * @param {Uint8Array} data - Array bytes
+ * @returns {string} Decoded text
+ */
+function decodeCharArray(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const codes = new Array(data.byteLength >> 1);
+  for (let i = 0; i < codes.length; i++) {
+    codes[i] = view.getUint16(i * 2);
+  }
+  return String.fromCharCode(...codes);
+}
+
+/**
+ * Drop a trailing odd byte (left when a UTF-16 byte[] was truncated mid-character)
+ * @param {Uint8Array} data - Array bytes
+ * @returns {Uint8Array} Bytes with an even length
+ */
+function evenLength(data) {
+  return data.byteLength % 2 === 0 ? data : data.subarray(0, data.byteLength - 1);
+}
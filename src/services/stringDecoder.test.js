@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getStringValue } from './stringDecoder.js';
+import { BASIC_TYPE_CODES } from './hprofTypes.js';
+
+const { OBJECT, BYTE, CHAR } = BASIC_TYPE_CODES;
+
+const STRING_CLASS_ID = 0x100;
+
+/**
+ * Heap data holding one String whose value array has the given bytes
+ * @param {number} elementType - BYTE (Java 9+) or CHAR (Java 8)
+ * @param {Array<number>} bytes - Bytes of the value array
+ * @param {number} coder - coder field for byte[] values
+ * @returns {Object} { heapData, instance }
+ */
+function buildString(elementType, bytes, coder = 0) {
+  const fields = elementType === BYTE
+    ? [{ name: 'value', type: OBJECT }, { name: 'coder', type: BYTE }]
+    : [{ name: 'value', type: OBJECT }];
+  const data = new Uint8Array(elementType === BYTE ? 5 : 4);
+  new DataView(data.buffer).setUint32(0, 0x200);
+  if (elementType === BYTE) data[4] = coder;
+
+  const instance = { classObjectId: STRING_CLASS_ID, size: 24, data };
+  const heapData = {
+    identifierSize: 4,
+    classes: new Map([[STRING_CLASS_ID, {
+      classObjectId: STRING_CLASS_ID,
+      name: 'java.lang.String',
+      superClassObjectId: 0,
+      instanceFields: fields
+    }]]),
+    instances: new Map([
+      [0x1000, instance],
+      [0x200, {
+        type: 'primitiveArray',
+        elementType,
+        length: elementType === CHAR ? bytes.length / 2 : bytes.length,
+        data: Uint8Array.from(bytes)
+      }]
+    ])
+  };
+  return { heapData, instance };
+}
+
+test('decodes Latin-1 compact strings byte for byte, including 0x80-0x9F', () => {
+  const bytes = [0x41, 0x80, 0x85, 0x8a, 0x9f, 0xa0, 0xe9, 0xff];
+  const { heapData, instance } = buildString(BYTE, bytes);
+
+  const { value, length, truncated } = getStringValue(heapData, instance);
+  assert.equal(value, 'A\u0080\u0085\u008a\u009f éÿ');
+  assert.equal(length, 8);
+  assert.equal(truncated, false);
+});
+
+test('decodes every Latin-1 byte to the code point of the same value', () => {
+  const bytes = Array.from({ length: 256 }, (_, byte) => byte);
+  const { heapData, instance } = buildString(BYTE, bytes);
+
+  const { value } = getStringValue(heapData, instance, 256);
+  assert.deepEqual([...value].map(character => character.charCodeAt(0)), bytes);
+});
+
+test('decodes UTF-16 compact strings and char[] values', () => {
+  const utf16 = buildString(BYTE, [0x48, 0x00, 0xac, 0x20, 0x3d, 0xd8, 0x00, 0xde], 1);
+  assert.equal(getStringValue(utf16.heapData, utf16.instance).value, 'H€😀');
+
+  const chars = buildString(CHAR, [0x00, 0x48, 0x00, 0x85, 0x20, 0xac]);
+  assert.equal(getStringValue(chars.heapData, chars.instance).value, 'H\u0085€');
+});
@@ -0,0 +1,95 @@
+/**
+ * Analysis Worker
+ *
+ * Runs the analysis pipeline off the main thread, then keeps the heap data
+ * to answer queries (see QUERIES). Only the analyzers' results are posted:
+ * the heap data never leaves the worker, so it is held once and the main
+ * thread never has to copy it. Anything that looks at single objects (the
+ * object inspector, instance lists, the object dominator tree, paths to GC
+ * roots) is a query.
+ *
+ * Messages in:  { dumpFile } (see expandHeapDumpFiles)
+ *               { type: 'query', id, method, args }
+ *               { type: 'cancel', id }
+ * Messages out: { type: 'progress', progress: { phase, completed, total } }
+ *               { type: 'result', result }
+ *               { type: 'error', message }
+ *               { type: 'queryResult', id, result }
+ *               { type: 'queryError', id, message }
+ */
+
+import { runAnalysis } from '../services/analysisPipeline.js';
+import { findReferenceChains, findClassReferenceChains, mergeShortestPaths } from '../services/analyzers/referenceChainAnalyzer.js';
+import { inspectObject, getArrayElements, getIncomingReferences, listInstances } from '../services/analyzers/objectInspector.js';
+import { getDominatedObjects } from '../services/analyzers/dominatorTreeAnalyzer.js';
+
+// Functions a query can call; each takes the heap data first
+const QUERIES = {
+  findReferenceChains,
+  findClassReferenceChains,
+  mergeShortestPaths,
+  inspectObject,
+  getArrayElements,
+  getIncomingReferences,
+  listInstances,
+  getDominatedObjects
+};
+
+// Heap data of the analyzed dump, kept for queries
+let heapData = null;
+
+// Queries not started yet, in arrival order
+const queue = [];
+
+self.onmessage = async (e) => {
+  const message = e.data;
+
+  switch (message.type) {
+    case 'query':
+      queue.push(message);
+      // Run it in a later task so cancel messages already sent arrive first
+      setTimeout(runNextQuery);
+      break;
+    case 'cancel': {
+      const index = queue.findIndex(query => query.id === message.id);
+      if (index !== -1) queue.splice(index, 1);
+      break;
+    }
+    default:
+      await analyze(message.dumpFile);
+      break;
+  }
+};
+
+/**
+ * Run the pipeline and post its result
+ * @param {Object} dumpFile - Heap dump from expandHeapDumpFiles
+ */
+async function analyze(dumpFile) {
+  try {
+    const { heapData: analyzedHeapData, ...result } = await runAnalysis(dumpFile, (progress) => {
+      self.postMessage({ type: 'progress', progress });
+    });
+    heapData = analyzedHeapData;
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+}
+
+/**
+ * Run the oldest queued query, if it was not cancelled meanwhile
+ */
+function runNextQuery() {
+  const query = queue.shift();
+  if (!query) return;
+
+  try {
+    if (!heapData) throw new Error('No heap dump analyzed');
+    if (!Object.hasOwn(QUERIES, query.method)) throw new Error(`Unknown query: ${query.method}`);
+    const result = QUERIES[query.method](heapData, ...query.args);
+    self.postMessage({ type: 'queryResult', id: query.id, result });
+  } catch (error) {
+    self.postMessage({ type: 'queryError', id: query.id, message: error.message });
+  }
+}